@@ -0,0 +1,45 @@
+import { NextRequest, NextResponse } from 'next/server'
+import RunStore from '@/src/utils/runStore.js'
+
+const FILES = ['bestInput', 'bestSolution', 'finalReport']
+
+// A stored run with its per-iteration results and best input; ?file=bestInput|bestSolution|finalReport
+// downloads one of the stored files instead
+export async function GET(request: NextRequest, { params }: { params: { id: string } }) {
+  try {
+    const store = new RunStore()
+    const run = await store.get(params.id)
+    if (!run) {
+      return NextResponse.json({ error: `Run ${params.id} not found` }, { status: 404 })
+    }
+
+    const file = request.nextUrl.searchParams.get('file')
+    if (file) {
+      if (!FILES.includes(file)) {
+        return NextResponse.json({ error: `Unknown file ${file}. Available: ${FILES.join(', ')}` }, { status: 400 })
+      }
+      const data = await store.readFile(params.id, file)
+      if (!data) {
+        return NextResponse.json({ error: `Run ${params.id} has no ${file}` }, { status: 404 })
+      }
+      return new Response(JSON.stringify(data, null, 2), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Disposition': `attachment; filename="${params.id}-${file}.json"`,
+        },
+      })
+    }
+
+    return NextResponse.json({ run, refinedInput: await store.readFile(params.id, 'bestInput') })
+  } catch (error) {
+    // Malformed ids are rejected by the store
+    if (error instanceof Error && error.message.startsWith('Invalid run id')) {
+      return NextResponse.json({ error: error.message }, { status: 400 })
+    }
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
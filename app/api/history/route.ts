@@ -0,0 +1,25 @@
+import { NextRequest, NextResponse } from 'next/server'
+import RunStore from '@/src/utils/runStore.js'
+
+export const dynamic = 'force-dynamic'
+
+// Stored runs from the CLI and the web app, newest first; filter with ?status=, ?source=, ?search=, ?limit=
+export async function GET(request: NextRequest) {
+  try {
+    const searchParams = request.nextUrl.searchParams
+    const limit = parseInt(searchParams.get('limit') || '50')
+    const runs = await new RunStore().list({
+      status: searchParams.get('status') || undefined,
+      source: searchParams.get('source') || undefined,
+      search: searchParams.get('search') || undefined,
+      limit: Number.isNaN(limit) ? 50 : limit,
+    })
+    return NextResponse.json({ runs })
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
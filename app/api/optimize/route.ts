@@ -1,10 +1,12 @@
 import { NextRequest, NextResponse } from 'next/server'
-import { ROIRIntegration } from '@/lib/roir-integration'
+import { runRegistry, createRunEventStream } from '@/lib/run-registry'
 
+// Starts a run and streams its events in one request. The run is kept in the registry
+// (X-Run-Id header), so a dropped stream can re-attach through /api/runs/:id/events.
 export async function POST(request: NextRequest) {
   try {
     const body = await request.json()
-    const { inputFile, solutionFile, params, apiKey } = body
+    const { inputFile, solutionFile, params, apiKey, inputName, solutionName } = body
 
     if (!inputFile || !solutionFile || !params || !apiKey) {
       return NextResponse.json(
@@ -13,42 +15,15 @@ export async function POST(request: NextRequest) {
       )
     }
 
-    const encoder = new TextEncoder()
-    const stream = new ReadableStream({
-      async start(controller) {
-        try {
-          const roir = new ROIRIntegration(apiKey)
-          const parsedParams = params
-
-          // Send initial status
-          controller.enqueue(encoder.encode(`data: ${JSON.stringify({ type: 'status', message: 'Starting optimization...' })}\n\n`))
-
-          // Run optimization with real-time updates
-          const { results, finalRequestId } = await roir.runOptimizationWithUpdates(
-            inputFile,
-            solutionFile,
-            parsedParams,
-            (iteration, result) => {
-              // Send each iteration result as it completes
-              controller.enqueue(encoder.encode(`data: ${JSON.stringify({ type: 'iteration', iteration, result })}\n\n`))
-            }
-          )
-
-          // Send completion status
-          controller.enqueue(encoder.encode(`data: ${JSON.stringify({ type: 'complete', results, finalRequestId })}\n\n`))
-          controller.close()
-        } catch (error) {
-          controller.enqueue(encoder.encode(`data: ${JSON.stringify({ type: 'error', error: error instanceof Error ? error.message : 'Unknown error' })}\n\n`))
-          controller.close()
-        }
-      }
-    })
+    const run = runRegistry.start({ inputFile, solutionFile, params, apiKey, inputName, solutionName })
+    const stream = createRunEventStream(run.id, 0, request.signal)!
 
     return new Response(stream, {
       headers: {
         'Content-Type': 'text/event-stream',
         'Cache-Control': 'no-cache',
         'Connection': 'keep-alive',
+        'X-Run-Id': run.id,
       },
     })
   } catch (error) {
@@ -58,4 +33,4 @@ export async function POST(request: NextRequest) {
       { status: 500 }
     )
   }
-}
\ No newline at end of file
+}
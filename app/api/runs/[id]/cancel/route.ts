@@ -0,0 +1,11 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { runRegistry } from '@/lib/run-registry'
+
+// Asks a running run to stop; its event stream ends with a 'cancelled' event
+export async function POST(request: NextRequest, { params }: { params: { id: string } }) {
+  const run = runRegistry.cancel(params.id)
+  if (!run) {
+    return NextResponse.json({ error: `Run ${params.id} not found` }, { status: 404 })
+  }
+  return NextResponse.json({ run })
+}
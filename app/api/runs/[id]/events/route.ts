@@ -0,0 +1,23 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { createRunEventStream } from '@/lib/run-registry'
+
+export const dynamic = 'force-dynamic'
+
+// Replays a run's events from the start (or after Last-Event-ID when an EventSource
+// reconnects), then streams new ones until the run finishes
+export async function GET(request: NextRequest, { params }: { params: { id: string } }) {
+  const lastEventId = parseInt(request.headers.get('last-event-id') || request.nextUrl.searchParams.get('after') || '0')
+  const stream = createRunEventStream(params.id, Number.isNaN(lastEventId) ? 0 : lastEventId, request.signal)
+
+  if (!stream) {
+    return NextResponse.json({ error: `Run ${params.id} not found` }, { status: 404 })
+  }
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    },
+  })
+}
@@ -0,0 +1,11 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { runRegistry } from '@/lib/run-registry'
+
+// Status and results of one run
+export async function GET(request: NextRequest, { params }: { params: { id: string } }) {
+  const run = runRegistry.get(params.id)
+  if (!run) {
+    return NextResponse.json({ error: `Run ${params.id} not found` }, { status: 404 })
+  }
+  return NextResponse.json({ run })
+}
@@ -0,0 +1,33 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { runRegistry } from '@/lib/run-registry'
+
+export const dynamic = 'force-dynamic'
+
+// Recent runs, newest first (?limit=N, default 20)
+export async function GET(request: NextRequest) {
+  const limit = parseInt(request.nextUrl.searchParams.get('limit') || '20')
+  return NextResponse.json({ runs: runRegistry.list(Number.isNaN(limit) ? 20 : limit) })
+}
+
+// Starts a run in the background; follow it with GET /api/runs/:id/events
+export async function POST(request: NextRequest) {
+  try {
+    const { inputFile, solutionFile, params, apiKey, inputName, solutionName } = await request.json()
+
+    if (!inputFile || !solutionFile || !params || !apiKey) {
+      return NextResponse.json(
+        { error: 'Missing required parameters' },
+        { status: 400 }
+      )
+    }
+
+    const run = runRegistry.start({ inputFile, solutionFile, params, apiKey, inputName, solutionName })
+    return NextResponse.json({ run }, { status: 201 })
+  } catch (error) {
+    console.error('API route error:', error)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,211 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import Link from 'next/link'
+import { ArrowLeft, Download, History } from 'lucide-react'
+import ResultsTable from '@/components/ResultsTable'
+import { HistoryRun, RunStatus } from '@/types'
+
+const STATUS_STYLES: Record<RunStatus, string> = {
+  running: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  cancelled: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800',
+}
+
+// Runs saved by the CLI and the web app (the run store under $ROIR_DATA_DIR); opening one
+// shows its iterations in the same results table as a live run
+export default function HistoryPage() {
+  const [runs, setRuns] = useState<HistoryRun[]>([])
+  const [status, setStatus] = useState('')
+  const [source, setSource] = useState('')
+  const [search, setSearch] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [openRun, setOpenRun] = useState<HistoryRun | null>(null)
+  const [refinedInput, setRefinedInput] = useState<unknown>(null)
+
+  useEffect(() => {
+    const query = new URLSearchParams()
+    if (status) query.set('status', status)
+    if (source) query.set('source', source)
+    if (search) query.set('search', search)
+
+    setIsLoading(true)
+    fetch(`/api/history?${query.toString()}`)
+      .then(response => (response.ok ? response.json() : Promise.reject(new Error(`HTTP error! status: ${response.status}`))))
+      .then(data => {
+        setRuns(data.runs)
+        setError('')
+      })
+      .catch(fetchError => setError(fetchError.message))
+      .finally(() => setIsLoading(false))
+  }, [status, source, search])
+
+  const handleOpen = async (id: string) => {
+    try {
+      const response = await fetch(`/api/history/${id}`)
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+      const data = await response.json()
+      setOpenRun(data.run)
+      setRefinedInput(data.refinedInput)
+    } catch (openError) {
+      setError(openError instanceof Error ? openError.message : 'Unknown error')
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 space-y-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <History className="h-6 w-6 text-gray-600" />
+            <h1 className="text-2xl font-bold text-gray-900">Run History</h1>
+          </div>
+          <Link href="/" className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-800">
+            <ArrowLeft className="h-4 w-4" />
+            <span>Back to optimizer</span>
+          </Link>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex flex-wrap gap-3 mb-4">
+            <select
+              value={status}
+              onChange={event => setStatus(event.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="">All statuses</option>
+              <option value="completed">Completed</option>
+              <option value="cancelled">Cancelled</option>
+              <option value="failed">Failed</option>
+            </select>
+            <select
+              value={source}
+              onChange={event => setSource(event.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="">CLI and web</option>
+              <option value="cli">CLI</option>
+              <option value="web">Web</option>
+            </select>
+            <input
+              type="text"
+              value={search}
+              onChange={event => setSearch(event.target.value)}
+              placeholder="Run id, file name or input hash"
+              className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+
+          {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+
+          {runs.length === 0 ? (
+            <p className="text-sm text-gray-500">{isLoading ? 'Loading runs...' : 'No stored runs match'}</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Started', 'Source', 'Status', 'Input', 'Min Load', 'Iterations', 'Compliance', ''].map(header => (
+                      <th key={header} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {header}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {runs.map(run => (
+                    <tr key={run.id} className={`hover:bg-gray-50 ${openRun?.id === run.id ? 'bg-blue-50' : ''}`}>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900" title={run.id}>
+                        {new Date(run.createdAt).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900 uppercase">{run.source}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${STATUS_STYLES[run.status]}`} title={run.error}>
+                          {run.status}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900" title={`Input hash ${run.inputHash}`}>
+                        {run.inputName || <span className="font-mono text-xs">{run.inputHash}</span>}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{run.params.minLoad.toLocaleString()}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{run.iterations}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {run.summary
+                          ? `${run.summary.initialComplianceRate.toFixed(1)}% → ${run.summary.finalComplianceRate.toFixed(1)}%`
+                          : 'n/a'}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">
+                        <button
+                          onClick={() => handleOpen(run.id)}
+                          className="px-3 py-1 text-sm bg-blue-100 text-blue-700 rounded hover:bg-blue-200 transition-colors"
+                        >
+                          Open
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {openRun && (
+          <div className="space-y-4">
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <div className="flex flex-wrap justify-between items-start gap-4">
+                <div className="text-sm text-gray-600 space-y-1">
+                  <h3 className="text-lg font-semibold text-gray-900 font-mono">{openRun.id}</h3>
+                  <div>
+                    {openRun.inputName || '-'} ({openRun.inputHash}) with {openRun.solutionName || '-'} ({openRun.solutionHash})
+                  </div>
+                  <div>
+                    Min load {openRun.params.minLoad.toLocaleString()}, {openRun.params.maxIterations} iterations,
+                    {' '}concurrency {openRun.params.concurrency}, {openRun.params.backend} backend, {openRun.params.search} search
+                    {openRun.params.timeWindowEasing > 0 && `, time windows eased ${openRun.params.timeWindowEasing}m`}
+                    {openRun.params.shiftTimeAdjustments > 0 && `, shifts extended ${openRun.params.shiftTimeAdjustments}m`}
+                  </div>
+                  {openRun.summary && (
+                    <div>
+                      Best iteration {openRun.summary.bestIteration ?? '-'}, constraints met: {openRun.summary.constraintsMet ? 'yes' : 'no'}
+                    </div>
+                  )}
+                  {openRun.removedItems && (
+                    <div className="text-yellow-700">
+                      Removed after API rejections: jobs [{openRun.removedItems.jobIds.join(', ')}], vehicles [{openRun.removedItems.vehicleIds.join(', ')}]
+                    </div>
+                  )}
+                  {openRun.error && <div className="text-red-600">Error: {openRun.error}</div>}
+                </div>
+                <div className="flex space-x-2">
+                  {([['bestSolution', 'Best Solution'], ['finalReport', 'Final Report']] as const)
+                    .filter(([file]) => openRun.files.includes(file))
+                    .map(([file, label]) => (
+                      <a
+                        key={file}
+                        href={`/api/history/${openRun.id}?file=${file}`}
+                        className="flex items-center space-x-1 px-3 py-1 text-sm bg-green-100 text-green-700 rounded hover:bg-green-200 transition-colors"
+                      >
+                        <Download className="h-4 w-4" />
+                        <span>{label}</span>
+                      </a>
+                    ))}
+                </div>
+              </div>
+            </div>
+
+            <ResultsTable
+              results={openRun.results || []}
+              finalRequestId={openRun.summary?.finalRequestId || ''}
+              refinedInput={refinedInput}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,6 +1,7 @@
 'use client'
 
-import { useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
+import Link from 'next/link'
 import FileUpload from '@/components/FileUpload'
 import InputModifiers from '@/components/InputModifiers'
 import ExecutionPanel from '@/components/ExecutionPanel'
@@ -8,6 +9,8 @@ import ResultsTable from '@/components/ResultsTable'
 import ApiKeyInput from '@/components/ApiKeyInput'
 import { FileData, OptimizationParams, OptimizationResult } from '@/types'
 
+const ACTIVE_RUN_KEY = 'roir-active-run'
+
 export default function Home() {
   const [inputFile, setInputFile] = useState<FileData | null>(null)
   const [solutionFile, setSolutionFile] = useState<FileData | null>(null)
@@ -16,14 +19,18 @@ export default function Home() {
     shiftTimeAdjustments: 15,
     numberOfIterations: 10,
     loadTargets: 12000,
+    concurrency: 1,
   })
   const [results, setResults] = useState<OptimizationResult[]>([])
   const [isExecuting, setIsExecuting] = useState(false)
   const [executionStatus, setExecutionStatus] = useState('')
   const [currentIteration, setCurrentIteration] = useState(0)
   const [finalRequestId, setFinalRequestId] = useState('')
+  const [refinedInput, setRefinedInput] = useState<unknown>(null)
   const [apiKey, setApiKey] = useState('')
   const [loadTargetRange, setLoadTargetRange] = useState<{ min: number; max: number } | undefined>()
+  const [runId, setRunId] = useState<string | null>(null)
+  const eventSourceRef = useRef<EventSource | null>(null)
 
   const handleLoadTargetSuggestion = (min: number, max: number, suggested: number) => {
     console.log('Load target suggestion called:', { min, max, suggested, currentValue: optimizationParams.loadTargets })
@@ -40,18 +47,104 @@ export default function Home() {
     setExecutionStatus(`Auto-adjusted load target to ${suggested} based on solution analysis`)
   }
 
-  const handleExecute = async () => {
-    if (!inputFile || !solutionFile || !apiKey) return
-
+  // Runs live on the server; the page follows one through its event stream. EventSource
+  // replays every past event on attach and resumes after the last one when it reconnects.
+  const attachToRun = (id: string, totalIterations: number) => {
+    eventSourceRef.current?.close()
+    setRunId(id)
     setIsExecuting(true)
     setResults([])
     setCurrentIteration(0)
     setFinalRequestId('')
+    setRefinedInput(null)
+    window.localStorage.setItem(ACTIVE_RUN_KEY, id)
+
+    const eventSource = new EventSource(`/api/runs/${id}/events`)
+    eventSourceRef.current = eventSource
+
+    const finish = (status: string) => {
+      eventSource.close()
+      eventSourceRef.current = null
+      window.localStorage.removeItem(ACTIVE_RUN_KEY)
+      setExecutionStatus(status)
+      setIsExecuting(false)
+    }
+
+    eventSource.onmessage = message => {
+      try {
+        const data = JSON.parse(message.data)
+
+        switch (data.type) {
+          case 'status':
+            setExecutionStatus(data.message)
+            break
+
+          case 'iteration':
+            // Parallel iterations can finish out of order
+            setResults(prev => [...prev.filter(result => result.iteration !== data.iteration), data.result]
+              .sort((a, b) => a.iteration - b.iteration))
+            setCurrentIteration(prev => prev + 1)
+            setExecutionStatus(`Completed iteration ${data.iteration} of ${totalIterations}`)
+            break
+
+          case 'complete':
+            setFinalRequestId(data.finalRequestId)
+            setRefinedInput(data.refinedInput)
+            finish('Optimization completed successfully!')
+            break
+
+          case 'cancelled':
+            setFinalRequestId(data.finalRequestId)
+            setRefinedInput(data.refinedInput)
+            finish(`Optimization cancelled after ${data.results.length} iteration(s)`)
+            break
+
+          case 'error':
+            finish(`Error: ${data.error}`)
+            break
+        }
+      } catch (parseError) {
+        console.error('Error parsing SSE data:', parseError)
+      }
+    }
+
+    eventSource.onerror = () => {
+      // EventSource retries on its own; it only gives up when the run no longer exists
+      if (eventSource.readyState === EventSource.CLOSED) {
+        finish('Lost the connection to the run')
+      }
+    }
+  }
+
+  // Re-attach to the run that was in progress before a refresh or dropped connection
+  useEffect(() => {
+    const activeRunId = window.localStorage.getItem(ACTIVE_RUN_KEY)
+    if (activeRunId) {
+      fetch(`/api/runs/${activeRunId}`)
+        .then(response => (response.ok ? response.json() : null))
+        .then(data => {
+          if (!data) {
+            window.localStorage.removeItem(ACTIVE_RUN_KEY)
+            return
+          }
+          setOptimizationParams(data.run.params)
+          attachToRun(activeRunId, data.run.params.numberOfIterations)
+          setExecutionStatus(`Reconnected to run ${activeRunId}`)
+        })
+        .catch(error => console.error('Failed to restore run:', error))
+    }
+    return () => eventSourceRef.current?.close()
+  }, [])
+
+  const handleExecute = async () => {
+    if (!inputFile || !solutionFile || !apiKey) return
+
+    setIsExecuting(true)
     setExecutionStatus('Starting optimization...')
 
     try {
       // Use POST instead of GET to avoid URL length limitations
-      const response = await fetch('/api/optimize', {
+      const response = await fetch('/api/runs', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -61,6 +154,8 @@ export default function Home() {
           solutionFile: solutionFile.content,
           params: optimizationParams,
           apiKey,
+          inputName: inputFile.name,
+          solutionName: solutionFile.name,
         }),
       })
 
@@ -68,62 +163,27 @@ export default function Home() {
         throw new Error(`HTTP error! status: ${response.status}`)
       }
 
-      const reader = response.body?.getReader()
-      if (!reader) {
-        throw new Error('No response body')
-      }
-
-      const decoder = new TextDecoder()
-      let buffer = ''
-
-      while (true) {
-        const { done, value } = await reader.read()
-        if (done) break
-
-        buffer += decoder.decode(value, { stream: true })
-        const lines = buffer.split('\n')
-        buffer = lines.pop() || ''
-
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(line.slice(6))
-              
-              switch (data.type) {
-                case 'status':
-                  setExecutionStatus(data.message)
-                  break
-
-                case 'iteration':
-                  setResults(prev => [...prev, data.result])
-                  setCurrentIteration(data.iteration)
-                  setExecutionStatus(`Completed iteration ${data.iteration} of ${optimizationParams.numberOfIterations}`)
-                  break
-
-                case 'complete':
-                  setFinalRequestId(data.finalRequestId)
-                  setExecutionStatus('Optimization completed successfully!')
-                  return
-
-                case 'error':
-                  setExecutionStatus(`Error: ${data.error}`)
-                  setIsExecuting(false)
-                  return
-              }
-            } catch (parseError) {
-              console.error('Error parsing SSE data:', parseError)
-            }
-          }
-        }
-      }
+      const { run } = await response.json()
+      attachToRun(run.id, optimizationParams.numberOfIterations)
     } catch (error) {
       console.error('Execution error:', error)
       setExecutionStatus(`Error: ${error instanceof Error ? error.message : 'Unknown error'}`)
-    } finally {
       setIsExecuting(false)
     }
   }
 
+  // The run's stream ends with a 'cancelled' event once the server has stopped it
+  const handleStop = async () => {
+    if (!runId) return
+
+    setExecutionStatus('Cancelling optimization...')
+    try {
+      await fetch(`/api/runs/${runId}/cancel`, { method: 'POST' })
+    } catch (error) {
+      console.error('Cancel error:', error)
+    }
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -134,6 +194,9 @@ export default function Home() {
           <p className="text-gray-600">
             Upload your input and solution files to run the iterative refiner
           </p>
+          <Link href="/history" className="inline-block mt-2 text-sm text-blue-600 hover:text-blue-800">
+            View run history
+          </Link>
         </div>
 
         <div className="space-y-6">
@@ -162,6 +225,8 @@ export default function Home() {
                 isExecuting={isExecuting}
                 executionStatus={executionStatus}
                 onExecute={handleExecute}
+                onStop={handleStop}
+                runId={runId}
                 canExecute={!!(inputFile && solutionFile && apiKey)}
                 currentIteration={currentIteration}
                 totalIterations={optimizationParams.numberOfIterations}
@@ -180,7 +245,7 @@ export default function Home() {
 
           {/* Bottom Row - Results Table (full width) */}
           <div className="w-full">
-            <ResultsTable results={results} finalRequestId={finalRequestId} />
+            <ResultsTable results={results} finalRequestId={finalRequestId} refinedInput={refinedInput} />
           </div>
         </div>
       </div>
@@ -1,12 +1,14 @@
 'use client'
 
 import React from 'react'
-import { Play, Loader2, Rocket } from 'lucide-react'
+import { Play, Loader2, Rocket, Square } from 'lucide-react'
 
 interface ExecutionPanelProps {
   isExecuting: boolean
   executionStatus: string
   onExecute: () => void
+  onStop?: () => void
+  runId?: string | null
   canExecute: boolean
   currentIteration?: number
   totalIterations?: number
@@ -16,6 +18,8 @@ export default function ExecutionPanel({
   isExecuting, 
   executionStatus, 
   onExecute, 
+  onStop,
+  runId,
   canExecute,
   currentIteration = 0,
   totalIterations = 0
@@ -51,6 +55,16 @@ export default function ExecutionPanel({
         )}
       </button>
 
+      {isExecuting && onStop && (
+        <button
+          onClick={onStop}
+          className="w-full mt-2 flex items-center justify-center space-x-2 px-4 py-2 rounded-lg font-medium bg-red-100 text-red-700 hover:bg-red-200 transition-colors"
+        >
+          <Square className="h-4 w-4" />
+          <span>Stop</span>
+        </button>
+      )}
+
       {isExecuting && totalIterations > 0 && (
         <div className="mt-4">
           <div className="flex justify-between text-sm text-gray-600 mb-2">
@@ -69,6 +83,9 @@ export default function ExecutionPanel({
       {executionStatus && (
         <div className="mt-4 p-3 bg-gray-50 rounded-lg">
           <p className="text-sm text-gray-700">{executionStatus}</p>
+          {runId && (
+            <p className="mt-1 text-xs text-gray-500 font-mono">Run {runId}</p>
+          )}
         </div>
       )}
     </div>
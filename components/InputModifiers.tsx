@@ -113,6 +113,30 @@ export default function InputModifiers({ params, onParamsChange, loadTargetRange
           </p>
         </div>
 
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Parallel Requests
+          </label>
+          <div className="flex items-center space-x-4">
+            <input
+              type="range"
+              min="1"
+              max="5"
+              step="1"
+              value={params.concurrency || 1}
+              onChange={(e) => handleChange('concurrency', parseInt(e.target.value))}
+              className="flex-1 h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+              aria-label="Parallel Requests slider"
+            />
+            <span className="text-sm font-medium text-gray-900 w-12">
+              {params.concurrency || 1}
+            </span>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            Iterations submitted at the same time (still spaced by the API rate limit)
+          </p>
+        </div>
+
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
             Load Targets (units)
@@ -152,6 +176,7 @@ export default function InputModifiers({ params, onParamsChange, loadTargetRange
           <div>Time Window Easing: {params.timeWindowEasing}m</div>
           <div>Shift Adjustments: {params.shiftTimeAdjustments}m</div>
           <div>Iterations: {params.numberOfIterations}</div>
+          <div>Parallel Requests: {params.concurrency || 1}</div>
           <div>Load Target: {params.loadTargets.toLocaleString()} units</div>
           {loadTargetRange && (
             <div className="col-span-2 text-blue-600">
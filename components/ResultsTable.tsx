@@ -1,22 +1,41 @@
 'use client'
 
-import React from 'react'
+import React, { useState } from 'react'
 import { OptimizationResult } from '@/types'
 import { Download } from 'lucide-react'
+import ParetoFront from '@/src/analyzers/paretoFront.js'
 
 interface ResultsTableProps {
   results: OptimizationResult[]
   finalRequestId: string
+  refinedInput?: unknown
 }
 
-export default function ResultsTable({ results, finalRequestId }: ResultsTableProps) {
+const formatCause = (cause: string) => cause.replace(/_/g, ' ')
+
+const addedRoutes = (result: OptimizationResult) => result.fleetSplit?.added.routes || 0
+
+const formatBase = (result: OptimizationResult) => {
+  if (result.basedOnIteration == null) {
+    return ''
+  }
+  return result.basedOnIteration === 0 ? 'original' : `iteration ${result.basedOnIteration}`
+}
+
+export default function ResultsTable({ results, finalRequestId, refinedInput }: ResultsTableProps) {
+  const [explainedIteration, setExplainedIteration] = useState<number | null>(null)
+
   const handleExportResults = () => {
     const csvContent = [
-      ['Iteration', 'Compliance (%)', 'Routes', 'Unassigned', 'Load Gap', 'Objective', 'Time Window Easing (m)', 'Shift Time Adjustments (m)', 'Request ID', 'Timestamp'],
+      ['Iteration', 'Based On', 'Reverted', 'Compliance (%)', 'Routes', 'Original Routes', 'Added Routes', 'Unassigned', 'Load Gap', 'Objective', 'Time Window Easing (m)', 'Shift Time Adjustments (m)', 'Request ID', 'Timestamp'],
       ...results.map(result => [
         result.iteration.toString(),
+        formatBase(result),
+        result.reverted ? 'yes' : 'no',
         result.compliance.toString(),
         result.routes.toString(),
+        (result.routes - addedRoutes(result)).toString(),
+        addedRoutes(result).toString(),
         result.unassigned.toString(),
         result.loadGap.toString(),
         result.objective,
@@ -36,15 +55,61 @@ export default function ResultsTable({ results, finalRequestId }: ResultsTablePr
     window.URL.revokeObjectURL(url)
   }
 
+  const handleDownloadRefinedInput = () => {
+    const blob = new Blob([JSON.stringify(refinedInput, null, 2)], { type: 'application/json' })
+    const url = window.URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `roir-refined-input-${new Date().toISOString().split('T')[0]}.json`
+    a.click()
+    window.URL.revokeObjectURL(url)
+  }
+
   if (results.length === 0) {
     return null
   }
 
+  // Explain the clicked iteration, otherwise the latest one with unassigned jobs
+  const explained = results.find(result => result.iteration === explainedIteration) ||
+    [...results].reverse().find(result => (result.unassignedExplanation?.jobs.length || 0) > 0)
+
+  // Trade-offs between compliance, added vehicles, distance and unassigned jobs; the planner picks one
+  const paretoFront: { iteration: number }[] = ParetoFront.compute(results.map(result => ({
+    iteration: result.iteration,
+    compliance: result.compliance,
+    addedVehicles: addedRoutes(result),
+    distance: result.distance ?? null,
+    unassigned: result.unassigned
+  })))
+  const paretoIterations = new Set(paretoFront.map(point => point.iteration))
+
+  // Fewest added vehicles among iterations that met the load target, else the best-compliance iteration
+  const hasAddedVehicles = results.some(result => (result.fleetSplit?.added.vehicles || 0) > 0)
+  const reachedTarget = results.filter(result => result.compliance === 100)
+  const extraFleet = hasAddedVehicles
+    ? (reachedTarget.length > 0 ? reachedTarget : results).reduce((best, result) => {
+        if (reachedTarget.length > 0) {
+          return addedRoutes(result) < addedRoutes(best) ? result : best
+        }
+        return result.compliance > best.compliance ? result : best
+      })
+    : null
+
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
       <div className="flex justify-between items-center mb-4">
         <h3 className="text-lg font-semibold text-gray-900">Optimization Results</h3>
         <div className="flex space-x-2">
+          {refinedInput != null && (
+            <button
+              onClick={handleDownloadRefinedInput}
+              title="Input behind the best iteration, to submit again or refine in another run"
+              className="flex items-center space-x-1 px-3 py-1 text-sm bg-blue-100 text-blue-700 rounded hover:bg-blue-200 transition-colors"
+            >
+              <Download className="h-4 w-4" />
+              <span>Refined Input</span>
+            </button>
+          )}
           <button
             onClick={handleExportResults}
             className="flex items-center space-x-1 px-3 py-1 text-sm bg-green-100 text-green-700 rounded hover:bg-green-200 transition-colors"
@@ -90,6 +155,25 @@ export default function ResultsTable({ results, finalRequestId }: ResultsTablePr
               <tr key={index} className="hover:bg-gray-50">
                 <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                   {result.iteration}
+                  {paretoIterations.has(result.iteration) && results.length > 1 && (
+                    <span
+                      className="ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-purple-100 text-purple-800"
+                      title="Pareto-optimal: no other iteration is at least as good on compliance, added vehicles, distance and unassigned jobs"
+                    >
+                      Pareto
+                    </span>
+                  )}
+                  {result.reverted && (
+                    <span
+                      className="ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800"
+                      title="The attempt returned no routes; this relaxed run restarted from the last good iteration"
+                    >
+                      Reverted
+                    </span>
+                  )}
+                  {formatBase(result) && (
+                    <div className="text-xs font-normal text-gray-500">from {formatBase(result)}</div>
+                  )}
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                   <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
@@ -102,11 +186,26 @@ export default function ResultsTable({ results, finalRequestId }: ResultsTablePr
                     {result.compliance}%
                   </span>
                 </td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                <td
+                  className="px-6 py-4 whitespace-nowrap text-sm text-gray-900"
+                  title={result.fleetSplit?.original.complianceRate != null
+                    ? `Original fleet compliance: ${Math.round(result.fleetSplit.original.complianceRate)}%`
+                    : undefined}
+                >
                   {result.routes}
+                  {addedRoutes(result) > 0 && (
+                    <span className="ml-1 text-xs text-gray-500">({addedRoutes(result)} added)</span>
+                  )}
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                  <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                  <button
+                    type="button"
+                    onClick={() => setExplainedIteration(result.iteration)}
+                    disabled={!result.unassignedExplanation?.jobs.length}
+                    title={Object.entries(result.unassignedExplanation?.summary.byCause || {})
+                      .map(([cause, count]) => `${formatCause(cause)}: ${count}`)
+                      .join('\n')}
+                    className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
                     result.unassigned === 0 
                       ? 'bg-green-100 text-green-800' 
                       : result.unassigned <= 5 
@@ -114,7 +213,7 @@ export default function ResultsTable({ results, finalRequestId }: ResultsTablePr
                       : 'bg-red-100 text-red-800'
                   }`}>
                     {result.unassigned}
-                  </span>
+                  </button>
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                   {result.loadGap.toLocaleString()}
@@ -134,6 +233,72 @@ export default function ResultsTable({ results, finalRequestId }: ResultsTablePr
         </table>
       </div>
 
+      {results.length > 1 && paretoFront.length > 0 && (
+        <div className="mt-4 p-3 bg-gray-50 rounded-lg">
+          <h4 className="text-sm font-semibold text-gray-900 mb-2">
+            Pareto front ({paretoFront.length} trade-off{paretoFront.length === 1 ? '' : 's'})
+          </h4>
+          <div className="text-xs text-gray-600 space-y-1">
+            {results.filter(result => paretoIterations.has(result.iteration)).map(result => (
+              <div key={result.iteration}>
+                <span className="font-medium">Iteration {result.iteration}:</span> {result.compliance}% compliance,
+                {' '}{addedRoutes(result)} added vehicle(s),
+                {' '}{result.distance !== undefined ? `${result.distance.toLocaleString()} km` : 'distance n/a'},
+                {' '}{result.unassigned} unassigned
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {extraFleet?.fleetSplit && (
+        <div className="mt-4 p-3 bg-gray-50 rounded-lg">
+          <h4 className="text-sm font-semibold text-gray-900 mb-2">Original vs added fleet</h4>
+          <div className="text-xs text-gray-600 space-y-1">
+            {([['Original', extraFleet.fleetSplit.original], ['Added', extraFleet.fleetSplit.added]] as const).map(([label, group]) => (
+              <div key={label}>
+                <span className="font-medium">{label}:</span> {group.routes}/{group.vehicles ?? '?'} vehicles used,
+                load {group.totalLoad.toLocaleString()}, compliance {group.complianceRate !== null ? `${Math.round(group.complianceRate)}%` : 'n/a'}
+              </div>
+            ))}
+            <div className="pt-1 text-sm text-gray-900">
+              <strong>{reachedTarget.length > 0 ? 'Minimum extra fleet needed:' : 'Load target not reached; best iteration used:'}</strong>{' '}
+              {addedRoutes(extraFleet)} vehicle(s)
+              {extraFleet.fleetSplit.added.byCapacity.filter(entry => entry.routes > 0).length > 0 && (
+                <> ({extraFleet.fleetSplit.added.byCapacity
+                  .filter(entry => entry.routes > 0)
+                  .map(entry => `${entry.routes} x ${entry.capacity.join('/')}`)
+                  .join(', ')})</>
+              )}
+              {' '}in iteration {extraFleet.iteration}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {explained?.unassignedExplanation && explained.unassignedExplanation.jobs.length > 0 && (
+        <div className="mt-4 p-3 bg-gray-50 rounded-lg">
+          <h4 className="text-sm font-semibold text-gray-900 mb-2">
+            Why jobs were unassigned (iteration {explained.iteration})
+          </h4>
+          <div className="flex flex-wrap gap-2 mb-3">
+            {Object.entries(explained.unassignedExplanation.summary.byCause).map(([cause, count]) => (
+              <span key={cause} className="inline-flex px-2 py-1 text-xs font-medium rounded-full bg-blue-100 text-blue-800">
+                {formatCause(cause)}: {count}
+              </span>
+            ))}
+          </div>
+          <div className="max-h-64 overflow-y-auto text-xs text-gray-600">
+            {explained.unassignedExplanation.jobs.map(job => (
+              <div key={job.id} className="mb-1">
+                <span className="font-medium">Job {job.id}</span>{' '}
+                <span className="text-gray-500">({formatCause(job.cause)})</span>: {job.message}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {results.length > 0 && (
         <div className="mt-4 p-3 bg-gray-50 rounded-lg">
           <div className="text-sm text-gray-600">
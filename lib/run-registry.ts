@@ -0,0 +1,272 @@
+import { OptimizationParams, OptimizationResult, RunDetails, RunStatus, RunSummary } from '@/types'
+import { ROIRIntegration } from '@/lib/roir-integration'
+import RunStore from '@/src/utils/runStore.js'
+
+// Web runs live here, not in the request that started them: a run keeps going when its
+// stream drops, any client can re-attach to its events, and the page finds it again after
+// a refresh. Runs are kept in memory for the lifetime of the server process; finished runs are
+// also saved to the run store under the same id (see /api/history).
+
+const MAX_RUNS = 50 // Oldest finished runs are dropped beyond this
+// A run nobody watches is cancelled after this long, so a closed tab does not keep calling the API
+const DETACH_TIMEOUT_MS = parseInt(process.env.ROIR_RUN_DETACH_TIMEOUT_MS || '60000')
+
+export interface RunEvent {
+  id: number
+  type: 'status' | 'iteration' | 'complete' | 'cancelled' | 'error'
+  [key: string]: unknown
+}
+
+interface RunRecord {
+  id: string
+  status: RunStatus
+  createdAt: string
+  updatedAt: string
+  inputName?: string
+  solutionName?: string
+  params: OptimizationParams
+  results: OptimizationResult[]
+  finalRequestId: string
+  refinedInput: unknown
+  error?: string
+  cancelRequested: boolean
+  events: RunEvent[]
+  listeners: Set<(event: RunEvent) => void>
+  abortController: AbortController
+  detachTimer: ReturnType<typeof setTimeout> | null
+}
+
+export interface StartRunRequest {
+  inputFile: string
+  solutionFile: string
+  params: OptimizationParams
+  apiKey: string
+  inputName?: string
+  solutionName?: string
+}
+
+export class RunRegistry {
+  private runs = new Map<string, RunRecord>()
+
+  start(request: StartRunRequest): RunSummary {
+    const now = new Date().toISOString()
+    const run: RunRecord = {
+      id: RunStore.createRunId(),
+      status: 'running',
+      createdAt: now,
+      updatedAt: now,
+      inputName: request.inputName,
+      solutionName: request.solutionName,
+      params: request.params,
+      results: [],
+      finalRequestId: '',
+      refinedInput: null,
+      cancelRequested: false,
+      events: [],
+      listeners: new Set(),
+      abortController: new AbortController(),
+      detachTimer: null,
+    }
+
+    this.runs.set(run.id, run)
+    this.prune()
+    this.scheduleDetachCancel(run)
+    this.execute(run, request)
+    return this.toSummary(run)
+  }
+
+  get(id: string): RunDetails | null {
+    const run = this.runs.get(id)
+    return run ? { ...this.toSummary(run), results: run.results, refinedInput: run.refinedInput } : null
+  }
+
+  // Newest first
+  list(limit = 20): RunSummary[] {
+    return Array.from(this.runs.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(run => this.toSummary(run))
+  }
+
+  cancel(id: string): RunSummary | null {
+    const run = this.runs.get(id)
+    if (!run) {
+      return null
+    }
+    if (run.status === 'running' && !run.cancelRequested) {
+      run.cancelRequested = true
+      this.emit(run, { type: 'status', message: 'Cancelling optimization...' })
+      run.abortController.abort()
+    }
+    return this.toSummary(run)
+  }
+
+  // Replays the events after `afterEventId` (all of them by default), then forwards new ones
+  // until the run finishes. Returns null for unknown runs.
+  subscribe(id: string, listener: (event: RunEvent) => void, afterEventId = 0): (() => void) | null {
+    const run = this.runs.get(id)
+    if (!run) {
+      return null
+    }
+
+    run.events.filter(event => event.id > afterEventId).forEach(listener)
+    if (run.status !== 'running') {
+      return () => {}
+    }
+
+    run.listeners.add(listener)
+    if (run.detachTimer) {
+      clearTimeout(run.detachTimer)
+      run.detachTimer = null
+    }
+
+    return () => {
+      run.listeners.delete(listener)
+      this.scheduleDetachCancel(run)
+    }
+  }
+
+  private async execute(run: RunRecord, request: StartRunRequest) {
+    this.emit(run, { type: 'status', message: 'Starting optimization...' })
+
+    try {
+      const integration = new ROIRIntegration(request.apiKey)
+      const { results, finalRequestId, refinedInput, cancelled } = await integration.runOptimizationWithUpdates(
+        request.inputFile,
+        request.solutionFile,
+        request.params,
+        (iteration, result) => {
+          run.results = [...run.results, result].sort((a, b) => a.iteration - b.iteration)
+          this.emit(run, { type: 'iteration', iteration, result })
+        },
+        { signal: run.abortController.signal, runId: run.id, inputName: request.inputName, solutionName: request.solutionName }
+      )
+
+      run.results = results
+      run.finalRequestId = finalRequestId
+      run.refinedInput = refinedInput
+      this.finish(run, cancelled ? 'cancelled' : 'completed', { results, finalRequestId, refinedInput })
+    } catch (error) {
+      run.error = error instanceof Error ? error.message : 'Unknown error'
+      const classification = (error as { classification?: unknown })?.classification
+      this.finish(run, 'failed', { error: run.error, classification })
+    }
+  }
+
+  private finish(run: RunRecord, status: RunStatus, payload: Record<string, unknown>) {
+    run.status = status
+    const type = status === 'failed' ? 'error' : status === 'cancelled' ? 'cancelled' : 'complete'
+    this.emit(run, { type, ...payload })
+    run.listeners.clear()
+    if (run.detachTimer) {
+      clearTimeout(run.detachTimer)
+      run.detachTimer = null
+    }
+  }
+
+  private emit(run: RunRecord, event: Omit<RunEvent, 'id'>) {
+    const stored = { ...event, id: run.events.length + 1 } as RunEvent
+    run.events.push(stored)
+    run.updatedAt = new Date().toISOString()
+    Array.from(run.listeners).forEach(listener => listener(stored))
+  }
+
+  private scheduleDetachCancel(run: RunRecord) {
+    if (run.status !== 'running' || run.listeners.size > 0 || run.detachTimer) {
+      return
+    }
+    run.detachTimer = setTimeout(() => {
+      run.detachTimer = null
+      if (run.listeners.size === 0) {
+        console.log(`[${new Date().toISOString()}] Run ${run.id} has no viewers - cancelling`)
+        this.cancel(run.id)
+      }
+    }, DETACH_TIMEOUT_MS)
+  }
+
+  private prune() {
+    const finished = Array.from(this.runs.values())
+      .filter(run => run.status !== 'running')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    while (this.runs.size > MAX_RUNS && finished.length > 0) {
+      this.runs.delete(finished.shift()!.id)
+    }
+  }
+
+  private toSummary(run: RunRecord): RunSummary {
+    return {
+      id: run.id,
+      status: run.status,
+      createdAt: run.createdAt,
+      updatedAt: run.updatedAt,
+      inputName: run.inputName,
+      solutionName: run.solutionName,
+      params: run.params,
+      iterations: run.results.length,
+      bestCompliance: run.results.length > 0 ? Math.max(...run.results.map(result => result.compliance)) : null,
+      finalRequestId: run.finalRequestId,
+      ...(run.error && { error: run.error }),
+      cancelRequested: run.cancelRequested,
+    }
+  }
+}
+
+// Route handlers can be bundled separately, so the registry is kept on globalThis to make
+// every route (and hot reloads in development) see the same runs
+const globalForRuns = globalThis as unknown as { roirRunRegistry?: RunRegistry }
+export const runRegistry = globalForRuns.roirRunRegistry || (globalForRuns.roirRunRegistry = new RunRegistry())
+
+// Server-sent events for a run: each event carries its id, so a reconnecting EventSource
+// (Last-Event-ID) only receives what it missed
+export function createRunEventStream(id: string, afterEventId: number, signal: AbortSignal): ReadableStream | null {
+  if (!runRegistry.get(id)) {
+    return null
+  }
+
+  const encoder = new TextEncoder()
+  let unsubscribe: (() => void) | null = null
+  let closed = false
+
+  return new ReadableStream({
+    start(controller) {
+      const close = () => {
+        if (!closed) {
+          closed = true
+          unsubscribe?.()
+          try {
+            controller.close()
+          } catch {
+            // The client already cancelled the stream
+          }
+        }
+      }
+
+      unsubscribe = runRegistry.subscribe(id, event => {
+        if (closed) {
+          return
+        }
+        controller.enqueue(encoder.encode(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`))
+        if (event.type !== 'status' && event.type !== 'iteration') {
+          close()
+        }
+      }, afterEventId)
+
+      // A finished run has nothing more to send once its events are replayed, even when the
+      // client already had them all (Last-Event-ID at or past the final event)
+      if (runRegistry.get(id)?.status !== 'running') {
+        close()
+        return
+      }
+
+      if (signal.aborted) {
+        close()
+      } else {
+        signal.addEventListener('abort', close)
+      }
+    },
+    cancel() {
+      closed = true
+      unsubscribe?.()
+    },
+  })
+}
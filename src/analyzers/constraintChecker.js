@@ -1,4 +1,5 @@
 import Logger from '../utils/logger.js';
+import LoadModel from './loadModel.js';
 
 class ConstraintChecker {
   static checkSolutionConstraints(solution, constraints) {
@@ -85,6 +86,7 @@ class ConstraintChecker {
           type: 'min_load_violation',
           vehicleId: route.vehicle,
           currentLoad: totalLoad,
+          loadVector: LoadModel.getRouteLoadVector(route),
           requiredLoad: minLoad,
           gap: minLoad - totalLoad,
           severity: 'high'
@@ -116,6 +118,7 @@ class ConstraintChecker {
           type: 'max_load_violation',
           vehicleId: route.vehicle,
           currentLoad: totalLoad,
+          loadVector: LoadModel.getRouteLoadVector(route),
           maxLoad,
           excess: totalLoad - maxLoad,
           severity: 'high'
@@ -225,10 +228,7 @@ class ConstraintChecker {
   }
 
   static calculateRouteLoad(route) {
-    const jobSteps = route.steps.filter(step => step.type === 'job');
-    return jobSteps.reduce((sum, step) => {
-      return sum + (step.load ? step.load[0] : 0);
-    }, 0);
+    return LoadModel.getRouteLoad(route);
   }
 
   static generateConstraintSummary(results, constraints) {
@@ -0,0 +1,129 @@
+import Logger from '../utils/logger.js';
+
+// ddmin (Zeller & Hildebrandt): shrinks a failing set of items to a 1-minimal subset that
+// still fails, i.e. removing any single remaining item makes the failure disappear.
+// `test(subset, probeNumber)` resolves { failed, description }. Every probe is recorded.
+class DeltaDebugger {
+  constructor(test, options = {}) {
+    this.test = test;
+    this.options = {
+      maxProbes: 100,
+      getId: item => item.id,
+      ...options
+    };
+    this.probes = [];
+    this.cache = new Map();
+  }
+
+  async minimize(items) {
+    const reproduced = await this.probe(items, 'full set');
+    if (!reproduced) {
+      Logger.warning('Failure does not reproduce with the full set - nothing to isolate');
+      return { reproduced: false, minimal: [], exhausted: false, probes: this.probes };
+    }
+
+    let current = [...items];
+    let granularity = 2;
+
+    while (current.length >= 2) {
+      if (this.isExhausted()) {
+        Logger.warning(`Reached maximum probes (${this.options.maxProbes}) - result may not be minimal`);
+        return { reproduced: true, minimal: current, exhausted: true, probes: this.probes };
+      }
+
+      const chunks = this.split(current, granularity);
+      let reduced = false;
+
+      // Reduce to a failing chunk
+      for (const chunk of chunks) {
+        if (this.isExhausted()) {
+          break;
+        }
+        if (await this.probe(chunk, `chunk of ${chunk.length}/${current.length}`)) {
+          current = chunk;
+          granularity = 2;
+          reduced = true;
+          break;
+        }
+      }
+
+      // Reduce to a failing complement
+      if (!reduced && granularity > 2) {
+        for (const chunk of chunks) {
+          if (this.isExhausted()) {
+            break;
+          }
+          const chunkIds = new Set(chunk.map(this.options.getId));
+          const complement = current.filter(item => !chunkIds.has(this.options.getId(item)));
+          if (await this.probe(complement, `complement of ${chunk.length}/${current.length}`)) {
+            current = complement;
+            granularity = Math.max(granularity - 1, 2);
+            reduced = true;
+            break;
+          }
+        }
+      }
+
+      if (!reduced && !this.isExhausted()) {
+        if (granularity >= current.length) {
+          break;
+        }
+        granularity = Math.min(granularity * 2, current.length);
+      }
+    }
+
+    Logger.success(`Isolated ${current.length} item(s) after ${this.probes.length} probes`);
+    return { reproduced: true, minimal: current, exhausted: false, probes: this.probes };
+  }
+
+  isExhausted() {
+    return this.probes.length >= this.options.maxProbes;
+  }
+
+  split(items, parts) {
+    const chunks = [];
+    let start = 0;
+
+    for (let index = 0; index < parts; index++) {
+      const end = start + Math.floor((items.length - start) / (parts - index));
+      chunks.push(items.slice(start, end));
+      start = end;
+    }
+
+    return chunks.filter(chunk => chunk.length > 0);
+  }
+
+  async probe(subset, label) {
+    const ids = subset.map(this.options.getId);
+    const key = [...ids].map(String).sort().join(',');
+
+    // Identical subsets are only ever sent once
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const probeNumber = this.probes.length + 1;
+    Logger.info(`Probe ${probeNumber}: ${label} (${subset.length} items)`);
+
+    const startTime = Date.now();
+    const outcome = await this.test(subset, probeNumber);
+    const failed = !!outcome.failed;
+
+    this.probes.push({
+      probe: probeNumber,
+      label,
+      size: subset.length,
+      ids,
+      failed,
+      outcome: outcome.description || null,
+      durationMs: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+    this.cache.set(key, failed);
+
+    Logger.info(`Probe ${probeNumber}: failure ${failed ? 'reproduced' : 'not reproduced'}${outcome.description ? ` (${outcome.description})` : ''}`);
+    return failed;
+  }
+}
+
+export default DeltaDebugger;
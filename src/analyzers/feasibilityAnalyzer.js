@@ -0,0 +1,291 @@
+import Logger from '../utils/logger.js';
+import LoadModel from './loadModel.js';
+import InputParser from '../parsers/inputParser.js';
+
+export const FEASIBILITY_ISSUES = {
+  CAPACITY_DIMENSION_MISMATCH: 'capacity_dimension_mismatch',
+  EXCEEDS_VEHICLE_CAPACITY: 'exceeds_vehicle_capacity',
+  NO_VEHICLE_IN_TIME_WINDOW: 'no_vehicle_in_time_window',
+  NO_CAPACITY_IN_TIME_WINDOW: 'no_capacity_in_time_window',
+  INVALID_LOCATION_INDEX: 'invalid_location_index',
+  DAILY_DEMAND_EXCEEDS_CAPACITY: 'daily_demand_exceeds_capacity',
+  FLEET_DEMAND_EXCEEDS_CAPACITY: 'fleet_demand_exceeds_capacity'
+};
+
+// Offline pre-flight pass over a parsed input: explains, per job and per vehicle, what
+// would make NextBillion reject the request or leave the job unassigned, plus demand
+// against capacity for the whole fleet and for every shift day. No API call is made.
+class FeasibilityAnalyzer {
+  static analyze(input) {
+    Logger.debug('Running pre-flight feasibility analysis...');
+
+    const vehicles = input.vehicles || [];
+    const jobs = input.jobs || [];
+    const locationCount = this.getLocationCount(input);
+    const dimension = this.getFleetDimension(vehicles);
+
+    const vehicleIssues = vehicles
+      .map(vehicle => ({ id: vehicle.id, issues: this.checkVehicle(vehicle, dimension, locationCount) }))
+      .filter(entry => entry.issues.length > 0);
+
+    // Only vehicles the API will accept can serve jobs
+    const invalidVehicles = new Set(vehicleIssues.map(entry => String(entry.id)));
+    const usableVehicles = vehicles.filter(vehicle => !invalidVehicles.has(String(vehicle.id)));
+
+    const jobIssues = jobs
+      .map(job => ({ id: job.id, issues: this.checkJob(job, { ...input, vehicles: usableVehicles }, dimension, locationCount) }))
+      .filter(entry => entry.issues.length > 0);
+
+    // Jobs the API would reject outright don't count towards daily demand
+    const mismatched = new Set(jobIssues
+      .filter(entry => entry.issues.some(issue => issue.code === FEASIBILITY_ISSUES.CAPACITY_DIMENSION_MISMATCH))
+      .map(entry => String(entry.id)));
+    const days = this.analyzeDays(jobs.filter(job => !mismatched.has(String(job.id))), usableVehicles);
+    const totalDemand = jobs
+      .filter(job => !mismatched.has(String(job.id)))
+      .reduce((sum, job) => LoadModel.addVectors(sum, LoadModel.addVectors(job.delivery || [], job.pickup || [])), []);
+    const totalCapacity = usableVehicles.reduce((sum, vehicle) => LoadModel.addVectors(sum, vehicle.capacity || []), []);
+    const fleetShortfall = LoadModel.subtractVectors(totalDemand, totalCapacity).map(value => Math.max(0, value));
+    const fleetShort = fleetShortfall.some(value => value > 0);
+    const dayIssues = days.filter(day => [...day.shortfall, ...day.laterShortfall].some(value => value > 0));
+
+    const issueCounts = {};
+    [...vehicleIssues, ...jobIssues].forEach(entry => {
+      entry.issues.forEach(issue => {
+        issueCounts[issue.code] = (issueCounts[issue.code] || 0) + 1;
+      });
+    });
+    if (dayIssues.length > 0) {
+      issueCounts[FEASIBILITY_ISSUES.DAILY_DEMAND_EXCEEDS_CAPACITY] = dayIssues.length;
+    }
+    if (fleetShort) {
+      issueCounts[FEASIBILITY_ISSUES.FLEET_DEMAND_EXCEEDS_CAPACITY] = 1;
+    }
+
+    const report = {
+      feasible: vehicleIssues.length === 0 && jobIssues.length === 0 && dayIssues.length === 0 && !fleetShort,
+      summary: {
+        vehiclesChecked: vehicles.length,
+        jobsChecked: jobs.length,
+        capacityDimensions: dimension,
+        locationCount,
+        invalidVehicles: vehicleIssues.length,
+        infeasibleJobs: jobIssues.length,
+        daysOverCapacity: dayIssues.length,
+        totalDemand,
+        totalCapacity,
+        fleetShortfall,
+        issueCounts
+      },
+      vehicles: vehicleIssues,
+      jobs: jobIssues,
+      days
+    };
+
+    Logger.info(`Pre-flight check: ${report.summary.infeasibleJobs} infeasible jobs, ${report.summary.invalidVehicles} invalid vehicles, ${report.summary.daysOverCapacity} days over capacity`);
+    return report;
+  }
+
+  static getLocationCount(input) {
+    const locations = input.locations?.location;
+    return Array.isArray(locations) ? locations.length : null;
+  }
+
+  // The capacity vector length most vehicles use; NextBillion requires every amount to match it
+  static getFleetDimension(vehicles) {
+    const counts = new Map();
+    vehicles.forEach(vehicle => {
+      const length = (vehicle.capacity || []).length;
+      counts.set(length, (counts.get(length) || 0) + 1);
+    });
+
+    let dimension = 0;
+    let best = 0;
+    counts.forEach((count, length) => {
+      if (count > best) {
+        best = count;
+        dimension = length;
+      }
+    });
+    return dimension;
+  }
+
+  static checkVehicle(vehicle, dimension, locationCount) {
+    const issues = [];
+    const capacity = vehicle.capacity || [];
+
+    if (capacity.length !== dimension) {
+      issues.push({
+        code: FEASIBILITY_ISSUES.CAPACITY_DIMENSION_MISMATCH,
+        message: `Capacity has ${capacity.length} dimension(s), the fleet uses ${dimension}`,
+        capacity
+      });
+    }
+
+    ['start_index', 'end_index'].forEach(field => {
+      if (vehicle[field] !== undefined && !this.isValidLocationIndex(vehicle[field], locationCount)) {
+        issues.push({
+          code: FEASIBILITY_ISSUES.INVALID_LOCATION_INDEX,
+          message: `${field} ${vehicle[field]} is outside locations.location (${locationCount} entries)`,
+          field,
+          locationIndex: vehicle[field]
+        });
+      }
+    });
+
+    return issues;
+  }
+
+  static checkJob(job, input, dimension, locationCount) {
+    const issues = [];
+    const amounts = { delivery: job.delivery, pickup: job.pickup };
+    let dimensionsMatch = true;
+
+    Object.entries(amounts).forEach(([field, amount]) => {
+      if (Array.isArray(amount) && amount.length !== dimension) {
+        dimensionsMatch = false;
+        issues.push({
+          code: FEASIBILITY_ISSUES.CAPACITY_DIMENSION_MISMATCH,
+          message: `Inconsistent ${field} dimension: ${amount.length} instead of ${dimension}`,
+          field,
+          amount
+        });
+      }
+    });
+
+    if (!this.isValidLocationIndex(job.location_index, locationCount)) {
+      issues.push({
+        code: FEASIBILITY_ISSUES.INVALID_LOCATION_INDEX,
+        message: `location_index ${job.location_index} is outside locations.location (${locationCount} entries)`,
+        locationIndex: job.location_index
+      });
+    }
+
+    // Capacity and time window checks are meaningless once the vectors don't line up
+    if (!dimensionsMatch) {
+      return issues;
+    }
+
+    const fits = vehicle => Object.values(amounts).every(amount => !Array.isArray(amount) || LoadModel.fitsWithin(amount, vehicle.capacity || []));
+    const capableVehicles = input.vehicles.filter(fits);
+
+    if (capableVehicles.length === 0) {
+      issues.push({
+        code: FEASIBILITY_ISSUES.EXCEEDS_VEHICLE_CAPACITY,
+        message: `Demand ${JSON.stringify(job.delivery || job.pickup)} exceeds every vehicle capacity`,
+        demand: job.delivery || job.pickup,
+        largestCapacity: this.getLargestCapacity(input.vehicles)
+      });
+      return issues;
+    }
+
+    const windows = job.time_windows || [];
+    if (windows.length > 0) {
+      const available = new Set();
+      windows.forEach(([start, end]) => {
+        InputParser.getVehiclesByTimeWindow(input, start, end).forEach(vehicle => available.add(vehicle));
+      });
+
+      if (available.size === 0) {
+        issues.push({
+          code: FEASIBILITY_ISSUES.NO_VEHICLE_IN_TIME_WINDOW,
+          message: 'No vehicle shift overlaps any of the job time windows',
+          timeWindows: windows
+        });
+      } else if (!capableVehicles.some(vehicle => available.has(vehicle))) {
+        issues.push({
+          code: FEASIBILITY_ISSUES.NO_CAPACITY_IN_TIME_WINDOW,
+          message: `${available.size} vehicle(s) work during the job time windows but none can carry ${JSON.stringify(job.delivery || job.pickup)}`,
+          timeWindows: windows,
+          largestCapacity: this.getLargestCapacity([...available])
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  static isValidLocationIndex(index, locationCount) {
+    if (locationCount === null) {
+      return true; // Nothing to check against
+    }
+    return Number.isInteger(index) && index >= 0 && index < locationCount;
+  }
+
+  static getLargestCapacity(vehicles) {
+    return vehicles.reduce((largest, vehicle) => {
+      const capacity = vehicle.capacity || [];
+      return largest === null || LoadModel.getPrimaryLoad(capacity) > LoadModel.getPrimaryLoad(largest) ? capacity : largest;
+    }, null);
+  }
+
+  // Shift days are the UTC dates vehicle shifts start on. A job that can only be served on
+  // one of them counts towards that day; jobs open on several days are reported as flexible.
+  // Flexible jobs still bound later days: laterDemand is what can only go on the day or after
+  // it, checked against laterCapacity, the capacity of the day and every day after it.
+  static analyzeDays(jobs, vehicles) {
+    const days = new Map();
+
+    vehicles.forEach(vehicle => {
+      const [start] = vehicle.time_window || [];
+      if (start === undefined) {
+        return;
+      }
+      const day = InputParser.getDay(start);
+      const entry = days.get(day) || this.createDay(day);
+      entry.vehicles++;
+      entry.capacity = LoadModel.addVectors(entry.capacity, vehicle.capacity || []);
+      entry.shifts.push(vehicle.time_window);
+      days.set(day, entry);
+    });
+
+    const jobDaySets = [];
+    jobs.forEach(job => {
+      const demand = LoadModel.addVectors(job.delivery || [], job.pickup || []);
+      const windows = job.time_windows || [];
+      const jobDays = [...days.values()].filter(entry => {
+        return windows.length === 0 || windows.some(([start, end]) => {
+          return entry.shifts.some(([shiftStart, shiftEnd]) => shiftStart <= end && shiftEnd >= start);
+        });
+      });
+
+      if (jobDays.length > 0) {
+        jobDaySets.push({ demand, days: new Set(jobDays.map(entry => entry.day)) });
+      }
+
+      if (jobDays.length === 1) {
+        jobDays[0].jobs++;
+        jobDays[0].demand = LoadModel.addVectors(jobDays[0].demand, demand);
+      } else {
+        jobDays.forEach(entry => {
+          entry.flexibleJobs++;
+          entry.flexibleDemand = LoadModel.addVectors(entry.flexibleDemand, demand);
+        });
+      }
+    });
+
+    const sortedDays = [...days.values()].sort((a, b) => a.day.localeCompare(b.day));
+    return sortedDays.map(({ shifts, ...entry }, index) => {
+      const laterDays = new Set(sortedDays.slice(index).map(later => later.day));
+      const laterCapacity = sortedDays.slice(index).reduce((sum, later) => LoadModel.addVectors(sum, later.capacity), []);
+      const laterDemand = jobDaySets
+        .filter(jobDays => [...jobDays.days].every(day => laterDays.has(day)))
+        .reduce((sum, jobDays) => LoadModel.addVectors(sum, jobDays.demand), []);
+
+      return {
+        ...entry,
+        shortfall: LoadModel.subtractVectors(entry.demand, entry.capacity).map(value => Math.max(0, value)),
+        utilization: LoadModel.getUtilization(entry.demand, entry.capacity),
+        laterDemand,
+        laterCapacity,
+        laterShortfall: LoadModel.subtractVectors(laterDemand, laterCapacity).map(value => Math.max(0, value))
+      };
+    });
+  }
+
+  static createDay(day) {
+    return { day, vehicles: 0, capacity: [], jobs: 0, demand: [], flexibleJobs: 0, flexibleDemand: [], shifts: [] };
+  }
+}
+
+export default FeasibilityAnalyzer;
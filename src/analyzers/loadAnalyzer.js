@@ -1,9 +1,16 @@
 import Logger from '../utils/logger.js';
+import LoadModel from './loadModel.js';
+import RouteDiagnostics from './routeDiagnostics.js';
+import FeasibilityAnalyzer from './feasibilityAnalyzer.js';
+import InputParser from '../parsers/inputParser.js';
 
 class LoadAnalyzer {
-  static analyzeLoadDistribution(solution, targetMinLoad = 12000) {
+  static analyzeLoadDistribution(solution, targetMinLoad = 12000, input = null) {
     try {
       Logger.debug(`Analyzing load distribution with target minimum: ${targetMinLoad}`);
+
+      // Accept either InputParser.parse() output or the raw input data
+      const vehicleIndex = this.buildVehicleIndex(input ? (input.data || input) : null);
       
       const analysis = {
         targetMinLoad,
@@ -11,6 +18,8 @@ class LoadAnalyzer {
         routesAboveTarget: [],
         loadGaps: [],
         optimizationOpportunities: [],
+        routeDiagnostics: [],
+        dailyBreakdown: [],
         summary: {}
       };
 
@@ -29,24 +38,43 @@ class LoadAnalyzer {
       analysis.loadGaps = analysis.routesBelowTarget.map(route => {
         const currentLoad = this.calculateRouteLoad(route);
         const gap = targetMinLoad - currentLoad;
+        const vehicle = vehicleIndex.get(String(route.vehicle));
         return {
           vehicleId: route.vehicle,
           currentLoad,
+          loadVector: LoadModel.getRouteLoadVector(route),
           targetLoad: targetMinLoad,
           gap,
-          gapPercentage: (gap / targetMinLoad) * 100
+          gapPercentage: (gap / targetMinLoad) * 100,
+          // Where the gap sits, so vehicle additions can be placed on that day and depot
+          day: vehicle && Array.isArray(vehicle.time_window) ? InputParser.getDay(vehicle.time_window[0]) : null,
+          depot: vehicle ? { start_index: vehicle.start_index, end_index: vehicle.end_index } : null
         };
       });
 
+      // Why each light route is light, when the input is available to judge it
+      analysis.routeDiagnostics = RouteDiagnostics.diagnose(solution, input, targetMinLoad);
+      const causes = new Map(analysis.routeDiagnostics.map(diagnostic => [String(diagnostic.vehicleId), diagnostic.cause]));
+      analysis.loadGaps.forEach(loadGap => {
+        loadGap.cause = causes.get(String(loadGap.vehicleId)) || null;
+      });
+
+      // Load, compliance and open demand per planning day (vehicle shift date)
+      analysis.dailyBreakdown = this.calculateDailyBreakdown(solution, input ? (input.data || input) : null, targetMinLoad, vehicleIndex);
+
       // Identify optimization opportunities
       analysis.optimizationOpportunities = this.identifyOptimizationOpportunities(
         analysis.routesBelowTarget,
         analysis.routesAboveTarget,
-        targetMinLoad
+        targetMinLoad,
+        vehicleIndex
       );
 
       // Calculate summary statistics
       analysis.summary = this.calculateLoadSummary(analysis, targetMinLoad);
+      analysis.summary.vehicleTypes = this.calculateVehicleTypeUtilization(solution, vehicleIndex);
+      analysis.summary.shortfallCauses = RouteDiagnostics.summarize(analysis.routeDiagnostics);
+      analysis.summary.fleetSplit = this.calculateFleetSplit(solution, targetMinLoad, vehicleIndex);
 
       Logger.info(`Load analysis complete: ${analysis.routesBelowTarget.length} routes below target`);
       Logger.debug(`Total load gap: ${analysis.summary.totalLoadGap}`);
@@ -60,19 +88,32 @@ class LoadAnalyzer {
   }
 
   static calculateRouteLoad(route) {
-    const jobSteps = route.steps.filter(step => step.type === 'job');
-    return jobSteps.reduce((sum, step) => {
-      return sum + (step.load ? step.load[0] : 0);
-    }, 0);
+    return LoadModel.getRouteLoad(route);
   }
 
-  static identifyOptimizationOpportunities(routesBelowTarget, routesAboveTarget, targetMinLoad) {
+  static buildVehicleIndex(input) {
+    const vehicleIndex = new Map();
+    if (!input || !Array.isArray(input.vehicles)) {
+      return vehicleIndex;
+    }
+
+    input.vehicles.forEach(vehicle => {
+      // Route vehicle ids come back as strings or numbers depending on the input
+      vehicleIndex.set(String(vehicle.id), vehicle);
+    });
+
+    return vehicleIndex;
+  }
+
+  static identifyOptimizationOpportunities(routesBelowTarget, routesAboveTarget, targetMinLoad, vehicleIndex = new Map()) {
     const opportunities = [];
 
     // Opportunity 1: Routes that can accept more load
     const routesWithCapacity = routesBelowTarget.map(route => {
       const currentLoad = this.calculateRouteLoad(route);
-      const vehicleCapacity = this.getVehicleCapacity(route);
+      const capacityVector = this.getVehicleCapacity(route, vehicleIndex);
+      const headroom = LoadModel.subtractVectors(capacityVector, LoadModel.getRouteLoadVector(route));
+      const vehicleCapacity = LoadModel.getPrimaryLoad(capacityVector);
       const availableCapacity = vehicleCapacity - currentLoad;
       
       return {
@@ -81,6 +122,8 @@ class LoadAnalyzer {
         currentLoad,
         vehicleCapacity,
         availableCapacity,
+        capacityVector,
+        headroom,
         priority: availableCapacity > (targetMinLoad - currentLoad) ? 'high' : 'medium'
       };
     });
@@ -101,7 +144,7 @@ class LoadAnalyzer {
     });
 
     // Opportunity 3: Route merging possibilities
-    const mergeOpportunities = this.findMergeOpportunities(routesBelowTarget, targetMinLoad);
+    const mergeOpportunities = this.findMergeOpportunities(routesBelowTarget, targetMinLoad, vehicleIndex);
 
     opportunities.push(...routesWithCapacity);
     opportunities.push(...overTargetRoutes);
@@ -113,13 +156,85 @@ class LoadAnalyzer {
     });
   }
 
-  static getVehicleCapacity(route) {
-    // This would typically come from the input data
-    // For now, we'll use a default capacity
-    return 14000;
+  static getVehicleProfile(route, vehicleIndex = new Map()) {
+    const vehicle = vehicleIndex.get(String(route.vehicle)) || null;
+    const capacity = vehicle && Array.isArray(vehicle.capacity) ? [...vehicle.capacity] : null;
+    const adoptedCapacity = LoadModel.getRouteCapacity(route);
+    const metadata = vehicle ? vehicle.metadata || {} : {};
+
+    return {
+      vehicleId: route.vehicle,
+      capacity,
+      adoptedCapacity,
+      // The capacity the optimizer actually used wins over the declared one
+      effectiveCapacity: adoptedCapacity || capacity,
+      metadata,
+      type: this.getVehicleType(vehicle, adoptedCapacity || capacity)
+    };
+  }
+
+  static getVehicleType(vehicle, capacity) {
+    const metadata = vehicle ? vehicle.metadata || {} : {};
+    if (metadata.vehicle_type || metadata.type) {
+      return String(metadata.vehicle_type || metadata.type);
+    }
+    return capacity ? `capacity ${capacity.join('/')}` : 'unknown';
+  }
+
+  static getVehicleCapacity(route, vehicleIndex = new Map()) {
+    const profile = this.getVehicleProfile(route, vehicleIndex);
+    if (!profile.effectiveCapacity) {
+      Logger.debug(`No capacity found for vehicle ${route.vehicle} - falling back to 14000`);
+      return [14000];
+    }
+    return profile.effectiveCapacity;
   }
 
-  static findMergeOpportunities(routesBelowTarget, targetMinLoad) {
+  static calculateVehicleTypeUtilization(solution, vehicleIndex = new Map()) {
+    const types = {};
+
+    const ensureType = (type, capacity) => {
+      if (!types[type]) {
+        types[type] = {
+          type,
+          capacity,
+          fleetCount: 0,
+          routeCount: 0,
+          totalLoad: 0,
+          loadVector: [],
+          totalCapacity: [],
+          utilization: 0,
+          headroom: []
+        };
+      }
+      return types[type];
+    };
+
+    // Fleet size per type comes from the input, when we have it
+    vehicleIndex.forEach(vehicle => {
+      const capacity = Array.isArray(vehicle.capacity) ? vehicle.capacity : null;
+      ensureType(this.getVehicleType(vehicle, capacity), capacity).fleetCount++;
+    });
+
+    solution.routes.forEach(route => {
+      const profile = this.getVehicleProfile(route, vehicleIndex);
+      const entry = ensureType(profile.type, profile.effectiveCapacity);
+      const loadVector = LoadModel.getRouteLoadVector(route);
+
+      entry.routeCount++;
+      entry.totalLoad += LoadModel.getPrimaryLoad(loadVector);
+      entry.loadVector = LoadModel.addVectors(entry.loadVector, loadVector);
+      entry.totalCapacity = LoadModel.addVectors(entry.totalCapacity, profile.effectiveCapacity || []);
+    });
+
+    return Object.values(types).map(entry => ({
+      ...entry,
+      utilization: LoadModel.getUtilization(entry.loadVector, entry.totalCapacity),
+      headroom: LoadModel.subtractVectors(entry.totalCapacity, entry.loadVector)
+    }));
+  }
+
+  static findMergeOpportunities(routesBelowTarget, targetMinLoad, vehicleIndex = new Map()) {
     const opportunities = [];
     
     // Find pairs of routes that could be merged
@@ -131,9 +246,18 @@ class LoadAnalyzer {
         const load1 = this.calculateRouteLoad(route1);
         const load2 = this.calculateRouteLoad(route2);
         const combinedLoad = load1 + load2;
+        const combinedVector = LoadModel.addVectors(
+          LoadModel.getRouteLoadVector(route1),
+          LoadModel.getRouteLoadVector(route2)
+        );
+
+        // The merged route has to fit on one of the two vehicles in every dimension
+        const fitsVehicle = [route1, route2].some(route => {
+          return LoadModel.fitsWithin(combinedVector, this.getVehicleCapacity(route, vehicleIndex));
+        });
         
         // Check if combined load would be reasonable (not too high)
-        if (combinedLoad <= targetMinLoad * 1.2 && combinedLoad >= targetMinLoad * 0.8) {
+        if (fitsVehicle && combinedLoad <= targetMinLoad * 1.2 && combinedLoad >= targetMinLoad * 0.8) {
           opportunities.push({
             type: 'route_merge',
             vehicleId1: route1.vehicle,
@@ -141,6 +265,7 @@ class LoadAnalyzer {
             load1,
             load2,
             combinedLoad,
+            combinedVector,
             priority: combinedLoad >= targetMinLoad ? 'high' : 'medium'
           });
         }
@@ -179,6 +304,117 @@ class LoadAnalyzer {
     };
   }
 
+  // Vehicles added by InputModifier.addVehicles are tagged in their metadata
+  static isAddedVehicle(vehicle) {
+    return !!(vehicle && vehicle.metadata && vehicle.metadata.added_for_load_balancing);
+  }
+
+  // Routes, load and compliance of the original fleet versus the vehicles added for load
+  // balancing, with the added vehicles grouped by capacity
+  static calculateFleetSplit(solution, targetMinLoad, vehicleIndex = new Map()) {
+    const createGroup = () => ({ vehicles: 0, routes: 0, routesBelowTarget: 0, totalLoad: 0, complianceRate: null });
+    const split = { original: createGroup(), added: { ...createGroup(), byCapacity: [] } };
+    const capacities = new Map();
+
+    const capacityEntry = capacity => {
+      const key = capacity.join('/');
+      if (!capacities.has(key)) {
+        capacities.set(key, { capacity, vehicles: 0, routes: 0 });
+      }
+      return capacities.get(key);
+    };
+
+    vehicleIndex.forEach(vehicle => {
+      if (this.isAddedVehicle(vehicle)) {
+        split.added.vehicles++;
+        capacityEntry(vehicle.capacity || []).vehicles++;
+      } else {
+        split.original.vehicles++;
+      }
+    });
+
+    solution.routes.forEach(route => {
+      const vehicle = vehicleIndex.get(String(route.vehicle));
+      const added = this.isAddedVehicle(vehicle);
+      const group = added ? split.added : split.original;
+      const load = this.calculateRouteLoad(route);
+
+      group.routes++;
+      group.totalLoad += load;
+      if (load < targetMinLoad) {
+        group.routesBelowTarget++;
+      }
+      if (added) {
+        capacityEntry(vehicle.capacity || []).routes++;
+      }
+    });
+
+    [split.original, split.added].forEach(group => {
+      group.complianceRate = group.routes > 0 ? ((group.routes - group.routesBelowTarget) / group.routes) * 100 : null;
+    });
+    split.added.byCapacity = [...capacities.values()].sort((a, b) => b.routes - a.routes);
+
+    // Without the input every route counts as original and the fleet size is unknown
+    if (vehicleIndex.size === 0) {
+      split.original.vehicles = null;
+      split.added.vehicles = null;
+    }
+
+    return split;
+  }
+
+  static calculateDailyBreakdown(solution, input, targetMinLoad, vehicleIndex = new Map()) {
+    if (!input || !Array.isArray(input.vehicles)) {
+      return [];
+    }
+
+    // Demand is split as in the pre-flight check: jobs only that day's shifts can serve, and
+    // flexible jobs open on several days, which count towards each of those days
+    const jobDays = new Map(FeasibilityAnalyzer.analyzeDays(input.jobs || [], input.vehicles).map(day => [day.day, day]));
+
+    const days = InputParser.getPlanningDays(input).map(planningDay => {
+      const jobDay = jobDays.get(planningDay.day) || FeasibilityAnalyzer.createDay(planningDay.day);
+
+      return {
+        ...planningDay,
+        vehicles: planningDay.vehicleIds.length,
+        routes: 0,
+        routesBelowTarget: 0,
+        totalLoad: 0,
+        totalLoadGap: 0,
+        jobs: jobDay.jobs,
+        demand: LoadModel.getPrimaryLoad(jobDay.demand),
+        flexibleJobs: jobDay.flexibleJobs,
+        flexibleDemand: LoadModel.getPrimaryLoad(jobDay.flexibleDemand)
+      };
+    });
+    const dayIndex = new Map(days.map(day => [day.day, day]));
+
+    solution.routes.forEach(route => {
+      const vehicle = vehicleIndex.get(String(route.vehicle));
+      const timestamp = vehicle && Array.isArray(vehicle.time_window)
+        ? vehicle.time_window[0]
+        : (route.steps || [])[0]?.arrival;
+      const day = timestamp !== undefined ? dayIndex.get(InputParser.getDay(timestamp)) : null;
+      if (!day) {
+        return;
+      }
+
+      const load = this.calculateRouteLoad(route);
+      day.routes++;
+      day.totalLoad += load;
+      if (load < targetMinLoad) {
+        day.routesBelowTarget++;
+        day.totalLoadGap += targetMinLoad - load;
+      }
+    });
+
+    return days.map(({ vehicleIds, ...day }) => ({
+      ...day,
+      complianceRate: day.routes > 0 ? ((day.routes - day.routesBelowTarget) / day.routes) * 100 : null
+    }));
+  }
+
   static suggestLoadBalancingStrategies(analysis) {
     const strategies = [];
 
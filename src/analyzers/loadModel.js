@@ -0,0 +1,101 @@
+// The per-route load target (--min-load) is one number, measured in the primary capacity
+// dimension: the first entry of every capacity, delivery and pickup vector. Dimensions can
+// be in different units (e.g. kg and pallets), so they are never added together; the other
+// dimensions only count towards capacity and utilisation checks.
+const PRIMARY_DIMENSION = 0;
+
+class LoadModel {
+  // NextBillion routes carry route-level `delivery` and `pickup` vectors (one entry per
+  // capacity dimension) plus the `adopted_capacity` of the vehicle. `step.load` is the
+  // vehicle's running load, so it must not be summed to get what the route carries.
+  static getDeliveryVector(route) {
+    if (Array.isArray(route.delivery)) {
+      return route.delivery.map(value => value || 0);
+    }
+    return this.getLegacyStepLoadVector(route);
+  }
+
+  static getPickupVector(route) {
+    if (Array.isArray(route.pickup)) {
+      return route.pickup.map(value => value || 0);
+    }
+    return [];
+  }
+
+  static getLegacyStepLoadVector(route) {
+    // Fallback for solutions without route-level vectors (e.g. hand-built fixtures),
+    // where each job step carries the job's own demand as `load`.
+    const jobSteps = (route.steps || []).filter(step => step.type === 'job');
+    return jobSteps.reduce((sum, step) => this.addVectors(sum, step.load || []), []);
+  }
+
+  static getRouteLoadVector(route) {
+    return this.addVectors(this.getDeliveryVector(route), this.getPickupVector(route));
+  }
+
+  // Scalar load compared against the per-route target: the primary dimension only
+  static getRouteLoad(route) {
+    return this.getPrimaryLoad(this.getRouteLoadVector(route));
+  }
+
+  // A job's delivery plus pickup in the primary dimension
+  static getJobLoad(job) {
+    return this.getPrimaryLoad(this.addVectors(job.delivery || [], job.pickup || []));
+  }
+
+  static getPrimaryLoad(vector) {
+    return (vector && vector[PRIMARY_DIMENSION]) || 0;
+  }
+
+  static getRouteCapacity(route) {
+    return Array.isArray(route.adopted_capacity) ? [...route.adopted_capacity] : null;
+  }
+
+  static describeRoute(route, capacity = null) {
+    const delivery = this.getDeliveryVector(route);
+    const pickup = this.getPickupVector(route);
+    const loadVector = this.addVectors(delivery, pickup);
+    const capacityVector = capacity || this.getRouteCapacity(route);
+
+    return {
+      vehicleId: route.vehicle,
+      delivery,
+      pickup,
+      loadVector,
+      load: this.getPrimaryLoad(loadVector),
+      capacity: capacityVector,
+      headroom: capacityVector ? this.subtractVectors(capacityVector, loadVector) : null,
+      utilization: capacityVector ? this.getUtilization(loadVector, capacityVector) : null
+    };
+  }
+
+  static getUtilization(loadVector, capacityVector) {
+    // The binding dimension decides how full a vehicle is
+    const ratios = capacityVector.map((capacity, index) => {
+      return capacity > 0 ? ((loadVector[index] || 0) / capacity) * 100 : 0;
+    });
+    return ratios.length > 0 ? Math.max(...ratios) : 0;
+  }
+
+  static fitsWithin(loadVector, capacityVector) {
+    const dimensions = Math.max(loadVector.length, capacityVector.length);
+    for (let index = 0; index < dimensions; index++) {
+      if ((loadVector[index] || 0) > (capacityVector[index] || 0)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  static addVectors(a, b) {
+    const length = Math.max(a.length, b.length);
+    return Array.from({ length }, (_, index) => (a[index] || 0) + (b[index] || 0));
+  }
+
+  static subtractVectors(a, b) {
+    const length = Math.max(a.length, b.length);
+    return Array.from({ length }, (_, index) => (a[index] || 0) - (b[index] || 0));
+  }
+}
+
+export default LoadModel;
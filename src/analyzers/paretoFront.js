@@ -0,0 +1,60 @@
+// Trade-offs the planner chooses between: a point is on the front when no other point is at
+// least as good on every objective and strictly better on one
+export const PARETO_OBJECTIVES = {
+  compliance: 'max',
+  addedVehicles: 'min',
+  distance: 'min',
+  unassigned: 'min'
+};
+
+class ParetoFront {
+  // Objective values of a scored iteration (see SolutionScorer.score)
+  static toPoint(iteration, score, extra = {}) {
+    const value = criterion => (score.criteria[criterion] ? score.criteria[criterion].value : null);
+    return {
+      iteration,
+      ...extra,
+      compliance: value('compliance'),
+      addedVehicles: value('addedVehicles'),
+      distance: value('distance') !== null ? Number(value('distance').toFixed(1)) : null,
+      unassigned: value('unassigned')
+    };
+  }
+
+  static dominates(a, b) {
+    let strictlyBetter = false;
+
+    for (const [objective, direction] of Object.entries(PARETO_OBJECTIVES)) {
+      // Unknown values can neither win nor lose a comparison
+      if (a[objective] === null || a[objective] === undefined || b[objective] === null || b[objective] === undefined) {
+        continue;
+      }
+      const difference = direction === 'max' ? a[objective] - b[objective] : b[objective] - a[objective];
+      if (difference < 0) {
+        return false;
+      }
+      if (difference > 0) {
+        strictlyBetter = true;
+      }
+    }
+
+    return strictlyBetter;
+  }
+
+  // Non-dominated points, highest compliance first; points with identical objectives are all kept
+  static compute(points) {
+    return points
+      .filter(point => !points.some(other => other !== point && this.dominates(other, point)))
+      .sort((a, b) => (b.compliance - a.compliance) || (a.addedVehicles - b.addedVehicles) || (a.iteration - b.iteration));
+  }
+
+  // Adds a point to an existing front; returns the new front and whether the point joined it
+  static insert(front, point) {
+    if (front.some(member => this.dominates(member, point))) {
+      return { front, added: false };
+    }
+    return { front: this.compute([...front.filter(member => !this.dominates(point, member)), point]), added: true };
+  }
+}
+
+export default ParetoFront;
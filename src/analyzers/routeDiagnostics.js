@@ -0,0 +1,211 @@
+import Geo from '../utils/geo.js';
+import LoadModel from './loadModel.js';
+
+export const SHORTFALL_CAUSES = {
+  TIME_BOUND: 'time_bound',
+  DEMAND_BOUND: 'demand_bound',
+  GEOGRAPHY_BOUND: 'geography_bound',
+  OBJECTIVE_BOUND: 'objective_bound'
+};
+
+// InputModifier strategy type that addresses each shortfall cause
+const SUGGESTED_STRATEGIES = {
+  [SHORTFALL_CAUSES.TIME_BOUND]: {
+    type: 'time_window_softening',
+    reason: 'Allow overtime so the shift has room for more stops'
+  },
+  [SHORTFALL_CAUSES.DEMAND_BOUND]: {
+    type: 'time_window_relaxation',
+    reason: 'Widen time windows so jobs from neighbouring windows can move onto the route'
+  },
+  [SHORTFALL_CAUSES.GEOGRAPHY_BOUND]: {
+    type: 'capacity_adjustment',
+    reason: 'Serve the isolated cluster with a smaller vehicle; its demand cannot reach the target'
+  },
+  [SHORTFALL_CAUSES.OBJECTIVE_BOUND]: {
+    type: 'objective_modification',
+    objective: 'minimize_vehicles_with_load_constraint',
+    reason: 'Consolidate routes; nearby jobs are unserved or sit on other light routes'
+  }
+};
+
+const DEFAULT_OPTIONS = {
+  shiftUsageThreshold: 0.9 // Share of the shift spent driving, serving or waiting that counts as full
+};
+
+// Explains why each route below the load target is light, checked in order: the shift is
+// already used up (time-bound), the jobs open during the shift can't fill every route on the
+// road (demand-bound), nothing unserved or lightly served is near the route (geography-bound),
+// otherwise the objective left nearby work on other routes (objective-bound).
+class RouteDiagnostics {
+  static diagnose(solution, input, targetMinLoad, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const routes = solution.routes || [];
+    const inputData = input ? (input.data || input) : null;
+
+    const lightRoutes = routes.filter(route => LoadModel.getRouteLoad(route) < targetMinLoad);
+    if (!inputData || lightRoutes.length === 0) {
+      return [];
+    }
+
+    const vehicleIndex = new Map((inputData.vehicles || []).map(vehicle => [String(vehicle.id), vehicle]));
+    const jobLocations = this.buildJobLocations(inputData);
+    const jobRoutes = this.buildJobRoutes(routes);
+    const lightVehicles = new Set(lightRoutes.map(route => String(route.vehicle)));
+    const unassignedIds = (solution.unassigned || []).map(entry => String(entry.id));
+
+    return lightRoutes.map(route => {
+      const currentLoad = LoadModel.getRouteLoad(route);
+      const vehicle = vehicleIndex.get(String(route.vehicle)) || null;
+      const evidence = {
+        ...this.measureShift(route, vehicle),
+        ...this.measureDemand(route, vehicle, inputData, routes, vehicleIndex),
+        ...this.measureNeighbourhood(route, jobLocations, jobRoutes, lightVehicles, unassignedIds)
+      };
+
+      const cause = this.classify(evidence, targetMinLoad, settings);
+      return {
+        vehicleId: route.vehicle,
+        currentLoad,
+        gap: targetMinLoad - currentLoad,
+        cause,
+        evidence,
+        suggestedStrategy: { ...SUGGESTED_STRATEGIES[cause], vehicleIds: [route.vehicle] }
+      };
+    });
+  }
+
+  static classify(evidence, targetMinLoad, settings) {
+    if (evidence.shiftUsage !== null && evidence.shiftUsage >= settings.shiftUsageThreshold) {
+      return SHORTFALL_CAUSES.TIME_BOUND;
+    }
+    if (evidence.demandPerRoute !== null && evidence.demandPerRoute < targetMinLoad) {
+      return SHORTFALL_CAUSES.DEMAND_BOUND;
+    }
+    if (evidence.centroid && evidence.nearbyUnassignedJobs === 0 && evidence.nearbyLightRouteJobs === 0) {
+      return SHORTFALL_CAUSES.GEOGRAPHY_BOUND;
+    }
+    return SHORTFALL_CAUSES.OBJECTIVE_BOUND;
+  }
+
+  // Share of the vehicle's shift the route spends driving, serving and waiting
+  static measureShift(route, vehicle) {
+    const steps = route.steps || [];
+    const shift = vehicle && Array.isArray(vehicle.time_window)
+      ? vehicle.time_window[1] - vehicle.time_window[0]
+      : null;
+
+    let busySeconds = null;
+    if (route.duration !== undefined && route.service !== undefined) {
+      busySeconds = route.duration + route.service + (route.waiting_time || 0);
+    } else if (steps.length > 1 && steps[0].arrival !== undefined) {
+      busySeconds = steps[steps.length - 1].arrival - steps[0].arrival;
+    }
+
+    return {
+      shiftSeconds: shift,
+      busySeconds,
+      drivingSeconds: route.duration !== undefined ? route.duration : null,
+      shiftUsage: shift > 0 && busySeconds !== null ? busySeconds / shift : null
+    };
+  }
+
+  // Demand of the jobs open during the vehicle's shift, shared by every route on the road then
+  static measureDemand(route, vehicle, input, routes, vehicleIndex) {
+    if (!vehicle || !Array.isArray(vehicle.time_window)) {
+      return { windowDemand: null, routesInWindow: null, demandPerRoute: null };
+    }
+
+    const [shiftStart, shiftEnd] = vehicle.time_window;
+    const overlapsShift = ([start, end]) => start <= shiftEnd && end >= shiftStart;
+
+    const windowDemand = (input.jobs || [])
+      .filter(job => !job.time_windows || job.time_windows.length === 0 || job.time_windows.some(overlapsShift))
+      .reduce((sum, job) => sum + LoadModel.getJobLoad(job), 0);
+
+    const routesInWindow = routes.filter(other => {
+      const otherVehicle = vehicleIndex.get(String(other.vehicle));
+      return !otherVehicle || !Array.isArray(otherVehicle.time_window) || overlapsShift(otherVehicle.time_window);
+    }).length;
+
+    return {
+      windowDemand,
+      routesInWindow,
+      demandPerRoute: routesInWindow > 0 ? windowDemand / routesInWindow : null
+    };
+  }
+
+  // Unassigned jobs and jobs on other below-target routes within the route's own footprint
+  static measureNeighbourhood(route, jobLocations, jobRoutes, lightVehicles, unassignedIds) {
+    const ownJobs = (route.steps || []).filter(step => step.type === 'job' && step.id !== undefined).map(step => String(step.id));
+    const ownLocations = ownJobs.map(id => jobLocations.get(id)).filter(Boolean);
+
+    if (ownLocations.length === 0) {
+      return { centroid: null, radiusMeters: null, nearbyUnassignedJobs: null, nearbyLightRouteJobs: null, nearestOtherJobMeters: null };
+    }
+
+    const centroid = [
+      ownLocations.reduce((sum, [lat]) => sum + lat, 0) / ownLocations.length,
+      ownLocations.reduce((sum, [, lng]) => sum + lng, 0) / ownLocations.length
+    ];
+    const radius = Math.max(...ownLocations.map(location => Geo.haversineDistance(centroid, location)));
+    const own = new Set(ownJobs);
+    const isNearby = id => jobLocations.has(id) && Geo.haversineDistance(centroid, jobLocations.get(id)) <= radius;
+
+    const nearbyUnassignedJobs = unassignedIds.filter(isNearby).length;
+    const nearbyLightRouteJobs = [...jobRoutes.entries()]
+      .filter(([id, vehicleId]) => !own.has(id) && vehicleId !== String(route.vehicle) && lightVehicles.has(vehicleId))
+      .filter(([id]) => isNearby(id)).length;
+
+    const otherDistances = [...jobLocations.entries()]
+      .filter(([id]) => !own.has(id))
+      .map(([, location]) => Geo.haversineDistance(centroid, location));
+
+    return {
+      centroid: centroid.map(value => Number(value.toFixed(6))),
+      radiusMeters: Math.round(radius),
+      nearbyUnassignedJobs,
+      nearbyLightRouteJobs,
+      nearestOtherJobMeters: otherDistances.length > 0 ? Math.round(Math.min(...otherDistances)) : null
+    };
+  }
+
+  static buildJobLocations(input) {
+    const locations = input.locations?.location || [];
+    const jobLocations = new Map();
+
+    (input.jobs || []).forEach(job => {
+      const location = locations[job.location_index];
+      if (location === undefined) {
+        return;
+      }
+      try {
+        jobLocations.set(String(job.id), Geo.parseLocation(location));
+      } catch (error) {
+        // Unparseable locations are left out of the neighbourhood checks
+      }
+    });
+
+    return jobLocations;
+  }
+
+  static buildJobRoutes(routes) {
+    const jobRoutes = new Map();
+    routes.forEach(route => {
+      (route.steps || [])
+        .filter(step => step.type === 'job' && step.id !== undefined)
+        .forEach(step => jobRoutes.set(String(step.id), String(route.vehicle)));
+    });
+    return jobRoutes;
+  }
+
+  static summarize(diagnostics) {
+    const byCause = {};
+    diagnostics.forEach(diagnostic => {
+      byCause[diagnostic.cause] = (byCause[diagnostic.cause] || 0) + 1;
+    });
+    return byCause;
+  }
+}
+
+export default RouteDiagnostics;
@@ -0,0 +1,195 @@
+import LoadAnalyzer from './loadAnalyzer.js';
+
+// Every criterion a solution is scored on, in the unit its weight applies to
+export const SCORE_CRITERIA = {
+  compliance: { better: 'higher', unit: '% routes at target' },
+  loadGap: { better: 'lower', unit: 'target loads short' },
+  unassigned: { better: 'lower', unit: 'jobs' },
+  routes: { better: 'lower', unit: 'routes' },
+  distance: { better: 'lower', unit: 'km' },
+  duration: { better: 'lower', unit: 'hours' },
+  addedVehicles: { better: 'lower', unit: 'vehicles used' },
+  overtime: { better: 'lower', unit: 'minutes' },
+  lateness: { better: 'lower', unit: 'minutes' },
+  balance: { better: 'higher', unit: 'balance score' }
+};
+
+// The default keeps the historical ranking: compliance first, then fewer routes. The weights
+// still produce a total for every solution, shown in reports and used to break ties.
+const DEFAULT_SETTINGS = {
+  mode: 'lexicographic',
+  priorities: ['compliance', 'routes'],
+  weights: {
+    compliance: 10,
+    loadGap: 5,
+    unassigned: 2,
+    routes: 1,
+    distance: 0.01,
+    duration: 0.1,
+    addedVehicles: 3,
+    overtime: 0.05,
+    lateness: 0.05,
+    balance: 0.2
+  },
+  tolerance: 1e-6 // Lexicographic differences at or below this count as ties
+};
+
+// Scores a solution on the criteria above. In weighted mode the better solution has the higher
+// weighted total; in lexicographic mode criteria are compared one by one in priority order and
+// the weighted total only breaks a full tie. Settings come from the strategy plan's "scoring"
+// section, overridden by --score-weights / --score-priorities.
+class SolutionScorer {
+  constructor(settings = {}, targetMinLoad = 12000) {
+    this.settings = {
+      ...DEFAULT_SETTINGS,
+      ...settings,
+      weights: { ...DEFAULT_SETTINGS.weights, ...(settings.weights || {}) }
+    };
+    this.targetMinLoad = targetMinLoad;
+    SolutionScorer.validate(this.settings);
+  }
+
+  static validate(settings) {
+    const errors = [];
+
+    if (!['weighted', 'lexicographic'].includes(settings.mode)) {
+      errors.push(`unknown mode: ${settings.mode}`);
+    }
+    Object.entries(settings.weights).forEach(([criterion, weight]) => {
+      if (!SCORE_CRITERIA[criterion]) {
+        errors.push(`unknown weight criterion: ${criterion}`);
+      } else if (typeof weight !== 'number' || Number.isNaN(weight)) {
+        errors.push(`weight for ${criterion} must be a number`);
+      }
+    });
+    (settings.priorities || []).forEach(criterion => {
+      if (!SCORE_CRITERIA[criterion]) {
+        errors.push(`unknown priority criterion: ${criterion}`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid scoring settings:\n${errors.join('\n')}`);
+    }
+    return true;
+  }
+
+  // Parses "compliance=10,unassigned=2" into a weights object
+  static parseWeights(value) {
+    return Object.fromEntries(value.split(',').filter(Boolean).map(pair => {
+      const [criterion, weight] = pair.split('=').map(part => part.trim());
+      return [criterion, Number(weight)];
+    }));
+  }
+
+  // Parses "compliance,unassigned,addedVehicles" into a priority list
+  static parsePriorities(value) {
+    return value.split(',').map(criterion => criterion.trim()).filter(Boolean);
+  }
+
+  score(analysis, solution, input = null) {
+    const values = this.measure(analysis, solution, input);
+    const criteria = {};
+    let total = 0;
+
+    Object.entries(values).forEach(([criterion, value]) => {
+      const weight = this.settings.weights[criterion] || 0;
+      const sign = SCORE_CRITERIA[criterion].better === 'higher' ? 1 : -1;
+      const contribution = value === null ? 0 : sign * weight * value;
+      criteria[criterion] = { value, weight, contribution: Number(contribution.toFixed(3)) };
+      total += contribution;
+    });
+
+    return {
+      mode: this.settings.mode,
+      ...(this.settings.mode === 'lexicographic' && { priorities: this.settings.priorities }),
+      total: Number(total.toFixed(3)),
+      criteria
+    };
+  }
+
+  measure(analysis, solution, input) {
+    const inputData = input ? (input.data || input) : null;
+    const routes = solution.routes || [];
+    const summary = solution.summary || {};
+    const sumRoutes = field => routes.reduce((sum, route) => sum + (route[field] || 0), 0);
+    const { overtimeSeconds, latenessSeconds } = this.measureTimeViolations(routes, inputData);
+
+    return {
+      compliance: analysis.summary.complianceRate,
+      loadGap: analysis.summary.totalLoadGap / this.targetMinLoad,
+      unassigned: (solution.unassigned || []).length,
+      routes: analysis.summary.totalRoutes,
+      distance: (summary.distance !== undefined ? summary.distance : sumRoutes('distance')) / 1000,
+      duration: (summary.duration !== undefined ? summary.duration : sumRoutes('duration')) / 3600,
+      addedVehicles: analysis.summary.fleetSplit ? analysis.summary.fleetSplit.added.routes : 0,
+      overtime: overtimeSeconds === null ? null : overtimeSeconds / 60,
+      lateness: latenessSeconds === null ? null : latenessSeconds / 60,
+      balance: routes.length > 0 ? LoadAnalyzer.calculateLoadBalanceMetrics(solution).balanceScore : null
+    };
+  }
+
+  // Overtime is a route ending after its vehicle shift; lateness is a job served after the
+  // end of the last time window opened before its arrival. Both need the input that was sent.
+  measureTimeViolations(routes, input) {
+    if (!input) {
+      return { overtimeSeconds: null, latenessSeconds: null };
+    }
+
+    const vehicles = new Map((input.vehicles || []).map(vehicle => [String(vehicle.id), vehicle]));
+    const jobs = new Map((input.jobs || []).map(job => [String(job.id), job]));
+    let overtimeSeconds = 0;
+    let latenessSeconds = 0;
+
+    routes.forEach(route => {
+      const steps = route.steps || [];
+      const vehicle = vehicles.get(String(route.vehicle));
+      const last = steps[steps.length - 1];
+      if (vehicle && Array.isArray(vehicle.time_window) && last && last.arrival !== undefined) {
+        overtimeSeconds += Math.max(0, last.arrival - vehicle.time_window[1]);
+      }
+
+      steps.filter(step => step.type === 'job' && step.arrival !== undefined).forEach(step => {
+        const job = jobs.get(String(step.id));
+        const windows = job && job.time_windows ? job.time_windows : [];
+        if (windows.length === 0 || windows.some(([start, end]) => step.arrival >= start && step.arrival <= end)) {
+          return;
+        }
+        const opened = windows.filter(([start]) => start <= step.arrival);
+        if (opened.length > 0) {
+          latenessSeconds += step.arrival - Math.max(...opened.map(([, end]) => end));
+        }
+      });
+    });
+
+    return { overtimeSeconds, latenessSeconds };
+  }
+
+  // Positive when score a is better than score b
+  compare(a, b) {
+    if (this.settings.mode === 'lexicographic') {
+      for (const criterion of this.settings.priorities) {
+        const difference = this.orient(criterion, a) - this.orient(criterion, b);
+        if (Math.abs(difference) > this.settings.tolerance) {
+          return difference;
+        }
+      }
+    }
+    return a.total - b.total;
+  }
+
+  isBetter(score, bestScore) {
+    return !bestScore || this.compare(score, bestScore) > 0;
+  }
+
+  // Criterion value with higher always meaning better; unmeasured values rank last
+  orient(criterion, score) {
+    const value = score.criteria[criterion] ? score.criteria[criterion].value : null;
+    if (value === null) {
+      return -Infinity;
+    }
+    return SCORE_CRITERIA[criterion].better === 'higher' ? value : -value;
+  }
+}
+
+export default SolutionScorer;
@@ -0,0 +1,248 @@
+import Logger from '../utils/logger.js';
+import Geo from '../utils/geo.js';
+import LoadModel from './loadModel.js';
+import InputParser from '../parsers/inputParser.js';
+
+export const UNASSIGNED_CAUSES = {
+  NO_COMPATIBLE_TIME_WINDOW: 'no_compatible_time_window',
+  SKILLS_MISMATCH: 'skills_mismatch',
+  INSUFFICIENT_CAPACITY: 'insufficient_capacity',
+  DETOUR_TOO_LARGE: 'detour_too_large',
+  SCHEDULE_CONFLICT: 'schedule_conflict',
+  UNKNOWN: 'unknown'
+};
+
+const DEFAULT_OPTIONS = {
+  detourFactor: 3 // Detour counts as too large beyond this multiple of the median leg of nearby routes
+};
+
+// Attributes every unassigned job of a solution to its most likely cause, checked in order:
+// no vehicle shift overlaps the job's time windows, no such vehicle has the job's skills,
+// no candidate route has headroom for the job at the time it would be served, the cheapest
+// insertion is a large detour compared to nearby routes, otherwise the routes are simply
+// too busy at that time (schedule conflict).
+class UnassignedExplainer {
+  static explain(input, solution, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const unassigned = (solution && solution.unassigned) || [];
+
+    if (!input || unassigned.length === 0) {
+      return { summary: { unassigned: unassigned.length, byCause: {} }, jobs: [] };
+    }
+
+    const jobIndex = new Map((input.jobs || []).map(job => [String(job.id), job]));
+    const routes = (solution.routes || []).map(route => this.describeRoute(route, input));
+    const usedVehicles = new Set(routes.map(route => String(route.vehicleId)));
+
+    const jobs = unassigned.map(entry => {
+      const job = jobIndex.get(String(entry.id));
+      const explanation = job
+        ? this.explainJob(job, entry, input, routes, usedVehicles, settings)
+        : { cause: UNASSIGNED_CAUSES.UNKNOWN, message: 'Job not found in the input' };
+
+      return {
+        id: entry.id,
+        type: entry.type || 'job',
+        ...explanation,
+        apiReason: entry.reason || null
+      };
+    });
+
+    const byCause = {};
+    jobs.forEach(job => {
+      byCause[job.cause] = (byCause[job.cause] || 0) + 1;
+    });
+
+    Logger.info(`Explained ${jobs.length} unassigned jobs: ${Object.entries(byCause).map(([cause, count]) => `${cause} ${count}`).join(', ')}`);
+    return { summary: { unassigned: jobs.length, byCause }, jobs };
+  }
+
+  static explainJob(job, entry, input, routes, usedVehicles, settings) {
+    const windows = job.time_windows && job.time_windows.length > 0 ? job.time_windows : null;
+    const demand = LoadModel.addVectors(job.delivery || [], job.pickup || []);
+
+    const timeCompatible = windows
+      ? [...new Set(windows.flatMap(([start, end]) => InputParser.getVehiclesByTimeWindow(input, start, end)))]
+      : [...input.vehicles];
+
+    if (timeCompatible.length === 0) {
+      return {
+        cause: UNASSIGNED_CAUSES.NO_COMPATIBLE_TIME_WINDOW,
+        message: 'No vehicle shift overlaps any of the job time windows',
+        compatibleVehicles: 0
+      };
+    }
+
+    const skilled = timeCompatible.filter(vehicle => this.hasSkills(vehicle, job));
+    if (skilled.length === 0) {
+      return {
+        cause: UNASSIGNED_CAUSES.SKILLS_MISMATCH,
+        message: `${timeCompatible.length} vehicle(s) work during the job time windows but none has skills ${JSON.stringify(job.skills)}`,
+        compatibleVehicles: 0
+      };
+    }
+
+    const compatible = skilled.filter(vehicle => LoadModel.fitsWithin(demand, vehicle.capacity || []));
+    if (compatible.length === 0) {
+      return {
+        cause: UNASSIGNED_CAUSES.INSUFFICIENT_CAPACITY,
+        message: `Demand ${JSON.stringify(demand)} exceeds the capacity of every compatible vehicle`,
+        compatibleVehicles: 0
+      };
+    }
+
+    const compatibleIds = new Set(compatible.map(vehicle => String(vehicle.id)));
+    const unusedCompatible = compatible.filter(vehicle => !usedVehicles.has(String(vehicle.id))).length;
+    const location = this.getJobLocation(job, entry, input);
+
+    // Routes of compatible vehicles that are on the road during one of the job's time windows
+    const candidates = routes
+      .filter(route => compatibleIds.has(String(route.vehicleId)))
+      .map(route => this.evaluateInsertion(route, demand, location, windows))
+      .filter(candidate => candidate.activeInWindow);
+
+    const withHeadroom = candidates.filter(candidate => candidate.fits);
+    const details = {
+      compatibleVehicles: compatible.length,
+      unusedCompatibleVehicles: unusedCompatible,
+      candidateRoutes: candidates.length,
+      routesWithHeadroom: withHeadroom.length
+    };
+
+    if (candidates.length > 0 && withHeadroom.length === 0 && unusedCompatible === 0) {
+      const best = candidates.reduce((a, b) => (LoadModel.getPrimaryLoad(a.headroom) >= LoadModel.getPrimaryLoad(b.headroom) ? a : b));
+      return {
+        cause: UNASSIGNED_CAUSES.INSUFFICIENT_CAPACITY,
+        message: `None of the ${candidates.length} candidate route(s) has room for ${JSON.stringify(demand)} at the job time (best headroom ${JSON.stringify(best.headroom)} on vehicle ${best.vehicleId})`,
+        ...details
+      };
+    }
+
+    const detourCandidates = withHeadroom.filter(candidate => candidate.detour !== null);
+    if (detourCandidates.length > 0) {
+      const best = detourCandidates.reduce((a, b) => (a.detour <= b.detour ? a : b));
+      const medianLeg = this.median(detourCandidates.flatMap(candidate => candidate.legs));
+      details.minDetourMeters = Math.round(best.detour);
+      details.medianLegMeters = Math.round(medianLeg);
+
+      if (medianLeg > 0 && best.detour > settings.detourFactor * medianLeg) {
+        return {
+          cause: UNASSIGNED_CAUSES.DETOUR_TOO_LARGE,
+          message: `Cheapest insertion (vehicle ${best.vehicleId}) adds ${(best.detour / 1000).toFixed(1)} km, ${(best.detour / medianLeg).toFixed(1)}x the median leg of nearby routes`,
+          ...details
+        };
+      }
+    }
+
+    return {
+      cause: UNASSIGNED_CAUSES.SCHEDULE_CONFLICT,
+      message: unusedCompatible > 0
+        ? `${unusedCompatible} compatible vehicle(s) left unused; serving the job alone was not worth a vehicle and no busy route had time for it`
+        : 'Compatible routes have capacity but no time left for the job within its time windows',
+      ...details
+    };
+  }
+
+  static describeRoute(route, input) {
+    const vehicle = (input.vehicles || []).find(candidate => String(candidate.id) === String(route.vehicle));
+    const steps = (route.steps || []).map(step => ({
+      arrival: step.arrival,
+      load: step.load || [],
+      location: this.safeParseLocation(step.location)
+    }));
+
+    return {
+      vehicleId: route.vehicle,
+      capacity: LoadModel.getRouteCapacity(route) || (vehicle ? vehicle.capacity : []),
+      // max_tasks is a capacity too: a route already serving that many jobs takes no more
+      tasksFull: vehicle && vehicle.max_tasks !== undefined
+        ? (route.steps || []).filter(step => step.type === 'job').length >= vehicle.max_tasks
+        : false,
+      steps
+    };
+  }
+
+  // Cheapest insertion between consecutive steps served inside a job time window. A delivery
+  // is on board from the start until it is dropped, so the peak load before the insertion
+  // point plus the job demand must fit the vehicle.
+  static evaluateInsertion(route, demand, location, windows) {
+    const inWindow = arrival => !windows || arrival === undefined ||
+      windows.some(([start, end]) => arrival >= start && arrival <= end);
+
+    let peakLoad = [];
+    let best = null;
+    let activeInWindow = false;
+    const legs = [];
+
+    route.steps.forEach((step, index) => {
+      const dimensions = Math.max(peakLoad.length, step.load.length);
+      peakLoad = Array.from({ length: dimensions }, (_, dimension) => Math.max(peakLoad[dimension] || 0, step.load[dimension] || 0));
+
+      const next = route.steps[index + 1];
+      if (next && step.location && next.location) {
+        legs.push(Geo.haversineDistance(step.location, next.location));
+      }
+
+      if (!inWindow(step.arrival)) {
+        return;
+      }
+      activeInWindow = true;
+
+      const headroom = LoadModel.subtractVectors(route.capacity || [], peakLoad);
+      const fits = !route.tasksFull && LoadModel.fitsWithin(demand, headroom);
+      const detour = next && location && step.location && next.location
+        ? Geo.haversineDistance(step.location, location) + Geo.haversineDistance(location, next.location) - Geo.haversineDistance(step.location, next.location)
+        : null;
+
+      const candidate = { headroom, fits, detour };
+      if (!best || (candidate.fits && !best.fits) ||
+          (candidate.fits === best.fits && (candidate.detour ?? Infinity) < (best.detour ?? Infinity))) {
+        best = candidate;
+      }
+    });
+
+    return {
+      vehicleId: route.vehicleId,
+      activeInWindow,
+      fits: best ? best.fits : false,
+      headroom: best ? best.headroom : [],
+      detour: best && best.fits ? best.detour : null,
+      legs
+    };
+  }
+
+  static hasSkills(vehicle, job) {
+    if (!job.skills || job.skills.length === 0) {
+      return true;
+    }
+    const skills = new Set(vehicle.skills || []);
+    return job.skills.every(skill => skills.has(skill));
+  }
+
+  static getJobLocation(job, entry, input) {
+    const locations = input.locations?.location;
+    if (Array.isArray(locations) && locations[job.location_index] !== undefined) {
+      return this.safeParseLocation(locations[job.location_index]);
+    }
+    return this.safeParseLocation(entry.location);
+  }
+
+  static safeParseLocation(location) {
+    try {
+      return location === undefined || location === null ? null : Geo.parseLocation(location);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static median(values) {
+    if (values.length === 0) {
+      return 0;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+}
+
+export default UnassignedExplainer;
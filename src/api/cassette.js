@@ -0,0 +1,148 @@
+import path from 'path';
+import Logger from '../utils/logger.js';
+import FileUtils from '../utils/fileUtils.js';
+import Hash from '../utils/hash.js';
+
+const MODES = ['off', 'record', 'replay'];
+
+// Records NextBillion API traffic to disk and plays it back without the network.
+// One file per submitted request, keyed by the hash of the canonicalised payload:
+// { key, request, submit, polls: [...] } where polls holds every result response in
+// the order they were received, including "Job still processing" ones. Failed requests
+// (HTTP errors, timeouts, network errors) are kept as { requestError } in place of the
+// response and thrown again on replay, so error handling can be exercised offline. A
+// request retried while recording keeps its last outcome.
+class Cassette {
+  constructor(dir, mode = 'record') {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown cassette mode: ${mode}. Available: ${MODES.join(', ')}`);
+    }
+
+    this.dir = dir;
+    this.mode = dir ? mode : 'off';
+    this.entries = new Map(); // requestId -> { key, entry, cursor }
+  }
+
+  static fromEnv(options = {}) {
+    const dir = options.cassetteDir || process.env.NEXTBILLION_CASSETTE_DIR || null;
+    const mode = options.cassetteMode || process.env.NEXTBILLION_CASSETTE_MODE || 'record';
+    return new Cassette(dir, mode);
+  }
+
+  get isRecording() {
+    return this.mode === 'record';
+  }
+
+  get isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  keyFor(requestData) {
+    return Hash.hashObject(requestData);
+  }
+
+  getPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async recordSubmit(requestData, responseData) {
+    const key = this.keyFor(requestData);
+    const entry = { key, request: requestData, submit: responseData, polls: [] };
+    const requestId = responseData && responseData.id;
+
+    if (requestId) {
+      this.entries.set(requestId, { key, entry, cursor: 0 });
+    }
+
+    await FileUtils.writeJsonFile(this.getPath(key), entry);
+    Logger.debug(`Cassette recorded submit ${key} (request ${requestId})`);
+  }
+
+  async recordSubmitError(requestData, error) {
+    const key = this.keyFor(requestData);
+    const entry = { key, request: requestData, submit: null, requestError: Cassette.serializeError(error), polls: [] };
+
+    await FileUtils.writeJsonFile(this.getPath(key), entry);
+    Logger.debug(`Cassette recorded failed submit ${key}: ${error.message}`);
+  }
+
+  async recordPollError(requestId, error) {
+    await this.recordPoll(requestId, { requestError: Cassette.serializeError(error) });
+  }
+
+  async recordPoll(requestId, responseData) {
+    const tracked = this.entries.get(requestId);
+    if (!tracked) {
+      Logger.debug(`Cassette has no recorded submit for request ${requestId}, poll not recorded`);
+      return;
+    }
+
+    tracked.entry.polls.push(responseData);
+    await FileUtils.writeJsonFile(this.getPath(tracked.key), tracked.entry);
+  }
+
+  async replaySubmit(requestData) {
+    const key = this.keyFor(requestData);
+    const filePath = this.getPath(key);
+
+    if (!(await FileUtils.fileExists(filePath))) {
+      throw new Error(`No cassette recorded for request ${key} in ${this.dir}`);
+    }
+
+    const entry = await FileUtils.readJsonFile(filePath);
+    if (entry.requestError) {
+      Logger.debug(`Cassette replaying failed submit ${key}`);
+      throw Cassette.restoreError(entry.requestError);
+    }
+
+    const requestId = entry.submit && entry.submit.id;
+    // Each submit restarts the poll sequence, so repeated identical requests replay identically
+    this.entries.set(requestId, { key, entry, cursor: 0 });
+
+    Logger.debug(`Cassette replaying ${key} (request ${requestId}, ${entry.polls.length} polls)`);
+    return entry.submit;
+  }
+
+  replayPoll(requestId) {
+    const tracked = this.entries.get(requestId);
+    if (!tracked) {
+      throw new Error(`No cassette entry for request ${requestId}`);
+    }
+
+    const { polls } = tracked.entry;
+    if (polls.length === 0) {
+      throw new Error(`Cassette ${tracked.key} has no recorded result responses`);
+    }
+
+    // Stay on the final response once the recorded sequence is exhausted
+    const response = polls[Math.min(tracked.cursor, polls.length - 1)];
+    tracked.cursor++;
+    if (response && response.requestError) {
+      throw Cassette.restoreError(response.requestError);
+    }
+    return response;
+  }
+
+  // What ErrorClassifier reads from an axios error: message, code and the HTTP response
+  static serializeError(error) {
+    return {
+      message: error.message,
+      code: error.code || null,
+      status: error.response ? error.response.status : null,
+      data: error.response ? error.response.data : null
+    };
+  }
+
+  static restoreError(recorded) {
+    const error = new Error(recorded.message);
+    if (recorded.code) {
+      error.code = recorded.code;
+    }
+    if (recorded.status) {
+      error.response = { status: recorded.status, data: recorded.data };
+    }
+    return error;
+  }
+}
+
+export default Cassette;
@@ -0,0 +1,173 @@
+// Taxonomy for optimization failures: NextBillion error responses, HTTP/network errors and
+// the errors thrown by the backends while polling. Callers decide what to do from `action`.
+export const ERROR_CATEGORIES = {
+  CAPACITY_DIMENSION: 'capacity_dimension',
+  INVALID_LOCATION_INDEX: 'invalid_location_index',
+  TIME_WINDOW_INFEASIBLE: 'time_window_infeasible',
+  RATE_LIMIT: 'rate_limit',
+  AUTH: 'auth',
+  TIMEOUT: 'timeout',
+  SERVER_ERROR: 'server_error',
+  NETWORK: 'network',
+  INVALID_INPUT: 'invalid_input',
+  CANCELLED: 'cancelled',
+  UNKNOWN: 'unknown'
+};
+
+export const ERROR_ACTIONS = {
+  RETRY: 'retry',             // Transient, the same request may succeed later
+  REMOVE_JOBS: 'remove_jobs', // Specific jobs/vehicles make the input invalid
+  ABORT: 'abort'              // Retrying or trimming the input will not help
+};
+
+const CATEGORY_ACTIONS = {
+  [ERROR_CATEGORIES.CAPACITY_DIMENSION]: ERROR_ACTIONS.REMOVE_JOBS,
+  [ERROR_CATEGORIES.INVALID_LOCATION_INDEX]: ERROR_ACTIONS.REMOVE_JOBS,
+  [ERROR_CATEGORIES.TIME_WINDOW_INFEASIBLE]: ERROR_ACTIONS.REMOVE_JOBS,
+  [ERROR_CATEGORIES.RATE_LIMIT]: ERROR_ACTIONS.RETRY,
+  [ERROR_CATEGORIES.AUTH]: ERROR_ACTIONS.ABORT,
+  [ERROR_CATEGORIES.TIMEOUT]: ERROR_ACTIONS.RETRY,
+  [ERROR_CATEGORIES.SERVER_ERROR]: ERROR_ACTIONS.RETRY,
+  [ERROR_CATEGORIES.NETWORK]: ERROR_ACTIONS.RETRY,
+  [ERROR_CATEGORIES.INVALID_INPUT]: ERROR_ACTIONS.ABORT,
+  [ERROR_CATEGORIES.CANCELLED]: ERROR_ACTIONS.ABORT,
+  [ERROR_CATEGORIES.UNKNOWN]: ERROR_ACTIONS.ABORT
+};
+
+// Checked in order against the combined error message; the first match wins
+const MESSAGE_RULES = [
+  { category: ERROR_CATEGORIES.AUTH, pattern: /api key|apikey|unauthori[sz]ed|forbidden|invalid key|authenticat/ },
+  { category: ERROR_CATEGORIES.RATE_LIMIT, pattern: /rate limit|too many requests|quota|throttl/ },
+  { category: ERROR_CATEGORIES.CAPACITY_DIMENSION, pattern: /inconsistent (delivery|pickup|capacity|amount)s? (dimension|length|size)|capacity (dimension|length|size)|dimension mismatch/ },
+  { category: ERROR_CATEGORIES.INVALID_LOCATION_INDEX, pattern: /location[_ ]index|invalid location|location .*out of (range|bounds)/ },
+  { category: ERROR_CATEGORIES.TIME_WINDOW_INFEASIBLE, pattern: /time[_ ]windows?.*(infeasible|invalid|inconsistent|overlap|before|after|exceed)|(infeasible|invalid|inconsistent) time[_ ]windows?/ },
+  { category: ERROR_CATEGORIES.TIMEOUT, pattern: /timeout|timed out/ }
+];
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+class ErrorClassifier {
+  // Returns { category, action, retryable, status, message, jobIds, vehicleIds }.
+  // `inputData` lets index references such as jobs[3] resolve to the job's id.
+  static classify(error, inputData = null) {
+    if (!error) {
+      return this.buildClassification(ERROR_CATEGORIES.UNKNOWN, null, '', [], []);
+    }
+    if (error.classification) {
+      return error.classification;
+    }
+
+    const status = this.getStatus(error);
+    const code = error.code || error.originalError?.code || null;
+    const message = this.getMessage(error);
+    const lowerMessage = message.toLowerCase();
+    const { jobIds, vehicleIds } = this.extractIds(message, inputData);
+
+    let category = null;
+
+    if (error.name === 'AbortError') {
+      category = ERROR_CATEGORIES.CANCELLED;
+    } else if (status === 401 || status === 403) {
+      category = ERROR_CATEGORIES.AUTH;
+    } else if (status === 429) {
+      category = ERROR_CATEGORIES.RATE_LIMIT;
+    } else if (TIMEOUT_CODES.includes(code) || status === 408 || status === 504) {
+      category = ERROR_CATEGORIES.TIMEOUT;
+    } else {
+      const rule = MESSAGE_RULES.find(candidate => candidate.pattern.test(lowerMessage));
+      if (rule) {
+        category = rule.category;
+      } else if (status >= 500) {
+        category = ERROR_CATEGORIES.SERVER_ERROR;
+      } else if (status >= 400) {
+        category = ERROR_CATEGORIES.INVALID_INPUT;
+      } else if (NETWORK_CODES.includes(code) || /network error|socket hang up/.test(lowerMessage)) {
+        category = ERROR_CATEGORIES.NETWORK;
+      } else {
+        category = ERROR_CATEGORIES.UNKNOWN;
+      }
+    }
+
+    return this.buildClassification(category, status, message, jobIds, vehicleIds);
+  }
+
+  static buildClassification(category, status, message, jobIds, vehicleIds) {
+    const action = CATEGORY_ACTIONS[category];
+    return {
+      category,
+      action,
+      retryable: action === ERROR_ACTIONS.RETRY,
+      status,
+      message,
+      jobIds,
+      vehicleIds
+    };
+  }
+
+  // Classifies and attaches the result so callers further up see the same classification
+  static annotate(error, inputData = null) {
+    if (error && typeof error === 'object' && !error.classification) {
+      error.classification = this.classify(error, inputData);
+    }
+    return error;
+  }
+
+  static getStatus(error) {
+    return error.response?.status ||
+      error.originalError?.response?.status ||
+      error.status ||
+      null;
+  }
+
+  // Error text plus any message carried in the API response body
+  static getMessage(error) {
+    const bodies = [error.response?.data, error.data, error.originalError?.response?.data, error.originalError?.data];
+    const messages = [error.message, error.originalError?.message];
+
+    bodies.forEach(body => {
+      if (typeof body === 'string') {
+        messages.push(body);
+      } else if (body) {
+        messages.push(body.message, body.msg, body.error);
+      }
+    });
+
+    // Wrapped errors repeat the original message; keep only texts not already contained in another
+    const texts = [...new Set(messages.filter(value => typeof value === 'string' && value.length > 0))];
+    return texts.filter(text => !texts.some(other => other !== text && other.includes(text))).join(' | ');
+  }
+
+  // Ids named in the message: "job 12", "vehicle_id: 'V-3'", "jobs[4]" (index, resolved against inputData)
+  static extractIds(message, inputData = null) {
+    const ids = { job: new Set(), vehicle: new Set() };
+    const namedPattern = /\b(job|shipment|vehicle)s?(?:[ _]?ids?)?\s*[:#=]?\s*(?:(["'])([^"']+)\2|([A-Za-z0-9_-]*\d[A-Za-z0-9_-]*))/gi;
+    const indexPattern = /\b(jobs|vehicles)\s*\[\s*(\d+)\s*\]/gi;
+
+    for (const match of message.matchAll(indexPattern)) {
+      const collection = match[1].toLowerCase();
+      const item = inputData?.[collection]?.[parseInt(match[2])];
+      if (item && item.id !== undefined) {
+        ids[collection === 'jobs' ? 'job' : 'vehicle'].add(String(item.id));
+      }
+    }
+
+    for (const match of message.replace(indexPattern, '').matchAll(namedPattern)) {
+      const kind = match[1].toLowerCase() === 'vehicle' ? 'vehicle' : 'job';
+      ids[kind].add(match[3] || match[4]);
+    }
+
+    return { jobIds: [...ids.job], vehicleIds: [...ids.vehicle] };
+  }
+
+  static describe(classification) {
+    const ids = [
+      classification.jobIds.length > 0 ? `jobs ${classification.jobIds.join(', ')}` : null,
+      classification.vehicleIds.length > 0 ? `vehicles ${classification.vehicleIds.join(', ')}` : null
+    ].filter(Boolean);
+
+    return `${classification.category} (${classification.action}${ids.length > 0 ? `; ${ids.join('; ')}` : ''})`;
+  }
+}
+
+export default ErrorClassifier;
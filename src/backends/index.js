@@ -0,0 +1,32 @@
+import NextBillionBackend from './nextBillionBackend.js';
+import LocalBackend from './localBackend.js';
+import ReplayBackend from './replayBackend.js';
+
+const BACKENDS = {
+  nextbillion: NextBillionBackend,
+  local: LocalBackend,
+  replay: ReplayBackend
+};
+
+const ALIASES = {
+  nb: 'nextbillion',
+  mock: 'local'
+};
+
+export function resolveBackendName(name) {
+  const requested = (name || process.env.ROIR_BACKEND || 'nextbillion').toLowerCase();
+  const resolved = ALIASES[requested] || requested;
+
+  if (!BACKENDS[resolved]) {
+    throw new Error(`Unknown optimization backend: ${name}. Available: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  return resolved;
+}
+
+export function createBackend(name, options = {}) {
+  const Backend = BACKENDS[resolveBackendName(name)];
+  return new Backend(options);
+}
+
+export { BACKENDS };
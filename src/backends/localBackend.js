@@ -0,0 +1,60 @@
+import Logger from '../utils/logger.js';
+import LocalSolver from '../solver/localSolver.js';
+import OptimizationBackend from './optimizationBackend.js';
+
+// Solves in-process with LocalSolver, so no API quota or network is needed
+class LocalBackend extends OptimizationBackend {
+  constructor(options = {}) {
+    super({ solverOptions: {}, ...options });
+    this.name = 'local';
+    this.requests = new Map();
+    this.requestCount = 0;
+  }
+
+  async submit(inputData, options = {}) {
+    try {
+      const requestData = {
+        ...inputData,
+        options: {
+          ...inputData.options,
+          ...options
+        }
+      };
+
+      this.requestCount++;
+      const requestId = `local_${String(this.requestCount).padStart(3, '0')}`;
+      const solution = new LocalSolver(requestData, this.options.solverOptions).solve();
+
+      Logger.success(`Local optimization completed: ${solution.routes.length} routes, ${solution.unassigned.length} unassigned`);
+      this.requests.set(requestId, { id: requestId, result: solution, status: 'Ok', message: '' });
+
+      return { success: true, data: { id: requestId }, requestId };
+    } catch (error) {
+      Logger.error(`Local optimization failed: ${error.message}`);
+      return { success: false, error: error.message, originalError: error, data: null };
+    }
+  }
+
+  async poll(requestId) {
+    const data = this.requests.get(requestId);
+    if (!data) {
+      return { success: false, error: `Unknown local request ${requestId}`, status: 'unknown' };
+    }
+    return { success: true, status: data.status === 'Cancelled' ? 'cancelled' : 'completed', data };
+  }
+
+  async getResult(requestId, existingData = null) {
+    const data = existingData || this.requests.get(requestId);
+    return { success: !!data, data, solution: data ? data.result : null };
+  }
+
+  async cancel(requestId) {
+    const data = this.requests.get(requestId);
+    if (data) {
+      data.status = 'Cancelled';
+    }
+    return { success: !!data, requestId };
+  }
+}
+
+export default LocalBackend;
@@ -0,0 +1,75 @@
+import Logger from '../utils/logger.js';
+import NextBillionClient from '../api/nextBillionClient.js';
+import ErrorClassifier from '../api/errorClassifier.js';
+import OptimizationBackend, { createAbortError } from './optimizationBackend.js';
+
+class NextBillionBackend extends OptimizationBackend {
+  constructor(options = {}) {
+    super({
+      apiKey: process.env.NEXTBILLION_API_KEY || 'mock_key',
+      apiUrl: process.env.NEXTBILLION_API_URL,
+      maxRetries: parseInt(process.env.NEXTBILLION_MAX_RETRIES || '3'),
+      retryDelayMs: parseInt(process.env.NEXTBILLION_RETRY_DELAY_MS || '1000'),
+      rateLimitMs: parseInt(process.env.NEXTBILLION_RATE_LIMIT_MS || '1000'),
+      ...options
+    });
+    this.name = 'nextbillion';
+    this.client = new NextBillionClient(this.options.apiKey, this.options.apiUrl, {
+      cassetteDir: this.options.cassetteDir,
+      cassetteMode: this.options.cassetteMode
+    });
+    if (this.client.cassette.isReplaying) {
+      // Recorded poll sequences need no wall-clock wait between polls
+      this.options.pollIntervalMs = 0;
+      this.options.rateLimitMs = 0;
+    }
+    this.cancelledRequests = new Set();
+  }
+
+  async submit(inputData, options = {}, signal = null) {
+    let delayMs = this.options.retryDelayMs;
+    let response = null;
+
+    for (let attempt = 1; attempt <= Math.max(1, this.options.maxRetries); attempt++) {
+      response = await this.client.submitOptimization(inputData, options);
+      if (response.success || !this.isRetryable(response.originalError) || attempt >= this.options.maxRetries) {
+        break;
+      }
+
+      Logger.warning(`Retry attempt ${attempt}/${this.options.maxRetries} after ${delayMs}ms`);
+      await this.sleep(delayMs, signal);
+      if (signal?.aborted) {
+        throw createAbortError();
+      }
+      delayMs *= 2; // Exponential backoff
+    }
+
+    return response;
+  }
+
+  isRetryable(error) {
+    if (!error || this.client.cassette.isReplaying) return false;
+    // Rate limits, timeouts, network failures and 5xx responses are worth another attempt
+    return ErrorClassifier.classify(error).retryable;
+  }
+
+  async poll(requestId) {
+    if (this.cancelledRequests.has(requestId)) {
+      return { success: true, status: 'cancelled', data: null };
+    }
+    return await this.client.getOptimizationStatus(requestId);
+  }
+
+  async getResult(requestId, existingData = null) {
+    return await this.client.getOptimizationResult(requestId, existingData);
+  }
+
+  async cancel(requestId) {
+    // The optimization API has no cancel endpoint; stop tracking the job locally
+    Logger.warning(`NextBillion has no cancel endpoint - request ${requestId} will no longer be polled`);
+    this.cancelledRequests.add(requestId);
+    return { success: true, requestId };
+  }
+}
+
+export default NextBillionBackend;
@@ -0,0 +1,168 @@
+import Logger from '../utils/logger.js';
+import ErrorClassifier from '../api/errorClassifier.js';
+
+// Base class for optimization engines. Subclasses implement submit, poll, getResult
+// and cancel; runOptimization drives them the same way for every engine. An optional
+// AbortSignal stops waiting: the request is cancelled and an AbortError is thrown.
+export function createAbortError(message = 'Optimization was cancelled') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+class OptimizationBackend {
+  constructor(options = {}) {
+    this.options = {
+      pollIntervalMs: 10000,
+      maxWaitTime: 600000, // 10 minutes
+      rateLimitMs: 0, // Minimum spacing between API calls
+      ...options
+    };
+    this.name = 'base';
+    this.nextCallAt = 0;
+  }
+
+  async submit(inputData, options = {}, signal = null) {
+    throw new Error(`${this.name} backend does not implement submit`);
+  }
+
+  async poll(requestId) {
+    throw new Error(`${this.name} backend does not implement poll`);
+  }
+
+  async getResult(requestId, existingData = null) {
+    throw new Error(`${this.name} backend does not implement getResult`);
+  }
+
+  async cancel(requestId) {
+    Logger.warning(`${this.name} backend cannot cancel request ${requestId}`);
+    return { success: false, requestId };
+  }
+
+  async waitForOptimization(requestId, signal = null) {
+    Logger.info(`Waiting for optimization to complete: ${requestId}`);
+
+    const startTime = Date.now();
+    let pollCount = 0;
+
+    while (Date.now() - startTime < this.options.maxWaitTime) {
+      pollCount++;
+      const elapsedSeconds = Math.floor((Date.now() - startTime) / 1000);
+      Logger.debug(`Polling attempt ${pollCount} (${elapsedSeconds}s elapsed)`);
+
+      await this.throttle(signal);
+      if (signal?.aborted) {
+        await this.cancel(requestId);
+        throw createAbortError(`Optimization ${requestId} was cancelled`);
+      }
+      const statusResponse = await this.poll(requestId);
+
+      if (!statusResponse.success) {
+        const error = new Error(`Failed to check status: ${statusResponse.error}`);
+        if (statusResponse.originalError) {
+          error.originalError = statusResponse.originalError;
+        }
+        throw error;
+      }
+
+      const status = statusResponse.status;
+      Logger.debug(`Optimization status: ${status}`);
+
+      if (status === 'completed') {
+        Logger.success('Optimization completed successfully');
+        return await this.getResult(requestId, statusResponse.data);
+      } else if (status === 'failed') {
+        throw new Error(statusResponse.error || 'Optimization failed');
+      } else if (status === 'cancelled') {
+        throw createAbortError(`Optimization ${requestId} was cancelled`);
+      } else if (status === 'processing') {
+        Logger.debug('Optimization still processing, waiting...');
+      } else {
+        Logger.warning(`Unknown optimization status: ${status}, continuing to poll...`);
+      }
+
+      await this.sleep(this.options.pollIntervalMs, signal);
+    }
+
+    throw new Error(`Optimization timeout after ${this.options.maxWaitTime / 1000} seconds`);
+  }
+
+  async runOptimization(inputData, options = {}, signal = null) {
+    try {
+      Logger.info(`Starting complete optimization process (${this.name} backend)`);
+
+      await this.throttle(signal);
+      if (signal?.aborted) {
+        throw createAbortError();
+      }
+      const submitResponse = await this.submit(inputData, options, signal);
+
+      if (!submitResponse.success) {
+        // Preserve the original error details
+        const error = new Error(`Failed to submit optimization: ${submitResponse.error}`);
+        if (submitResponse.originalError) {
+          error.originalError = submitResponse.originalError;
+        }
+        throw error;
+      }
+
+      const requestId = submitResponse.requestId;
+      if (!requestId) {
+        throw new Error('No request ID received from optimization submission');
+      }
+
+      const resultResponse = await this.waitForOptimization(requestId, signal);
+
+      if (!resultResponse.success) {
+        throw new Error(`Failed to get optimization result: ${resultResponse.error}`);
+      }
+
+      Logger.success('Optimization process completed successfully');
+      return { ...resultResponse, requestId };
+    } catch (error) {
+      ErrorClassifier.annotate(error, inputData);
+      if (error.name === 'AbortError') {
+        Logger.warning(error.message);
+        throw error;
+      }
+      Logger.error(`Optimization process failed: ${error.message}`);
+      Logger.debug(`Error classified as ${ErrorClassifier.describe(error.classification)}`);
+      throw error;
+    }
+  }
+
+  // Spaces calls rateLimitMs apart, also across optimizations running concurrently
+  async throttle(signal = null) {
+    if (!this.options.rateLimitMs) {
+      return;
+    }
+
+    const now = Date.now();
+    const callAt = Math.max(now, this.nextCallAt);
+    this.nextCallAt = callAt + this.options.rateLimitMs;
+
+    if (callAt > now) {
+      await this.sleep(callAt - now, signal);
+    }
+  }
+
+  // Resolves early when the signal aborts; callers check signal.aborted afterwards
+  sleep(ms, signal = null) {
+    if (signal?.aborted) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+export default OptimizationBackend;
@@ -0,0 +1,101 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import Logger from '../utils/logger.js';
+import FileUtils from '../utils/fileUtils.js';
+import Hash from '../utils/hash.js';
+import OptimizationBackend from './optimizationBackend.js';
+
+// Serves solutions recorded on disk: any directory holding an input.json next to a
+// solution.json (e.g. a previous run's output/iteration_N, copied under ./recordings)
+// answers requests whose input matches that input.json.
+class ReplayBackend extends OptimizationBackend {
+  constructor(options = {}) {
+    super({ replayDir: process.env.ROIR_REPLAY_DIR || './recordings', ...options });
+    this.name = 'replay';
+    this.recordings = null;
+    this.requests = new Map();
+  }
+
+  async loadRecordings() {
+    if (this.recordings) {
+      return this.recordings;
+    }
+
+    this.recordings = new Map();
+    const rootDir = path.resolve(this.options.replayDir);
+    if (!(await FileUtils.fileExists(rootDir))) {
+      throw new Error(`Replay directory ${this.options.replayDir} not found`);
+    }
+
+    const visit = async dir => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      const names = entries.map(entry => entry.name);
+
+      if (names.includes('input.json') && names.includes('solution.json')) {
+        const input = await FileUtils.readJsonFile(path.join(dir, 'input.json'));
+        const key = Hash.hashObject(input);
+        if (!this.recordings.has(key)) {
+          this.recordings.set(key, path.join(dir, 'solution.json'));
+        }
+      }
+
+      for (const entry of entries.filter(entry => entry.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+        await visit(path.join(dir, entry.name));
+      }
+    };
+
+    await visit(rootDir);
+    Logger.info(`Loaded ${this.recordings.size} recorded solutions from ${this.options.replayDir}`);
+    return this.recordings;
+  }
+
+  async submit(inputData, options = {}) {
+    try {
+      const requestData = {
+        ...inputData,
+        options: {
+          ...inputData.options,
+          ...options
+        }
+      };
+
+      const recordings = await this.loadRecordings();
+      const key = Hash.hashObject(requestData);
+      const solutionPath = recordings.get(key);
+      if (!solutionPath) {
+        throw new Error(`No recorded solution for input ${key} in ${this.options.replayDir}`);
+      }
+
+      const recorded = await FileUtils.readJsonFile(solutionPath);
+      const requestId = `replay_${key}`;
+      this.requests.set(requestId, {
+        id: requestId,
+        result: recorded.result || recorded,
+        status: 'Ok',
+        message: ''
+      });
+
+      Logger.success(`Replaying recorded solution ${solutionPath}`);
+      return { success: true, data: { id: requestId }, requestId };
+    } catch (error) {
+      Logger.error(`Failed to replay optimization: ${error.message}`);
+      return { success: false, error: error.message, originalError: error, data: null };
+    }
+  }
+
+  async poll(requestId) {
+    const data = this.requests.get(requestId);
+    if (!data) {
+      return { success: false, error: `Unknown replay request ${requestId}`, status: 'unknown' };
+    }
+    return { success: true, status: 'completed', data };
+  }
+
+  async getResult(requestId, existingData = null) {
+    const data = existingData || this.requests.get(requestId);
+    return { success: !!data, data, solution: data ? data.result : null };
+  }
+}
+
+export default ReplayBackend;
@@ -2,719 +2,284 @@
 
 import { Command } from 'commander';
 import dotenv from 'dotenv';
-import ora from 'ora';
 import chalk from 'chalk';
 import path from 'path';
 
 import Logger from './utils/logger.js';
 import FileUtils from './utils/fileUtils.js';
-import InputParser from './parsers/inputParser.js';
-import SolutionParser from './parsers/solutionParser.js';
-import LoadAnalyzer from './analyzers/loadAnalyzer.js';
-import ConstraintChecker from './analyzers/constraintChecker.js';
-import InputModifier from './modifiers/inputModifier.js';
-import NextBillionClient from './api/nextBillionClient.js';
+import SolutionScorer from './analyzers/solutionScorer.js';
+import RunStore from './utils/runStore.js';
+import ROIR from './roir.js';
 
 // Load environment variables
 dotenv.config();
 
-class ROIR {
-  constructor(options = {}) {
+// Runs several scenarios from a manifest, each into its own output subdirectory, and
+// writes a cross-scenario comparison to batch_report.json.
+//
+// Manifest format:
+// {
+//   "defaults": { "minLoad": 12000, "maxIterations": 10 },
+//   "scenarios": [
+//     { "name": "default", "input": "./input.json", "solution": "./solution.json", "minLoad": 12000, "maxIterations": 10 }
+//   ]
+// }
+class ROIRBatch {
+  constructor(manifestPath, options = {}) {
+    this.manifestPath = manifestPath;
     this.options = {
-      minLoad: 12000,
-      maxIterations: 20,
-      useMock: false,
       outputDir: './output',
       ...options
     };
-
-    this.apiClient = new NextBillionClient(
-      process.env.NEXTBILLION_API_KEY || 'mock_key',
-      process.env.NEXTBILLION_API_URL
-    );
-
-    this.iterationHistory = [];
-    this.bestSolution = null;
-    this.totalAttempts = 0;
-  }
-
-  async run() {
-    try {
-      Logger.info('Starting MVRP Explainability Process');
-      Logger.info(`Target minimum load: ${this.options.minLoad}`);
-      Logger.info(`Maximum iterations: ${this.options.maxIterations}`);
-
-      // Step 0: Clear output directory
-      console.log('About to clear output directory...');
-      await this.clearOutputDirectory();
-      console.log('Finished clearing output directory...');
-
-      // Step 1: Load and parse input files
-      const inputData = await this.loadInputData();
-      const solutionData = await this.loadSolutionData();
-
-      // Step 2: Parse and validate data
-      const parsedInput = InputParser.parse(inputData);
-      const parsedSolution = SolutionParser.parse(solutionData);
-
-      // Step 3: Initial analysis
-      const initialAnalysis = LoadAnalyzer.analyzeLoadDistribution(
-        parsedSolution.data, 
-        this.options.minLoad
-      );
-
-      Logger.info(`Initial analysis: ${initialAnalysis.summary.complianceRate.toFixed(1)}% compliance`);
-
-      // Step 4: Check if we already meet constraints
-      const constraints = { minLoadPerRoute: this.options.minLoad };
-      const constraintCheck = ConstraintChecker.checkSolutionConstraints(
-        parsedSolution.data, 
-        constraints
-      );
-
-      if (constraintCheck.passed) {
-        Logger.success('Solution already meets all constraints!');
-        return this.generateFinalReport(parsedSolution, initialAnalysis);
-      }
-
-      // Step 5: Start iterative optimization
-      await this.runIterativeOptimization(parsedInput, parsedSolution);
-
-      // Step 6: Generate final report
-      return await this.generateFinalReport(this.bestSolution, initialAnalysis);
-
-    } catch (error) {
-      Logger.error(`MVRP Explainability failed: ${error.message}`);
-      throw error;
-    }
+    this.results = [];
   }
 
-  async loadInputData() {
-    Logger.info('Loading input data...');
-    
-    const inputPath = path.resolve('./input.json');
-    if (!(await FileUtils.fileExists(inputPath))) {
-      throw new Error('input.json not found in current directory');
+  async loadManifest() {
+    const manifestPath = path.resolve(this.manifestPath);
+    if (!(await FileUtils.fileExists(manifestPath))) {
+      throw new Error(`Batch manifest not found: ${manifestPath}`);
     }
 
-    return await FileUtils.readJsonFile(inputPath);
-  }
-
-  async loadSolutionData() {
-    Logger.info('Loading solution data...');
-    
-    const solutionPath = path.resolve('./solution.json');
-    if (!(await FileUtils.fileExists(solutionPath))) {
-      throw new Error('solution.json not found in current directory');
+    const manifest = await FileUtils.readJsonFile(manifestPath);
+    if (!Array.isArray(manifest.scenarios) || manifest.scenarios.length === 0) {
+      throw new Error('Batch manifest must contain a non-empty scenarios array');
     }
 
-    return await FileUtils.readJsonFile(solutionPath);
-  }
-
-  async clearOutputDirectory() {
-    Logger.info('Clearing output directory...');
-    
-    const outputPath = path.resolve('./output');
-    
-    try {
-      // Import fs/promises
-      const fs = await import('fs/promises');
-      
-      // Check if output directory exists and remove it
-      try {
-        await fs.access(outputPath);
-        await fs.rm(outputPath, { recursive: true, force: true });
-        Logger.success('Output directory cleared successfully');
-      } catch (accessError) {
-        // Directory doesn't exist, which is fine
-        Logger.info('Output directory does not exist, will create new one');
+    const names = new Set();
+    manifest.scenarios.forEach((scenario, index) => {
+      if (!scenario.name || !scenario.input || !scenario.solution) {
+        throw new Error(`Scenario ${index + 1} must have a name, input and solution`);
       }
-      
-      // Create fresh output directory
-      await fs.mkdir(outputPath, { recursive: true });
-      Logger.success('Output directory created successfully');
-    } catch (error) {
-      Logger.warning(`Failed to clear output directory: ${error.message}`);
-      // Continue execution even if clearing fails
-    }
-  }
-
-  async runIterativeOptimization(parsedInput, initialSolution) {
-    Logger.info('Starting iterative optimization process');
-
-    let currentInput = parsedInput.data;
-    let currentSolution = initialSolution.data;
-    let iteration = 1;
-    let successfulIteration = 0; // Track the last successful iteration
-    let lastSuccessfulInput = currentInput;
-    let lastSuccessfulSolution = currentSolution;
-
-    while (iteration <= this.options.maxIterations) {
-      Logger.info(`\n=== Iteration ${iteration}/${this.options.maxIterations} ===`);
+      if (names.has(scenario.name)) {
+        throw new Error(`Duplicate scenario name: ${scenario.name}`);
+      }
+      names.add(scenario.name);
+    });
 
-      // Analyze current solution
-      const analysis = LoadAnalyzer.analyzeLoadDistribution(currentSolution, this.options.minLoad);
-      
-      // Check constraints
-      const constraints = { minLoadPerRoute: this.options.minLoad };
-      const constraintCheck = ConstraintChecker.checkSolutionConstraints(currentSolution, constraints);
+    return manifest;
+  }
 
+  async run() {
+    const manifest = await this.loadManifest();
+    const defaults = manifest.defaults || {};
 
+    Logger.info(`Starting batch run: ${manifest.scenarios.length} scenarios`);
 
-      // Check if we've achieved our goal
-      if (constraintCheck.passed && analysis.routeCount > 0) {
-        Logger.success(`Constraints met at iteration ${iteration}!`);
-        this.bestSolution = currentSolution;
+    for (const scenario of manifest.scenarios) {
+      if (this.options.signal?.aborted) {
+        Logger.warning(`Batch cancelled - skipping scenario ${scenario.name} and the rest`);
         break;
       }
 
-      // Create modification strategies based on last successful iteration
-      const strategies = InputModifier.createLoadBalancingStrategy(analysis, iteration, successfulIteration);
-      Logger.info(`Created ${strategies.length} modification strategies`);
-
-      // Apply strategies to input
-      const modifiedInput = InputModifier.applyMultipleStrategies(currentInput, strategies);
-      
-      // Validate modified input
-      InputModifier.validateModifiedInput(modifiedInput);
-
-      // Run optimization with modified input
-      const optimizationResult = await this.runOptimization(modifiedInput, iteration);
-      
-      if (!optimizationResult.success) {
-        Logger.error(`Optimization failed at iteration ${iteration}`);
-        break;
-      }
+      const scenarioOptions = {
+        ...this.options,
+        minLoad: scenario.minLoad ?? defaults.minLoad ?? this.options.minLoad,
+        maxIterations: scenario.maxIterations ?? defaults.maxIterations ?? this.options.maxIterations,
+        inputPath: scenario.input,
+        solutionPath: scenario.solution,
+        outputDir: path.join(this.options.outputDir, this.getScenarioDirName(scenario.name))
+      };
+
+      Logger.info(`\n=== Scenario ${scenario.name} (min load ${scenarioOptions.minLoad}, ${scenarioOptions.maxIterations} iterations) ===`);
 
-      // Parse new solution
-      const newSolution = SolutionParser.parse(optimizationResult.solution);
-      const newAnalysis = LoadAnalyzer.analyzeLoadDistribution(newSolution.data, this.options.minLoad);
-
-      // Check if this iteration produced a valid solution (has routes with jobs)
-      Logger.debug(`Iteration ${iteration} analysis: totalRoutes=${newAnalysis.summary.totalRoutes}, totalJobsAssigned=${newAnalysis.summary.totalJobsAssigned}`);
-      
-      if (newAnalysis.summary.totalRoutes > 0) {
-        // This is a successful iteration
-        currentSolution = newSolution.data;
-        currentInput = modifiedInput;
-        lastSuccessfulInput = modifiedInput;
-        lastSuccessfulSolution = newSolution.data;
-        successfulIteration = iteration;
-        
-        Logger.success(`Successful iteration ${iteration} with ${newAnalysis.summary.totalRoutes} routes`);
-        
-        // Add successful iteration to history
-        const newConstraintCheck = ConstraintChecker.checkSolutionConstraints(newSolution.data, { minLoadPerRoute: this.options.minLoad });
-        this.iterationHistory.push({
-          iteration,
-          analysis: newAnalysis,
-          constraintCheck: newConstraintCheck,
-          solution: newSolution.data,
-          timestamp: new Date().toISOString(),
-          relaxed: false
+      try {
+        const report = await new ROIR(scenarioOptions).run();
+        this.results.push(this.summarizeScenario(scenario, scenarioOptions, report));
+      } catch (error) {
+        // One failing scenario should not stop the rest of the batch
+        Logger.error(`Scenario ${scenario.name} failed: ${error.message}`);
+        this.results.push({
+          name: scenario.name,
+          input: scenario.input,
+          solution: scenario.solution,
+          minLoad: scenarioOptions.minLoad,
+          maxIterations: scenarioOptions.maxIterations,
+          outputDir: scenarioOptions.outputDir,
+          status: 'failed',
+          error: error.message
         });
-        
-        // Update best solution if this one is better
-        if (this.isBetterSolution(newSolution, this.bestSolution)) {
-          this.bestSolution = currentSolution;
-          Logger.success(`New best solution found at iteration ${iteration}`);
-        }
-
-        // Save iteration files
-        await this.saveIterationFiles(iteration, modifiedInput, newSolution.data, strategies);
-      } else {
-        // Empty routes - revert to last successful iteration and try less constrained approach
-        Logger.warning(`Iteration ${iteration} produced no routes - reverting to last successful iteration ${successfulIteration}`);
-        
-        if (successfulIteration > 0) {
-          currentInput = lastSuccessfulInput;
-          currentSolution = lastSuccessfulSolution;
-          
-          // Create less constrained strategies
-          const relaxedStrategies = InputModifier.createRelaxedLoadBalancingStrategy(
-            LoadAnalyzer.analyzeLoadDistribution(currentSolution, this.options.minLoad), 
-            iteration, 
-            successfulIteration
-          );
-          
-          Logger.info(`Created ${relaxedStrategies.length} relaxed modification strategies`);
-          
-          // Apply relaxed strategies
-          const relaxedInput = InputModifier.applyMultipleStrategies(currentInput, relaxedStrategies);
-          InputModifier.validateModifiedInput(relaxedInput);
-          
-          // Run optimization with relaxed input
-          const relaxedResult = await this.runOptimization(relaxedInput, iteration);
-          
-          if (relaxedResult.success) {
-            const relaxedSolution = SolutionParser.parse(relaxedResult.solution);
-            const relaxedAnalysis = LoadAnalyzer.analyzeLoadDistribution(relaxedSolution.data, this.options.minLoad);
-            
-            if (relaxedAnalysis.routeCount > 0) {
-              currentSolution = relaxedSolution.data;
-              currentInput = relaxedInput;
-              lastSuccessfulInput = relaxedInput;
-              lastSuccessfulSolution = relaxedSolution.data;
-              successfulIteration = iteration;
-              
-              Logger.success(`Relaxed iteration ${iteration} successful with ${relaxedAnalysis.routeCount} routes`);
-              
-              // Add successful relaxed iteration to history
-              const relaxedConstraintCheck = ConstraintChecker.checkSolutionConstraints(relaxedSolution.data, { minLoadPerRoute: this.options.minLoad });
-              this.iterationHistory.push({
-                iteration,
-                analysis: relaxedAnalysis,
-                constraintCheck: relaxedConstraintCheck,
-                solution: relaxedSolution.data,
-                timestamp: new Date().toISOString(),
-                relaxed: true
-              });
-              
-              if (this.isBetterSolution(relaxedSolution, this.bestSolution)) {
-                this.bestSolution = currentSolution;
-                Logger.success(`New best solution found at iteration ${iteration} (relaxed)`);
-              }
-              
-              await this.saveIterationFiles(iteration, relaxedInput, relaxedSolution.data, relaxedStrategies);
-            } else {
-              Logger.error(`Relaxed iteration ${iteration} also failed - no routes produced`);
-            }
-          } else {
-            Logger.error(`Relaxed optimization failed at iteration ${iteration}`);
-          }
-        } else {
-          Logger.error(`No successful iterations to revert to - stopping optimization`);
-          break;
-        }
       }
-
-      this.totalAttempts++;
-      iteration++;
     }
 
-    if (iteration > this.options.maxIterations) {
-      Logger.warning(`Reached maximum iterations (${this.options.maxIterations})`);
-    }
-  }
+    const report = this.generateComparisonReport();
+    await FileUtils.writeJsonFile(path.join(this.options.outputDir, 'batch_report.json'), report);
+    this.printComparison(report);
 
-  async runOptimization(inputData, iteration) {
-    const spinner = ora(`Running optimization (iteration ${iteration})...`).start();
-
-    try {
-      let result;
-      
-      if (this.options.useMock) {
-        // Use mock response for testing
-        result = this.apiClient.createMockResponse(inputData);
-        await this.apiClient.sleep(2000); // Simulate processing time
-      } else {
-        // Run actual optimization
-        result = await this.apiClient.runOptimization(inputData);
-      }
-
-      spinner.succeed(`Optimization completed (iteration ${iteration})`);
-      return result;
-    } catch (error) {
-      spinner.fail(`Optimization failed (iteration ${iteration}): ${error.message}`);
-      return { success: false, error: error.message };
-    }
+    return report;
   }
 
-  isBetterSolution(newSolution, currentBest) {
-    if (!currentBest) return true;
-
-    const newAnalysis = LoadAnalyzer.analyzeLoadDistribution(newSolution.data, this.options.minLoad);
-    const currentAnalysis = LoadAnalyzer.analyzeLoadDistribution(currentBest, this.options.minLoad);
-
-    // Reject solutions with no routes (failed optimization)
-    if (newAnalysis.routeCount === 0) {
-      Logger.warning('Rejecting solution with no routes (failed optimization)');
-      return false;
-    }
-
-    // Prefer solutions with higher compliance rate
-    if (newAnalysis.summary.complianceRate > currentAnalysis.summary.complianceRate) {
-      return true;
-    }
-
-    // If compliance rates are equal, prefer solutions with fewer routes
-    if (newAnalysis.summary.complianceRate === currentAnalysis.summary.complianceRate) {
-      return newAnalysis.routeCount < currentAnalysis.routeCount;
-    }
-
-    return false;
+  getScenarioDirName(name) {
+    return String(name).replace(/[^a-zA-Z0-9_-]+/g, '_');
   }
 
-  async saveIterationFiles(iteration, inputData, solutionData, strategies) {
-    const outputDir = path.resolve(this.options.outputDir);
-    await FileUtils.ensureDirectory(outputDir);
-
-    const iterationDir = path.join(outputDir, `iteration_${iteration}`);
-    await FileUtils.ensureDirectory(iterationDir);
-
-    // Save modified input
-    await FileUtils.writeJsonFile(
-      path.join(iterationDir, 'input.json'),
-      inputData
-    );
-
-    // Save solution
-    await FileUtils.writeJsonFile(
-      path.join(iterationDir, 'solution.json'),
-      solutionData
-    );
-
-    // Save strategies
-    await FileUtils.writeJsonFile(
-      path.join(iterationDir, 'strategies.json'),
-      strategies
-    );
-
-    Logger.debug(`Saved iteration ${iteration} files to ${iterationDir}`);
+  summarizeScenario(scenario, scenarioOptions, report) {
+    return {
+      name: scenario.name,
+      input: scenario.input,
+      solution: scenario.solution,
+      minLoad: scenarioOptions.minLoad,
+      maxIterations: scenarioOptions.maxIterations,
+      outputDir: scenarioOptions.outputDir,
+      status: report.summary.status || 'completed',
+      initialComplianceRate: report.summary.initialComplianceRate,
+      finalComplianceRate: report.summary.finalComplianceRate,
+      improvement: report.summary.improvement,
+      constraintsMet: report.summary.constraintsMet,
+      totalIterations: report.summary.totalIterations,
+      totalAttempts: report.summary.totalAttempts,
+      finalRoutes: report.finalAnalysis.totalRoutes || 0,
+      routesBelowTarget: report.finalAnalysis.routesBelowCount || 0,
+      totalLoadGap: report.finalAnalysis.totalLoadGap || 0
+    };
   }
 
-  async generateFinalReport(finalSolution, initialAnalysis) {
-    Logger.info('Generating final report...');
-
-    // Handle case where no successful iterations occurred
-    if (!finalSolution || !finalSolution.routes) {
-      const report = {
-        summary: {
-          totalIterations: this.iterationHistory.length,
-          totalAttempts: this.totalAttempts || 0,
-          targetMinLoad: this.options.minLoad,
-          initialComplianceRate: initialAnalysis.summary.complianceRate,
-          finalComplianceRate: 0,
-          improvement: -initialAnalysis.summary.complianceRate,
-          constraintsMet: false,
-          bestSolutionFound: false
-        },
-        initialAnalysis: initialAnalysis.summary,
-        finalAnalysis: { complianceRate: 0, totalRoutes: 0, routesBelowCount: 0, totalLoadGap: 0 },
-        constraintCheck: { passed: false, violations: [] },
-        iterationHistory: this.iterationHistory.map(iter => ({
-          iteration: iter.iteration,
-          complianceRate: iter.analysis.summary.complianceRate,
-          totalRoutes: iter.analysis.summary.totalRoutes,
-          routesBelowTarget: iter.analysis.summary.routesBelowCount,
-          totalLoadGap: iter.analysis.summary.totalLoadGap,
-          constraintsPassed: iter.constraintCheck.passed,
-          relaxed: iter.relaxed || false
-        })),
-        recommendations: [{ description: "No successful optimization iterations found. Consider relaxing constraints or adjusting parameters." }]
-      };
-
-      // Save final report
-      const reportPath = path.join(this.options.outputDir, 'final_report.json');
-      await FileUtils.writeJsonFile(reportPath, report);
-
-      // Print summary
-      await this.printSummary(report);
-
-      return report;
-    }
-
-    const finalAnalysis = LoadAnalyzer.analyzeLoadDistribution(finalSolution, this.options.minLoad);
-    const constraints = { minLoadPerRoute: this.options.minLoad };
-    const finalConstraintCheck = ConstraintChecker.checkSolutionConstraints(finalSolution, constraints);
+  generateComparisonReport() {
+    const completed = this.results.filter(result => result.status === 'completed');
+    const best = [...completed].sort((a, b) => b.finalComplianceRate - a.finalComplianceRate)[0] || null;
 
-    const report = {
+    return {
       summary: {
-        totalIterations: this.iterationHistory.length,
-        totalAttempts: this.totalAttempts || 0,
-        targetMinLoad: this.options.minLoad,
-        initialComplianceRate: initialAnalysis.summary.complianceRate,
-        finalComplianceRate: finalAnalysis.summary.complianceRate,
-        improvement: finalAnalysis.summary.complianceRate - initialAnalysis.summary.complianceRate,
-        constraintsMet: finalConstraintCheck.passed,
-        bestSolutionFound: !!this.bestSolution
+        manifest: path.resolve(this.manifestPath),
+        totalScenarios: this.results.length,
+        completedScenarios: completed.length,
+        failedScenarios: this.results.length - completed.length,
+        constraintsMetCount: completed.filter(result => result.constraintsMet).length,
+        averageImprovement: completed.length > 0
+          ? completed.reduce((sum, result) => sum + result.improvement, 0) / completed.length
+          : 0,
+        bestScenario: best ? best.name : null
       },
-      initialAnalysis: initialAnalysis.summary,
-      finalAnalysis: finalAnalysis.summary,
-      constraintCheck: finalConstraintCheck,
-      iterationHistory: this.iterationHistory.map(iter => ({
-        iteration: iter.iteration,
-        complianceRate: iter.analysis.summary.complianceRate,
-        totalRoutes: iter.analysis.summary.totalRoutes,
-        routesBelowTarget: iter.analysis.summary.routesBelowCount,
-        totalLoadGap: iter.analysis.summary.totalLoadGap,
-        constraintsPassed: iter.constraintCheck.passed,
-        relaxed: iter.relaxed || false
-      })),
-      recommendations: ConstraintChecker.getConstraintViolationDetails(finalConstraintCheck).recommendations
+      scenarios: this.results,
+      generatedAt: new Date().toISOString()
     };
-
-    // Save final report
-    const reportPath = path.join(this.options.outputDir, 'final_report.json');
-    await FileUtils.writeJsonFile(reportPath, report);
-
-    // Print summary
-    await this.printSummary(report);
-
-    return report;
   }
 
-  async printSummary(report) {
+  printComparison(report) {
     console.log('\n' + chalk.bold.blue('='.repeat(60)));
-    console.log(chalk.bold.blue('MVRP EXPLAINABILITY SUMMARY'));
+    console.log(chalk.bold.blue('BATCH SCENARIO COMPARISON'));
     console.log(chalk.bold.blue('='.repeat(60)));
-    
-    console.log(`\n${chalk.bold('Target Minimum Load:')} ${report.summary.targetMinLoad}`);
-    console.log(`${chalk.bold('Successful Iterations:')} ${report.summary.totalIterations}`);
-    console.log(`${chalk.bold('Total Attempts:')} ${report.summary.totalAttempts}`);
-    console.log(`${chalk.bold('Initial Compliance:')} ${report.summary.initialComplianceRate.toFixed(1)}%`);
-    console.log(`${chalk.bold('Final Compliance:')} ${report.summary.finalComplianceRate.toFixed(1)}%`);
-    console.log(`${chalk.bold('Improvement:')} ${report.summary.improvement.toFixed(1)}%`);
-    console.log(`${chalk.bold('Constraints Met:')} ${report.summary.constraintsMet ? chalk.green('✓') : chalk.red('✗')}`);
-    
-    // Print iteration summary table
-    await this.printIterationTable(report.iterationHistory);
-    
-    if (report.recommendations.length > 0) {
-      console.log(`\n${chalk.bold.yellow('Recommendations:')}`);
-      report.recommendations.forEach((rec, index) => {
-        console.log(`${index + 1}. ${rec.description}`);
-      });
-    }
-    
-    console.log(chalk.bold.blue('\n' + '='.repeat(60)));
-  }
 
-  async printIterationTable(iterationHistory) {
-    if (!iterationHistory || iterationHistory.length === 0) {
-      console.log(`\n${chalk.yellow('No successful iterations to display')}`);
-      return;
+    report.scenarios.forEach(result => {
+      if (result.status !== 'completed') {
+        console.log(`${chalk.bold(result.name)}: ${chalk.red(`failed - ${result.error}`)}`);
+        return;
+      }
+
+      console.log(`${chalk.bold(result.name)}: ` +
+        `${result.initialComplianceRate.toFixed(1)}% → ${result.finalComplianceRate.toFixed(1)}% compliance, ` +
+        `${result.finalRoutes} routes, load gap ${result.totalLoadGap}, ` +
+        `${result.totalIterations}/${result.totalAttempts} successful iterations, ` +
+        `constraints met ${result.constraintsMet ? chalk.green('✓') : chalk.red('✗')}`);
+    });
+
+    console.log(`\n${chalk.bold('Constraints Met:')} ${report.summary.constraintsMetCount}/${report.summary.totalScenarios} scenarios`);
+    if (report.summary.bestScenario) {
+      console.log(`${chalk.bold('Best Scenario:')} ${report.summary.bestScenario}`);
     }
+    console.log(chalk.bold.blue('='.repeat(60)));
+  }
+}
 
-    console.log(`\n${chalk.bold.cyan('ITERATION SUMMARY TABLE')}`);
-
-    // Define column widths
-    const columnWidths = {
-      iter: 4,
-      compliance: 10,
-      routes: 6,
-      loadGap: 9,
-      objective: 20,
-      vehicles: 12,
-      time: 12,
-      type: 8
+// `roir history`: lists the runs in the run store (CLI and web), shows one run, and exports
+// a run's best input, best solution and report so it can be reopened or refined further.
+class ROIRHistory {
+  constructor(options = {}) {
+    this.options = {
+      dataDir: null,
+      status: null,
+      source: null,
+      search: null,
+      limit: 20,
+      json: false,
+      ...options
     };
+    this.store = new RunStore(this.options.dataDir || undefined);
+  }
 
-    // Calculate total width
-    const totalWidth = Object.values(columnWidths).reduce((sum, width) => sum + width, 0) + 
-                      (Object.keys(columnWidths).length - 1) * 3; // 3 chars for separators
-
-    console.log(chalk.cyan('='.repeat(totalWidth)));
-
-    // Table header
-    const header = [
-      this.padRight(chalk.bold.white('Iter'), columnWidths.iter),
-      this.padRight(chalk.bold.white('Compliance'), columnWidths.compliance),
-      this.padRight(chalk.bold.white('Routes'), columnWidths.routes),
-      this.padRight(chalk.bold.white('Load Gap'), columnWidths.loadGap),
-      this.padRight(chalk.bold.white('Objective'), columnWidths.objective),
-      this.padRight(chalk.bold.white('Vehicles'), columnWidths.vehicles),
-      this.padRight(chalk.bold.white('Time Window'), columnWidths.time),
-      this.padRight(chalk.bold.white('Type'), columnWidths.type)
-    ];
-
-    console.log(header.join(' | '));
-    console.log(chalk.cyan('-'.repeat(totalWidth)));
-
-    // Group iterations by iteration number to show both regular and relaxed attempts
-    const groupedIterations = {};
-    iterationHistory.forEach(iter => {
-      if (!groupedIterations[iter.iteration]) {
-        groupedIterations[iter.iteration] = [];
-      }
-      groupedIterations[iter.iteration].push(iter);
+  async list() {
+    const runs = await this.store.list({
+      status: this.options.status,
+      source: this.options.source,
+      search: this.options.search,
+      limit: this.options.limit
     });
 
-    // Sort by iteration number
-    const sortedIterations = Object.keys(groupedIterations).sort((a, b) => parseInt(a) - parseInt(b));
-
-    for (const iterationNum of sortedIterations) {
-      const iterations = groupedIterations[iterationNum];
-      
-      for (const iter of iterations) {
-        const isRelaxed = iter.relaxed || false;
-        const status = isRelaxed ? chalk.yellow('Relaxed') : chalk.green('Regular');
-        
-        // Get strategy details from the iteration data
-        const strategyDetails = await this.getStrategyDetails(iter);
-        
-        const row = [
-          this.padRight(chalk.bold.white(iter.iteration), columnWidths.iter),
-          this.padRight(this.formatCompliance(iter.complianceRate), columnWidths.compliance),
-          this.padRight(chalk.white(`${iter.totalRoutes || 0}`), columnWidths.routes),
-          this.padRight(chalk.white(`${iter.totalLoadGap || 0}`), columnWidths.loadGap),
-          this.padRight(chalk.cyan(strategyDetails.objective || 'N/A'), columnWidths.objective),
-          this.padRight(chalk.cyan(strategyDetails.vehicles || 'N/A'), columnWidths.vehicles),
-          this.padRight(chalk.cyan(strategyDetails.timeRelax || 'N/A'), columnWidths.time),
-          this.padRight(status, columnWidths.type)
-        ];
-
-        console.log(row.join(' | '));
-      }
+    if (this.options.json) {
+      console.log(JSON.stringify(runs, null, 2));
+      return runs;
     }
 
-    console.log(chalk.cyan('='.repeat(totalWidth)));
-    
-    // Print strategy change summary
-    await this.printStrategyChangeSummary(sortedIterations, groupedIterations);
-  }
+    console.log(`\n${chalk.bold.blue(`RUN HISTORY (${this.store.runsDir})`)}`);
+    if (runs.length === 0) {
+      console.log(chalk.yellow('No stored runs match'));
+      return runs;
+    }
 
-  padRight(str, width) {
-    const plainText = str.replace(/\u001b\[[0-9;]*m/g, ''); // Remove ANSI color codes
-    const padding = ' '.repeat(Math.max(0, width - plainText.length));
-    return str + padding;
+    runs.forEach(run => {
+      const compliance = run.summary
+        ? `${run.summary.initialComplianceRate.toFixed(1)}% → ${run.summary.finalComplianceRate.toFixed(1)}%`
+        : 'n/a';
+      console.log(`${chalk.bold(run.id)}  ${run.createdAt}  ${run.source}  ${this.formatStatus(run.status)}  ` +
+        `${run.inputName || run.inputHash}  min load ${run.params.minLoad}  ` +
+        `${run.iterations} iteration(s)  compliance ${compliance}`);
+    });
+    console.log(chalk.gray(`\nShow one run: roir history <run id>; reopen it: roir history <run id> --export <dir>`));
+    return runs;
   }
 
-  async printStrategyChangeSummary(sortedIterations, groupedIterations) {
-    console.log(`\n${chalk.bold.yellow('STRATEGY CHANGE SUMMARY')}`);
-    console.log(chalk.yellow('-'.repeat(60)));
-    
-    let prevObjective = null;
-    let prevWeight = null;
-    let prevVehicles = null;
-    let prevTime = null;
-    
-    for (const iterationNum of sortedIterations) {
-      const iterations = groupedIterations[iterationNum];
-      if (iterations.length > 0) {
-        const firstIter = iterations[0];
-        const strategyDetails = await this.getStrategyDetailsSync({ iteration: firstIter.iteration });
-        
-
-        
-        const changes = [];
-        if (strategyDetails.objective !== prevObjective && strategyDetails.objective !== 'N/A') {
-          changes.push(`Objective: ${prevObjective || 'None'} → ${strategyDetails.objective}`);
-          prevObjective = strategyDetails.objective;
-        }
-        if (strategyDetails.loadWeight !== prevWeight && strategyDetails.loadWeight !== 'N/A') {
-          changes.push(`Weight: ${prevWeight || 'None'} → ${strategyDetails.loadWeight}`);
-          prevWeight = strategyDetails.loadWeight;
-        }
-        if (strategyDetails.vehicles !== prevVehicles && strategyDetails.vehicles !== 'N/A') {
-          changes.push(`Vehicles: ${prevVehicles || 'None'} → ${strategyDetails.vehicles}`);
-          prevVehicles = strategyDetails.vehicles;
-        }
-        if (strategyDetails.timeRelax !== prevTime && strategyDetails.timeRelax !== 'N/A') {
-          changes.push(`Time: ${prevTime || 'None'} → ${strategyDetails.timeRelax}`);
-          prevTime = strategyDetails.timeRelax;
-        }
-        
-        if (changes.length > 0) {
-          console.log(chalk.cyan(`Iteration ${iterationNum}:`));
-          changes.forEach(change => {
-            console.log(chalk.white(`  • ${change}`));
-          });
-        }
-      }
+  async show(runId) {
+    const run = await this.store.get(runId);
+    if (!run) {
+      throw new Error(`Run ${runId} not found in ${this.store.runsDir}`);
     }
-  }
 
-  async getStrategyDetailsSync(iteration) {
-    // Try to get strategy details from saved files
-    try {
-      const strategyPath = path.join(this.options.outputDir, `iteration_${iteration.iteration}`, 'strategies.json');
-      const fs = await import('fs/promises');
-      const exists = await fs.access(strategyPath).then(() => true).catch(() => false);
-      
-      if (exists) {
-        const strategies = JSON.parse(await fs.readFile(strategyPath, 'utf8'));
-        return this.extractStrategyDetails(strategies);
-      }
-    } catch (error) {
-      // If we can't read the file, return default values
+    if (this.options.json) {
+      console.log(JSON.stringify(run, null, 2));
+      return run;
     }
 
-    return {
-      objective: 'N/A',
-      vehicles: 'N/A',
-      timeRelax: 'N/A'
-    };
-  }
-
-  async getStrategyDetails(iteration) {
-    // Try to get strategy details from saved files
-    try {
-      const strategyPath = path.join(this.options.outputDir, `iteration_${iteration.iteration}`, 'strategies.json');
-      const inputPath = path.join(this.options.outputDir, `iteration_${iteration.iteration}`, 'input.json');
-      const fs = await import('fs/promises');
-      
-      const strategyExists = await fs.access(strategyPath).then(() => true).catch(() => false);
-      const inputExists = await fs.access(inputPath).then(() => true).catch(() => false);
-      
-      let details = {
-        objective: 'N/A',
-        vehicles: 'N/A',
-        timeRelax: 'N/A'
-      };
-      
-      if (strategyExists) {
-        const strategies = JSON.parse(await fs.readFile(strategyPath, 'utf8'));
-        details = this.extractStrategyDetails(strategies);
-      }
-      
-      // Extract actual time window values from input file
-      if (inputExists) {
-        const inputData = JSON.parse(await fs.readFile(inputPath, 'utf8'));
-        if (inputData.options && inputData.options.constraint) {
-          const constraints = inputData.options.constraint;
-          if (constraints.max_vehicle_overtime || constraints.max_visit_lateness) {
-            const overtime = constraints.max_vehicle_overtime ? Math.round(constraints.max_vehicle_overtime / 60) : 0;
-            const lateness = constraints.max_visit_lateness ? Math.round(constraints.max_visit_lateness / 60) : 0;
-            details.timeRelax = `${overtime}m/${lateness}m`;
-          }
-        }
-      }
-      
-      return details;
-    } catch (error) {
-      // If we can't read the file, return default values
+    console.log(`\n${chalk.bold.blue(`RUN ${run.id}`)} ${this.formatStatus(run.status)}`);
+    console.log(`${chalk.bold('Started:')} ${run.createdAt} (${run.source}), finished ${run.finishedAt}`);
+    console.log(`${chalk.bold('Input:')} ${run.inputName || '-'} (${run.inputHash}), solution ${run.solutionName || '-'} (${run.solutionHash})`);
+    console.log(`${chalk.bold('Parameters:')} min load ${run.params.minLoad}, ${run.params.maxIterations} iterations, ` +
+      `concurrency ${run.params.concurrency}, ${run.params.backend} backend, ${run.params.search} search`);
+    if (run.summary) {
+      console.log(`${chalk.bold('Compliance:')} ${run.summary.initialComplianceRate.toFixed(1)}% → ${run.summary.finalComplianceRate.toFixed(1)}%, ` +
+        `best iteration ${run.summary.bestIteration ?? '-'}, constraints met ${run.summary.constraintsMet ? chalk.green('✓') : chalk.red('✗')}`);
+    }
+    if (run.error) {
+      console.log(`${chalk.bold('Error:')} ${chalk.red(run.error)}`);
     }
 
-    return {
-      objective: 'N/A',
-      vehicles: 'N/A',
-      timeRelax: 'N/A'
-    };
+    run.results.forEach(result => {
+      console.log(`  Iteration ${result.iteration}: ${result.compliance}% compliance, ${result.routes} routes, ` +
+        `${result.unassigned} unassigned, load gap ${result.loadGap}, ${result.objective}` +
+        `${result.relaxed ? chalk.yellow(' (relaxed)') : ''}`);
+    });
+    return run;
   }
 
-  extractStrategyDetails(strategies) {
-    const details = {
-      objective: 'N/A',
-      vehicles: 'N/A',
-      timeRelax: 'N/A'
-    };
-
-    strategies.forEach(strategy => {
-      switch (strategy.type) {
-        case 'objective_modification':
-          details.objective = strategy.objective || 'N/A';
-          break;
-        case 'vehicle_addition':
-          details.vehicles = `${strategy.count || 0}@${strategy.capacity || 0}`;
-          break;
-        case 'time_window_softening':
-          details.timeRelax = `${strategy.relaxationMinutes || 0}m`;
-          break;
+  // Writes the stored files plus the iteration results into a directory; best_input.json can
+  // be refined again with --input, or loaded into the web app
+  async export(runId, directory) {
+    const run = await this.show(runId);
+    const exportDir = path.resolve(directory);
+
+    await FileUtils.writeJsonFile(path.join(exportDir, 'run.json'), run);
+    for (const [key, fileName] of [['bestInput', 'best_input.json'], ['bestSolution', 'best_solution.json'], ['finalReport', 'final_report.json']]) {
+      const data = await this.store.readFile(runId, key);
+      if (data) {
+        await FileUtils.writeJsonFile(path.join(exportDir, fileName), data);
       }
-    });
+    }
 
-    return details;
+    Logger.success(`Exported run ${runId} to ${exportDir}`);
+    return exportDir;
   }
 
-  formatCompliance(complianceRate) {
-    if (complianceRate >= 80) {
-      return chalk.green(`${complianceRate.toFixed(1)}%`);
-    } else if (complianceRate >= 60) {
-      return chalk.yellow(`${complianceRate.toFixed(1)}%`);
-    } else {
-      return chalk.red(`${complianceRate.toFixed(1)}%`);
-    }
+  formatStatus(status) {
+    const colors = { completed: chalk.green, cancelled: chalk.yellow, failed: chalk.red };
+    return (colors[status] || chalk.white)(status);
   }
 }
 
@@ -724,30 +289,121 @@ const program = new Command();
 program
   .name('roir')
   .description('Route Optimization Iterative Refiner (ROIR) - Iterative route optimization for NextBillion.ai solutions')
-  .version('1.0.0');
+  .version('1.0.0')
+  // Run options only count before a subcommand, so `history --search` is the history filter
+  // and not the run's --search mode
+  .enablePositionalOptions();
 
 program
-  .option('-m, --min-load <number>', 'Minimum load per route', '12000')
+  .option('-m, --min-load <number>', 'Minimum load per route, in the first capacity dimension', '12000')
   .option('-i, --max-iterations <number>', 'Maximum number of iterations', '10')
-  .option('--use-mock', 'Use mock API responses for testing')
-  .option('-o, --output-dir <path>', 'Output directory for results', './output');
+  .option('--use-mock', 'Use the built-in local solver instead of the NextBillion API')
+  .option('-b, --backend <name>', 'Optimization backend: nextbillion, local or replay (default: $ROIR_BACKEND or nextbillion)')
+  .option('--replay-dir <path>', 'Directory of recorded input/solution pairs for the replay backend (default: $ROIR_REPLAY_DIR or ./recordings)')
+  .option('--local-speed <kmh>', 'Average driving speed for the local solver (default: $ROIR_LOCAL_SPEED_KMH or the initial solution\'s)')
+  .option('--cassette <dir>', 'Record NextBillion API traffic to (or replay it from) this directory')
+  .option('--cassette-mode <mode>', 'Cassette mode: record or replay', 'record')
+  .option('--input <path>', 'Input file path', './input.json')
+  .option('--solution <path>', 'Initial solution file path', './solution.json')
+  .option('--batch <manifest>', 'Run every scenario in a batch manifest and write a comparison report')
+  .option('--strategy-plan <path>', 'Strategy plan JSON (default: $ROIR_STRATEGY_PLAN or config/strategy-plan.json)')
+  .option('--search <mode>', 'Strategy search: schedule (plan rotation) or adaptive (learns from iteration scores)', 'schedule')
+  .option('-c, --concurrency <number>', 'Iterations to submit in parallel per round (best result is kept)', '1')
+  .option('-o, --output-dir <path>', 'Output directory for results', './output')
+  .option('--resume', 'Resume an interrupted run from the iteration directories in the output directory')
+  .option('--preflight', 'Only check the input for infeasible jobs and write preflight_report.json (no API calls)')
+  .option('--remove-rejected', 'Drop the jobs and vehicles a rejected request names and keep going (default: stop with the reason)')
+  .option('--score-weights <weights>', 'Rank solutions by a weighted score, e.g. compliance=10,unassigned=2,addedVehicles=3')
+  .option('--score-priorities <criteria>', 'Rank solutions lexicographically, e.g. compliance,unassigned,addedVehicles')
+  .option('--time-window-easing <minutes>', 'Widen every job time window by this many minutes before refining', '0')
+  .option('--shift-time-adjustments <minutes>', 'Extend every vehicle shift by this many minutes before refining', '0')
+  .option('--data-dir <dir>', 'Run store directory for the run history (default: $ROIR_DATA_DIR or ./data)')
+  .option('--no-history', 'Do not save this run to the run history')
+  // Options alone start a run; without this commander would show help because a subcommand exists
+  .action(() => {});
+
+let historyCommand = null;
+
+program
+  .command('history')
+  .description('List stored runs (CLI and web), show one run, or export it to reopen it')
+  .argument('[runId]', 'Show this run instead of the list')
+  .option('--status <status>', 'Only runs with this status: completed, cancelled or failed')
+  .option('--source <source>', 'Only runs started from: cli or web')
+  .option('--search <text>', 'Match run id, file names or input/solution hashes')
+  .option('--limit <number>', 'Maximum runs listed', '20')
+  .option('--data-dir <dir>', 'Run store directory (default: $ROIR_DATA_DIR or ./data)')
+  .option('--export <dir>', 'Write the run\'s best input, best solution and report to this directory')
+  .option('--json', 'Print JSON instead of a table')
+  .action((runId, historyOptions) => {
+    historyCommand = { runId, options: historyOptions };
+  });
 
 program.parse();
 
 const options = program.opts();
 
+// The first Ctrl-C cancels the run: requests in flight stop being polled and the report is
+// written from the completed iterations. A second Ctrl-C exits immediately.
+function createCancelSignal() {
+  const controller = new AbortController();
+  process.on('SIGINT', () => {
+    if (controller.signal.aborted) {
+      process.exit(130);
+    }
+    Logger.warning('Cancelling - finishing with the completed iterations (press Ctrl-C again to exit now)');
+    controller.abort();
+  });
+  return controller.signal;
+}
+
 // Main execution
 async function main() {
   try {
-    const roir = new ROIR({
+    const signal = createCancelSignal();
+    const roirOptions = {
       minLoad: parseInt(options.minLoad),
       maxIterations: parseInt(options.maxIterations),
       useMock: options.useMock,
-      outputDir: options.outputDir
-    });
+      backend: options.backend,
+      replayDir: options.replayDir,
+      localSpeed: options.localSpeed ? parseFloat(options.localSpeed) : null,
+      cassetteDir: options.cassette,
+      cassetteMode: options.cassetteMode,
+      inputPath: options.input,
+      solutionPath: options.solution,
+      outputDir: options.outputDir,
+      strategyPlan: options.strategyPlan,
+      search: options.search,
+      concurrency: Math.max(1, parseInt(options.concurrency) || 1),
+      resume: options.resume,
+      preflight: options.preflight,
+      removeRejected: options.removeRejected,
+      scoreWeights: options.scoreWeights ? SolutionScorer.parseWeights(options.scoreWeights) : null,
+      scorePriorities: options.scorePriorities ? SolutionScorer.parsePriorities(options.scorePriorities) : null,
+      timeWindowEasing: parseInt(options.timeWindowEasing) || 0,
+      shiftTimeAdjustments: parseInt(options.shiftTimeAdjustments) || 0,
+      history: options.history && !options.preflight,
+      dataDir: options.dataDir,
+      printSummary: true,
+      signal
+    };
+
+    if (options.batch && options.preflight) {
+      throw new Error('--preflight checks a single input and cannot be combined with --batch');
+    }
 
-    await roir.run();
+    if (options.batch) {
+      await new ROIRBatch(options.batch, roirOptions).run();
+    } else {
+      await new ROIR(roirOptions).run();
+    }
     
+    if (signal.aborted) {
+      Logger.warning('ROIR process cancelled');
+      process.exit(130);
+    }
+
     Logger.success('ROIR process completed successfully');
     process.exit(0);
   } catch (error) {
@@ -756,9 +412,43 @@ async function main() {
   }
 }
 
+async function history({ runId, options: historyOptions }) {
+  try {
+    const roirHistory = new ROIRHistory({
+      dataDir: historyOptions.dataDir || options.dataDir, // Also accepted before the subcommand
+      status: historyOptions.status,
+      source: historyOptions.source,
+      search: historyOptions.search,
+      limit: parseInt(historyOptions.limit) || 20,
+      json: historyOptions.json
+    });
+
+    if (historyOptions.export && !runId) {
+      throw new Error('--export needs a run id: roir history <run id> --export <dir>');
+    }
+
+    if (historyOptions.export) {
+      await roirHistory.export(runId, historyOptions.export);
+    } else if (runId) {
+      await roirHistory.show(runId);
+    } else {
+      await roirHistory.list();
+    }
+    process.exit(0);
+  } catch (error) {
+    Logger.error(`History failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 // Run if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
+  if (historyCommand) {
+    history(historyCommand);
+  } else {
+    main();
+  }
 }
 
+export { ROIRBatch, ROIRHistory };
 export default ROIR; 
\ No newline at end of file
@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+import { Command } from 'commander';
+import dotenv from 'dotenv';
+import ora from 'ora';
+import chalk from 'chalk';
+import path from 'path';
+
+import Logger from './utils/logger.js';
+import FileUtils from './utils/fileUtils.js';
+import DeltaDebugger from './analyzers/deltaDebugger.js';
+import { createBackend } from './backends/index.js';
+import ErrorClassifier, { ERROR_CATEGORIES, ERROR_ACTIONS } from './api/errorClassifier.js';
+
+// Load environment variables
+dotenv.config();
+
+const PREDICATES = {
+  'capacity-error': 'optimization fails with a capacity/dimension error',
+  'error': 'optimization fails with any non-transient error',
+  'no-routes': 'solution has no routes',
+  'unassigned': 'solution leaves more than --unassigned-threshold jobs unassigned'
+};
+
+const TARGETS = ['jobs', 'vehicles'];
+
+// Finds a minimal set of jobs (or vehicles) that still triggers a failure, using delta
+// debugging over the input. Every probe sent to the backend is recorded in the report.
+class IsolateCommand {
+  constructor(options = {}) {
+    this.options = {
+      inputFile: './input_southern.json',
+      outputDir: './isolate_output',
+      target: 'jobs',
+      predicate: 'capacity-error',
+      unassignedThreshold: 0,
+      maxProbes: 100,
+      delayBetweenRequests: 0,
+      backend: null, // Falls back to $ROIR_BACKEND or nextbillion
+      cassetteDir: null,
+      cassetteMode: null,
+      ...options
+    };
+
+    if (!TARGETS.includes(this.options.target)) {
+      throw new Error(`Unknown isolate target: ${this.options.target}. Available: ${TARGETS.join(', ')}`);
+    }
+    if (!PREDICATES[this.options.predicate]) {
+      throw new Error(`Unknown failure predicate: ${this.options.predicate}. Available: ${Object.keys(PREDICATES).join(', ')}`);
+    }
+
+    this.backend = createBackend(this.options.backend, {
+      ...(this.options.cassetteDir && { cassetteDir: this.options.cassetteDir }),
+      ...(this.options.cassetteMode && { cassetteMode: this.options.cassetteMode })
+    });
+  }
+
+  async run() {
+    Logger.info('Starting failure isolation');
+    Logger.info(`Input file: ${this.options.inputFile}`);
+    Logger.info(`Target: ${this.options.target}, predicate: ${this.options.predicate} (${PREDICATES[this.options.predicate]})`);
+
+    const inputPath = path.resolve(this.options.inputFile);
+    if (!(await FileUtils.fileExists(inputPath))) {
+      throw new Error(`Input file not found: ${inputPath}`);
+    }
+
+    const inputData = await FileUtils.readJsonFile(inputPath);
+    const items = inputData[this.options.target] || [];
+    Logger.info(`Loaded input with ${inputData.jobs?.length || 0} jobs and ${inputData.vehicles?.length || 0} vehicles`);
+
+    if (items.length === 0) {
+      throw new Error(`Input has no ${this.options.target} to isolate`);
+    }
+
+    await FileUtils.ensureDirectory(path.resolve(this.options.outputDir));
+
+    const debugger_ = new DeltaDebugger(
+      (subset, probeNumber) => this.runProbe(inputData, subset, probeNumber),
+      { maxProbes: this.options.maxProbes }
+    );
+    const result = await debugger_.minimize(items);
+
+    return await this.generateReport(items, result);
+  }
+
+  async runProbe(inputData, subset, probeNumber) {
+    if (probeNumber > 1 && this.options.delayBetweenRequests > 0) {
+      await this.sleep(this.options.delayBetweenRequests);
+    }
+
+    const probeInput = {
+      ...JSON.parse(JSON.stringify(inputData)),
+      [this.options.target]: subset
+    };
+
+    const spinner = ora(`Submitting probe ${probeNumber} (${subset.length} ${this.options.target})...`).start();
+
+    try {
+      const result = await this.backend.runOptimization(probeInput);
+      spinner.succeed(`Probe ${probeNumber} completed`);
+      return this.evaluateSolution(result.solution || {});
+    } catch (error) {
+      spinner.fail(`Probe ${probeNumber} failed: ${error.message}`);
+      return this.evaluateError(error);
+    }
+  }
+
+  evaluateSolution(solution) {
+    const routes = (solution.routes || []).length;
+    const unassigned = (solution.unassigned || []).length;
+    const description = `${routes} routes, ${unassigned} unassigned`;
+
+    switch (this.options.predicate) {
+      case 'no-routes':
+        return { failed: routes === 0, description };
+      case 'unassigned':
+        return { failed: unassigned > this.options.unassignedThreshold, description };
+      default:
+        return { failed: false, description };
+    }
+  }
+
+  evaluateError(error) {
+    const classification = ErrorClassifier.classify(error);
+    const description = `${ErrorClassifier.describe(classification)}: ${error.message}`;
+
+    switch (this.options.predicate) {
+      case 'capacity-error':
+        return { failed: classification.category === ERROR_CATEGORIES.CAPACITY_DIMENSION, description };
+      case 'error':
+        // Rate limits, timeouts and server errors say nothing about the subset
+        return { failed: classification.action !== ERROR_ACTIONS.RETRY, description };
+      default:
+        // Errors are not the failure being isolated; treat the probe as not reproducing it
+        return { failed: false, description };
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async generateReport(items, result) {
+    Logger.info('Generating isolation report...');
+
+    const report = {
+      summary: {
+        inputFile: this.options.inputFile,
+        target: this.options.target,
+        predicate: this.options.predicate,
+        ...(this.options.predicate === 'unassigned' && { unassignedThreshold: this.options.unassignedThreshold }),
+        originalCount: items.length,
+        reproduced: result.reproduced,
+        minimalCount: result.minimal.length,
+        probes: result.probes.length,
+        maxProbesReached: result.exhausted
+      },
+      minimalSet: result.minimal.map(item => this.describeItem(item)),
+      probes: result.probes
+    };
+
+    const reportPath = path.join(this.options.outputDir, 'isolate_report.json');
+    await FileUtils.writeJsonFile(reportPath, report);
+
+    this.printSummary(report);
+    return report;
+  }
+
+  describeItem(item) {
+    if (this.options.target === 'vehicles') {
+      return {
+        id: item.id,
+        capacity: item.capacity,
+        time_window: item.time_window,
+        skills: item.skills
+      };
+    }
+
+    return {
+      id: item.id,
+      delivery: item.delivery,
+      pickup: item.pickup,
+      location_index: item.location_index,
+      time_windows: item.time_windows,
+      skills: item.skills
+    };
+  }
+
+  printSummary(report) {
+    console.log('\n' + chalk.bold.blue('='.repeat(60)));
+    console.log(chalk.bold.blue('FAILURE ISOLATION SUMMARY'));
+    console.log(chalk.bold.blue('='.repeat(60)));
+
+    console.log(`\n${chalk.bold('Predicate:')} ${report.summary.predicate}`);
+    console.log(`${chalk.bold('Target:')} ${report.summary.target}`);
+    console.log(`${chalk.bold('Original Count:')} ${report.summary.originalCount}`);
+    console.log(`${chalk.bold('Probes:')} ${report.summary.probes}`);
+    console.log(`${chalk.bold('Reproduced:')} ${report.summary.reproduced ? chalk.green('✓') : chalk.red('✗')}`);
+
+    if (report.summary.reproduced) {
+      const label = report.summary.maxProbesReached ? chalk.yellow('(probe limit reached, may not be minimal)') : '';
+      console.log(`${chalk.bold('Minimal Set:')} ${report.minimalSet.length} ${report.summary.target} ${label}`);
+      report.minimalSet.forEach(item => {
+        const detail = report.summary.target === 'vehicles'
+          ? `capacity ${JSON.stringify(item.capacity)}`
+          : `delivery ${JSON.stringify(item.delivery || [])}, location ${item.location_index}`;
+        console.log(chalk.white(`  • ${item.id}: ${detail}`));
+      });
+    }
+
+    console.log(chalk.bold.blue('\n' + '='.repeat(60)));
+  }
+}
+
+// CLI setup
+const program = new Command();
+
+program
+  .name('isolate')
+  .description('Find a minimal set of jobs or vehicles that triggers an optimization failure (delta debugging)')
+  .version('1.0.0');
+
+program
+  .option('-i, --input-file <path>', 'Input file path', './input_southern.json')
+  .option('-o, --output-dir <path>', 'Output directory for the isolation report', './isolate_output')
+  .option('-t, --target <target>', 'What to minimize: jobs or vehicles', 'jobs')
+  .option('-p, --predicate <name>', `Failure predicate: ${Object.keys(PREDICATES).join(', ')}`, 'capacity-error')
+  .option('-u, --unassigned-threshold <number>', 'Unassigned job count tolerated by the unassigned predicate', '0')
+  .option('-m, --max-probes <number>', 'Maximum number of optimization requests', '100')
+  .option('-d, --delay <number>', 'Delay between probes in seconds', '0')
+  .option('--backend <name>', 'Optimization backend: nextbillion, local or replay')
+  .option('--cassette <dir>', 'Record NextBillion API traffic to (or replay it from) this directory')
+  .option('--cassette-mode <mode>', 'Cassette mode: record or replay', 'record');
+
+program.parse();
+
+const options = program.opts();
+
+// Main execution
+async function main() {
+  try {
+    const command = new IsolateCommand({
+      inputFile: options.inputFile,
+      outputDir: options.outputDir,
+      target: options.target,
+      predicate: options.predicate,
+      unassignedThreshold: parseInt(options.unassignedThreshold),
+      maxProbes: parseInt(options.maxProbes),
+      delayBetweenRequests: parseInt(options.delay) * 1000,
+      backend: options.backend,
+      cassetteDir: options.cassette,
+      cassetteMode: options.cassetteMode
+    });
+
+    await command.run();
+
+    Logger.success('Isolation completed successfully');
+    process.exit(0);
+  } catch (error) {
+    Logger.error(`Process failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default IsolateCommand;
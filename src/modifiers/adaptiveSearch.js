@@ -0,0 +1,144 @@
+import Logger from '../utils/logger.js';
+
+const DEFAULT_SETTINGS = {
+  exploration: 1.0,
+  weights: {
+    compliance: 1.0, // points per compliance percent
+    loadGap: 1.0,    // points per percent of average per-route shortfall against the target
+    routes: 0.5      // points per route, fewer routes preferred
+  }
+};
+
+// UCB1 bandit over the strategy plan's scheduled values. Every scheduled field
+// (objective, softening minutes, vehicle capacity, vehicle count offset) is an independent
+// dimension; each iteration picks one value per dimension and the iteration's score is
+// credited to every value that ended up in the applied strategies.
+class AdaptiveStrategySearch {
+  constructor(plan, targetMinLoad) {
+    const adaptive = plan.adaptive || {};
+    this.settings = {
+      ...DEFAULT_SETTINGS,
+      ...adaptive,
+      weights: { ...DEFAULT_SETTINGS.weights, ...(adaptive.weights || {}) }
+    };
+    this.targetMinLoad = targetMinLoad;
+    this.dimensions = AdaptiveStrategySearch.getDimensions(plan);
+    this.stats = new Map(); // "dimension=value" -> { pulls, totalReward }
+    this.totalPulls = 0;
+  }
+
+  static getDimensions(plan) {
+    const dimensions = {};
+
+    (plan.strategies || []).forEach(entry => {
+      Object.entries(entry.schedule || {}).forEach(([field, values]) => {
+        const key = `${entry.type}.${field}`;
+        dimensions[key] = [...new Set([...(dimensions[key] || []), ...values])];
+      });
+
+      if (entry.count && entry.count.iterationCycle > 0) {
+        dimensions[`${entry.type}.countOffset`] = Array.from({ length: entry.count.iterationCycle }, (_, index) => index);
+      }
+    });
+
+    return dimensions;
+  }
+
+  // Higher is better: compliance minus average load shortfall minus route count
+  scoreAnalysis(analysis) {
+    if (!analysis || analysis.summary.totalRoutes === 0) {
+      return 0;
+    }
+
+    const { compliance, loadGap, routes } = this.settings.weights;
+    const totalRoutes = analysis.summary.totalRoutes;
+    const shortfallPercent = Math.min(100, (analysis.summary.totalLoadGap / (this.targetMinLoad * totalRoutes)) * 100);
+
+    return compliance * analysis.summary.complianceRate - loadGap * shortfallPercent - routes * totalRoutes;
+  }
+
+  // taken: choices already handed to other candidates of the same parallel round
+  selectChoices(taken = []) {
+    const choices = {};
+
+    Object.entries(this.dimensions).forEach(([dimension, values]) => {
+      let best = null;
+      let bestValue = null;
+
+      const used = new Set(taken.map(choice => choice[dimension]));
+      const available = values.filter(value => !used.has(value));
+
+      (available.length > 0 ? available : values).forEach(value => {
+        const upperBound = this.getUpperConfidenceBound(dimension, value);
+        if (best === null || upperBound > best) {
+          best = upperBound;
+          bestValue = value;
+        }
+      });
+
+      choices[dimension] = bestValue;
+    });
+
+    Logger.debug(`Adaptive search selected ${JSON.stringify(choices)}`);
+    return choices;
+  }
+
+  getUpperConfidenceBound(dimension, value) {
+    const stats = this.stats.get(`${dimension}=${value}`);
+    if (!stats || stats.pulls === 0) {
+      return Infinity; // Try every value once before exploiting
+    }
+
+    // Scores span roughly -100..100; scale them so the exploration term stays comparable
+    const mean = stats.totalReward / stats.pulls / 100;
+    return mean + this.settings.exploration * Math.sqrt((2 * Math.log(Math.max(1, this.totalPulls))) / stats.pulls);
+  }
+
+  recordOutcome(strategies, analysis) {
+    const score = this.scoreAnalysis(analysis);
+    // Only credit values that were applied - a strategy whose conditions did not match contributed nothing
+    const choices = this.choicesFromStrategies(strategies);
+
+    Object.entries(choices).forEach(([dimension, value]) => {
+      const key = `${dimension}=${value}`;
+      const stats = this.stats.get(key) || { pulls: 0, totalReward: 0 };
+      stats.pulls++;
+      stats.totalReward += score;
+      this.stats.set(key, stats);
+    });
+
+    this.totalPulls++;
+    Logger.debug(`Adaptive search recorded score ${score.toFixed(1)} for ${JSON.stringify(choices)}`);
+    return score;
+  }
+
+  // Also used on resume to replay saved strategies.json files
+  choicesFromStrategies(strategies) {
+    const choices = {};
+
+    (strategies || []).forEach(strategy => {
+      Object.keys(this.dimensions).forEach(dimension => {
+        const [type, field] = dimension.split('.');
+        if (strategy.type !== type) {
+          return;
+        }
+
+        const value = strategy[field];
+        if (value !== undefined && this.dimensions[dimension].includes(value)) {
+          choices[dimension] = value;
+        }
+      });
+    });
+
+    return choices;
+  }
+
+  getSummary() {
+    return Object.fromEntries([...this.stats.entries()].map(([key, stats]) => [key, {
+      pulls: stats.pulls,
+      averageScore: stats.totalReward / stats.pulls
+    }]));
+  }
+}
+
+export default AdaptiveStrategySearch;
@@ -1,4 +1,6 @@
 import Logger from '../utils/logger.js';
+import StrategyPlan from './strategyPlan.js';
+import InputParser from '../parsers/inputParser.js';
 
 class InputModifier {
   static modifyForLoadBalancing(input, strategy, targetMinLoad = 8000) {
@@ -31,7 +33,9 @@ class InputModifier {
     Logger.debug('Modifying optimization objective for load balancing');
     
     // Change from minimizing vehicles to minimizing duration or maximizing load balance
-    if (strategy.objective === 'minimize_duration') {
+    if (strategy.objectiveDefinition) {
+      input.options.objective = JSON.parse(JSON.stringify(strategy.objectiveDefinition));
+    } else if (strategy.objective === 'minimize_duration') {
       input.options.objective = {
         travel_cost: 'duration'
       };
@@ -79,30 +83,124 @@ class InputModifier {
   static addVehicles(input, strategy, targetMinLoad) {
     Logger.debug('Adding vehicles for load balancing');
     
-    const { count, capacity, timeWindow } = strategy;
+    const { count, capacity, timeWindow, template } = strategy;
     const baseVehicleId = Math.max(...input.vehicles.map(v => parseInt(v.id))) + 1;
-    
-    for (let i = 0; i < count; i++) {
-      const newVehicle = {
-        id: (baseVehicleId + i).toString(),
-        time_window: timeWindow || [1719282600, 1719315000], // Default time window
-        capacity: [capacity || targetMinLoad],
-        metadata: {
+
+    // Placements copy a day's shift and the depot its load gap sits at; without them the
+    // vehicles are spread over the input's planning days
+    const placements = Array.isArray(strategy.placements) && strategy.placements.length > 0
+      ? strategy.placements
+      : this.getFallbackPlacements(input, count, timeWindow);
+
+    let added = 0;
+    placements.forEach(placement => {
+      const templateId = placement.templateVehicleId || (template && template !== 'auto' ? String(template) : null);
+      const templateVehicle = templateId ? input.vehicles.find(v => String(v.id) === templateId) : null;
+      if (templateId && !templateVehicle) {
+        Logger.warning(`Template vehicle ${templateId} not found - adding bare vehicles`);
+      }
+
+      for (let i = 0; i < placement.count; i++) {
+        const newVehicle = this.buildVehicle((baseVehicleId + added).toString(), templateVehicle, {
+          time_window: placement.timeWindow || timeWindow || undefined,
+          capacity: [capacity || targetMinLoad],
+          start_index: placement.startIndex ?? 0,
+          end_index: placement.endIndex ?? 0
+        });
+        newVehicle.metadata = {
+          ...newVehicle.metadata,
           added_for_load_balancing: true,
-          iteration: strategy.iteration || 1
-        },
-        start_index: 0,
-        end_index: 0
-      };
-      
-      input.vehicles.push(newVehicle);
-      Logger.debug(`Added vehicle ${newVehicle.id} with capacity ${newVehicle.capacity[0]}`);
-    }
+          iteration: strategy.iteration || 1,
+          ...(placement.day && { planning_day: placement.day }),
+          ...(templateVehicle && { template_vehicle_id: templateVehicle.id })
+        };
+
+        input.vehicles.push(newVehicle);
+        added++;
+        Logger.debug(`Added vehicle ${newVehicle.id} with capacity ${newVehicle.capacity.join('/')} at depot ${newVehicle.start_index}/${newVehicle.end_index}` +
+          `${placement.day ? ` on ${placement.day}` : ''}${templateVehicle ? ` (cloned from ${templateVehicle.id})` : ''}`);
+      }
+    });
 
-    Logger.info(`Added ${count} vehicles for load balancing`);
+    const perPlacement = placements
+      .filter(placement => placement.day || placement.templateVehicleId)
+      .map(placement => `${placement.day || 'any day'} @ ${placement.startIndex}: ${placement.count}`);
+    Logger.info(`Added ${added} vehicles for load balancing${perPlacement.length > 0 ? ` (${perPlacement.join(', ')})` : ''}`);
     return input;
   }
 
+  // Without a load gap to place vehicles by, each planning day (see InputParser.getPlanningDays)
+  // gets an equal share with its usual shift and depot. The strategy time window is only used
+  // for inputs without planning days.
+  static getFallbackPlacements(input, count, timeWindow) {
+    const planningDays = InputParser.getPlanningDays(input);
+    if (planningDays.length === 0) {
+      if (!timeWindow) {
+        Logger.warning('No vehicle shifts to derive planning days from - added vehicles get no time window');
+      }
+      return [{ day: null, count, timeWindow, startIndex: 0, endIndex: 0 }];
+    }
+
+    const toPlacement = (planningDay, dayCount) => ({
+      day: planningDay.day,
+      count: dayCount,
+      timeWindow: planningDay.shift,
+      startIndex: planningDay.depot ? planningDay.depot.start_index : undefined,
+      endIndex: planningDay.depot ? planningDay.depot.end_index : undefined
+    });
+
+    return planningDays
+      .map((planningDay, index) => toPlacement(planningDay, Math.floor(count / planningDays.length) + (index < count % planningDays.length ? 1 : 0)))
+      .filter(placement => placement.count > 0);
+  }
+
+  // A clone keeps the template's capacity, skills, costs and metadata and only takes the
+  // shift and depot of its placement; a bare vehicle takes every field given
+  static buildVehicle(id, templateVehicle, fields) {
+    if (!templateVehicle) {
+      return { id, ...fields, metadata: {} };
+    }
+
+    const clone = JSON.parse(JSON.stringify(templateVehicle));
+    delete clone.description; // Template descriptions identify the real vehicle (e.g. its VIN)
+    return {
+      ...clone,
+      id,
+      time_window: fields.time_window,
+      start_index: fields.start_index,
+      end_index: fields.end_index,
+      metadata: clone.metadata || {}
+    };
+  }
+
+  // Run-level adjustments made once before refinement starts: every job time window is widened
+  // by timeWindowEasing minutes and every vehicle shift by shiftTimeAdjustments minutes, both sides
+  static applyWindowAdjustments(input, { timeWindowEasing = 0, shiftTimeAdjustments = 0 } = {}) {
+    const adjusted = JSON.parse(JSON.stringify(input));
+    const easingSeconds = timeWindowEasing * 60;
+    const shiftSeconds = shiftTimeAdjustments * 60;
+
+    if (easingSeconds > 0) {
+      (adjusted.jobs || []).forEach(job => {
+        if (Array.isArray(job.time_windows)) {
+          job.time_windows = job.time_windows.map(([start, end]) => [start - easingSeconds, end + easingSeconds]);
+        }
+      });
+    }
+
+    if (shiftSeconds > 0) {
+      (adjusted.vehicles || []).forEach(vehicle => {
+        if (Array.isArray(vehicle.time_window) && vehicle.time_window.length === 2) {
+          const [start, end] = vehicle.time_window;
+          vehicle.time_window = [start - shiftSeconds, end + shiftSeconds];
+        }
+      });
+    }
+
+    Logger.info(`Eased job time windows by ${timeWindowEasing} minutes and vehicle shifts by ${shiftTimeAdjustments} minutes`);
+    return adjusted;
+  }
+
   static relaxTimeWindows(input, strategy) {
     Logger.debug('Relaxing time windows for better load distribution');
     
@@ -152,114 +250,18 @@ class InputModifier {
     return input;
   }
 
-  static createLoadBalancingStrategy(analysis, iteration = 1, successfulIteration = 0) {
+  static createLoadBalancingStrategy(analysis, iteration = 1, successfulIteration = 0, plan, choices = null) {
     Logger.debug('Creating load balancing strategy based on analysis');
-    
-    const strategies = [];
-
-    // Strategy 1: Vary objective based on iteration and compliance rate
-    if (analysis.summary.complianceRate < 30) {
-      // Very low compliance - try different objectives
-      const objectives = ['maximize_load_balance', 'minimize_vehicles_with_load_constraint', 'minimize_duration'];
-      const selectedObjective = objectives[iteration % objectives.length];
-      strategies.push({
-        type: 'objective_modification',
-        objective: selectedObjective,
-        priority: 'high',
-        description: `Change objective to ${selectedObjective} (iteration ${iteration})`
-      });
-    } else if (analysis.summary.complianceRate < 50) {
-      strategies.push({
-        type: 'objective_modification',
-        objective: 'maximize_load_balance',
-        priority: 'high',
-        description: 'Change objective to maximize load balance'
-      });
-    }
-
-    // Strategy 2: Vary time window softening based on iteration
-    const relaxationMinutes = [30, 45, 60, 15, 90, 120];
-    const selectedRelaxation = relaxationMinutes[iteration % relaxationMinutes.length];
-    strategies.push({
-      type: 'time_window_softening',
-      relaxationMinutes: selectedRelaxation,
-      priority: 'high',
-      description: `Add time window softening with ${selectedRelaxation} minutes relaxation`
-    });
-
-    // Strategy 3: Add vehicles with varying capacity and count
-    if (analysis.routesBelowTarget.length > analysis.routesAboveTarget.length * 0.5) {
-      const neededVehicles = Math.ceil(analysis.summary.totalLoadGap / 12000);
-      const capacities = [14000, 12000, 16000, 10000, 18000];
-      const selectedCapacity = capacities[iteration % capacities.length];
-      const vehicleCount = Math.min(neededVehicles + (iteration % 3), 15); // Vary count based on iteration
-      
-      strategies.push({
-        type: 'vehicle_addition',
-        count: vehicleCount,
-        capacity: selectedCapacity,
-        timeWindow: [1719282600, 1719315000],
-        iteration,
-        priority: 'medium',
-        description: `Add ${vehicleCount} vehicles with ${selectedCapacity} capacity (iteration ${iteration})`
-      });
-    }
 
-
-
-
-
-    return strategies.sort((a, b) => {
-      const priorityOrder = { high: 3, medium: 2, low: 1 };
-      return priorityOrder[b.priority] - priorityOrder[a.priority];
-    });
+    // Objective rotation, softening schedule and vehicle additions come from the strategy plan;
+    // choices from adaptive search override the iteration-indexed schedule
+    return StrategyPlan.buildStrategies(plan.strategies, analysis, iteration, plan.objectives, choices);
   }
 
-  static createRelaxedLoadBalancingStrategy(analysis, iteration = 1, successfulIteration = 0) {
+  static createRelaxedLoadBalancingStrategy(analysis, iteration = 1, successfulIteration = 0, plan) {
     Logger.debug('Creating relaxed load balancing strategy based on analysis');
-    
-    const strategies = [];
-
-    // Strategy 1: More aggressive time window softening
-    strategies.push({
-      type: 'time_window_softening',
-      relaxationMinutes: 120, // 2 hours of relaxation
-      priority: 'high',
-      description: 'Add aggressive time window softening with 120 minutes relaxation'
-    });
 
-    // Strategy 2: Add more vehicles with lower capacity
-    const neededVehicles = Math.ceil(analysis.summary.totalLoadGap / 8000); // Lower capacity requirement
-    strategies.push({
-      type: 'vehicle_addition',
-      count: Math.min(neededVehicles + 5, 15), // Add more vehicles
-      capacity: 10000, // Lower capacity
-      timeWindow: [1719282600, 1719315000],
-      iteration,
-      priority: 'high',
-      description: `Add ${Math.min(neededVehicles + 5, 15)} vehicles with lower capacity`
-    });
-
-    // Strategy 3: Relax time windows more aggressively
-    strategies.push({
-      type: 'time_window_relaxation',
-      relaxationMinutes: 60, // More relaxation
-      priority: 'medium',
-      description: 'Relax time windows more aggressively for better job assignment'
-    });
-
-    // Strategy 4: Use simpler objective (minimize vehicles instead of load balance)
-    strategies.push({
-      type: 'objective_modification',
-      objective: 'minimize_vehicles_with_load_constraint',
-      priority: 'medium',
-      description: 'Use simpler objective to minimize vehicles'
-    });
-
-    return strategies.sort((a, b) => {
-      const priorityOrder = { high: 3, medium: 2, low: 1 };
-      return priorityOrder[b.priority] - priorityOrder[a.priority];
-    });
+    return StrategyPlan.buildStrategies(plan.relaxed || [], analysis, iteration, plan.objectives);
   }
 
   static applyMultipleStrategies(input, strategies) {
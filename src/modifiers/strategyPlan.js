@@ -0,0 +1,223 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Logger from '../utils/logger.js';
+import FileUtils from '../utils/fileUtils.js';
+
+// The plan shipped with the repo, found from this module so any working directory works
+export const DEFAULT_STRATEGY_PLAN_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../config/strategy-plan.json');
+
+const STRATEGY_TYPES = [
+  'objective_modification',
+  'capacity_adjustment',
+  'vehicle_addition',
+  'time_window_relaxation',
+  'time_window_softening'
+];
+
+const PRIORITY_ORDER = { high: 3, medium: 2, low: 1 };
+
+// Declarative refinement schedule (config/strategy-plan.json). Each strategy entry has:
+//   type        - one of the InputModifier strategy types
+//   when        - optional conditions: complianceBelow, complianceAtLeast, belowToAboveRatio
+//   params      - fixed strategy fields
+//   schedule    - per-field arrays, the value for iteration N is values[N % values.length]
+//   count       - vehicle count derived from the load gap: ceil(gap / loadPerVehicle) + extra
+//                 (+ iteration % iterationCycle), capped at max
+//   priority    - high, medium or low
+// Vehicle additions are spread over planning days, then over the depots of each day, by load
+// gap; params.timeWindow is only the fallback shift for inputs without planning days. Setting
+// params.template to a vehicle id, or "auto" for the vehicle with the largest gap at each
+// placement, clones that vehicle instead of building a bare one.
+//   description - template, {field} is replaced by the resolved strategy field
+// Adaptive search passes choices keyed "type.field" (and "type.countOffset") that replace
+// the iteration-indexed schedule values.
+class StrategyPlan {
+  static async load(planPath = null) {
+    const resolvedPath = path.resolve(planPath || process.env.ROIR_STRATEGY_PLAN || DEFAULT_STRATEGY_PLAN_PATH);
+
+    if (!(await FileUtils.fileExists(resolvedPath))) {
+      throw new Error(`Strategy plan not found: ${resolvedPath}`);
+    }
+
+    const plan = await FileUtils.readJsonFile(resolvedPath);
+    this.validate(plan);
+
+    Logger.info(`Loaded strategy plan "${plan.name || path.basename(resolvedPath)}" from ${resolvedPath}`);
+    return { ...plan, source: resolvedPath };
+  }
+
+  static validate(plan) {
+    const errors = [];
+
+    if (!Array.isArray(plan.strategies)) {
+      errors.push('strategies must be an array');
+    }
+    if (plan.relaxed !== undefined && !Array.isArray(plan.relaxed)) {
+      errors.push('relaxed must be an array');
+    }
+
+    [...(plan.strategies || []), ...(plan.relaxed || [])].forEach((entry, index) => {
+      if (!STRATEGY_TYPES.includes(entry.type)) {
+        errors.push(`strategy ${index + 1} has unknown type: ${entry.type}`);
+      }
+      if (entry.priority && !PRIORITY_ORDER[entry.priority]) {
+        errors.push(`strategy ${index + 1} has unknown priority: ${entry.priority}`);
+      }
+      Object.entries(entry.schedule || {}).forEach(([field, values]) => {
+        if (!Array.isArray(values) || values.length === 0) {
+          errors.push(`strategy ${index + 1} schedule for ${field} must be a non-empty array`);
+        }
+      });
+      if (entry.count && !(entry.count.loadPerVehicle > 0)) {
+        errors.push(`strategy ${index + 1} count.loadPerVehicle must be positive`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid strategy plan:\n${errors.join('\n')}`);
+    }
+
+    return true;
+  }
+
+  static buildStrategies(entries, analysis, iteration, objectives = {}, choices = null) {
+    const strategies = entries
+      .filter(entry => this.matchesConditions(entry.when, analysis))
+      .map(entry => this.resolveStrategy(entry, analysis, iteration, objectives, choices || {}));
+
+    return strategies.sort((a, b) => PRIORITY_ORDER[b.priority] - PRIORITY_ORDER[a.priority]);
+  }
+
+  static matchesConditions(when = {}, analysis) {
+    const complianceRate = analysis.summary.complianceRate;
+
+    if (when.complianceBelow !== undefined && !(complianceRate < when.complianceBelow)) {
+      return false;
+    }
+    if (when.complianceAtLeast !== undefined && !(complianceRate >= when.complianceAtLeast)) {
+      return false;
+    }
+    if (when.belowToAboveRatio !== undefined &&
+        !(analysis.routesBelowTarget.length > analysis.routesAboveTarget.length * when.belowToAboveRatio)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  static resolveStrategy(entry, analysis, iteration, objectives, choices = {}) {
+    const strategy = {
+      type: entry.type,
+      ...entry.params
+    };
+
+    Object.entries(entry.schedule || {}).forEach(([field, values]) => {
+      const chosen = choices[`${entry.type}.${field}`];
+      strategy[field] = chosen !== undefined ? chosen : values[iteration % values.length];
+    });
+
+    if (entry.count) {
+      const { loadPerVehicle, extra = 0, iterationCycle = 0, max = Infinity } = entry.count;
+      const neededVehicles = Math.ceil(analysis.summary.totalLoadGap / loadPerVehicle);
+      let offset = 0;
+      if (iterationCycle > 0) {
+        const chosen = choices[`${entry.type}.countOffset`];
+        offset = chosen !== undefined ? chosen : iteration % iterationCycle;
+        strategy.countOffset = offset;
+      }
+      strategy.count = Math.min(neededVehicles + extra + offset, max);
+    }
+
+    if (entry.type === 'vehicle_addition') {
+      strategy.iteration = iteration;
+      const loadPerVehicle = entry.count ? entry.count.loadPerVehicle : strategy.capacity;
+      const placements = this.placeVehicles(analysis, strategy.count || 0, loadPerVehicle, strategy.template);
+      if (placements.length > 0) {
+        strategy.placements = placements;
+      }
+    }
+
+    if (entry.type === 'objective_modification' && objectives[strategy.objective]) {
+      strategy.objectiveDefinition = objectives[strategy.objective];
+    }
+
+    strategy.priority = entry.priority || 'medium';
+    strategy.description = this.formatDescription(entry.description || entry.type, { ...strategy, iteration });
+
+    return strategy;
+  }
+
+  // One placement per day and depot the new vehicles go to, with the shift to copy and the
+  // template vehicle to clone (if any)
+  static placeVehicles(analysis, count, loadPerVehicle, template = null) {
+    const dailyBreakdown = analysis.dailyBreakdown || [];
+    const loadGaps = analysis.loadGaps || [];
+
+    const days = dailyBreakdown.length > 0
+      ? this.allocateByGap(dailyBreakdown.map(day => ({ key: day.day, gap: day.totalLoadGap, day })), count, loadPerVehicle)
+      : [{ count, day: null }];
+
+    return days.flatMap(({ count: dayCount, day }) => {
+      const dayGaps = loadGaps.filter(loadGap => loadGap.depot && (!day || loadGap.day === day.day));
+      const depots = new Map();
+      dayGaps.forEach(loadGap => {
+        const key = JSON.stringify(loadGap.depot);
+        const group = depots.get(key) || { key, gap: 0, depot: loadGap.depot, largest: loadGap };
+        group.gap += loadGap.gap;
+        if (loadGap.gap > group.largest.gap) {
+          group.largest = loadGap;
+        }
+        depots.set(key, group);
+      });
+
+      // Without light routes to locate the gap, the day's usual depot takes every vehicle
+      const groups = depots.size > 0
+        ? this.allocateByGap([...depots.values()], dayCount, loadPerVehicle)
+        : [{ count: dayCount, depot: day ? day.depot : null, largest: null }];
+
+      return groups.map(group => ({
+        day: day ? day.day : null,
+        count: group.count,
+        loadGap: group.gap !== undefined ? group.gap : (day ? day.totalLoadGap : null),
+        timeWindow: day ? day.shift : null,
+        startIndex: group.depot ? group.depot.start_index : undefined,
+        endIndex: group.depot ? group.depot.end_index : undefined,
+        ...(template && { templateVehicleId: this.resolveTemplate(template, group.largest) })
+      }));
+    }).filter(placement => placement.day || placement.startIndex !== undefined);
+  }
+
+  static resolveTemplate(template, largestGap) {
+    if (template !== 'auto') {
+      return String(template);
+    }
+    return largestGap ? String(largestGap.vehicleId) : null;
+  }
+
+  // Greedy allocation: each vehicle goes to the group with the largest remaining load gap,
+  // which then shrinks by what one vehicle is expected to carry. Groups without a gap get none.
+  static allocateByGap(groups, count, loadPerVehicle) {
+    const candidates = groups.filter(group => group.gap > 0);
+    if (candidates.length === 0 || !(count > 0)) {
+      return [];
+    }
+
+    const remaining = new Map(candidates.map(group => [group.key, group.gap]));
+    const counts = new Map();
+    for (let i = 0; i < count; i++) {
+      const [key, gap] = [...remaining.entries()].reduce((a, b) => (b[1] > a[1] ? b : a));
+      counts.set(key, (counts.get(key) || 0) + 1);
+      remaining.set(key, gap - (loadPerVehicle || 0));
+    }
+
+    return candidates
+      .filter(group => counts.has(group.key))
+      .map(group => ({ ...group, count: counts.get(group.key) }));
+  }
+
+  static formatDescription(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, field) => (values[field] !== undefined ? values[field] : match));
+  }
+}
+
+export default StrategyPlan;
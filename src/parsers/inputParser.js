@@ -1,5 +1,7 @@
 import Logger from '../utils/logger.js';
 
+const SECONDS_PER_DAY = 86400;
+
 class InputParser {
   static parse(inputData) {
     try {
@@ -19,7 +21,7 @@ class InputParser {
       // Calculate summary statistics
       const summary = this.calculateSummary(parsed);
       
-      Logger.info(`Parsed input: ${summary.vehicleCount} vehicles, ${summary.jobCount} jobs`);
+      Logger.info(`Parsed input: ${summary.vehicleCount} vehicles, ${summary.jobCount} jobs, ${summary.planningDays} planning day(s)`);
       Logger.debug(`Total delivery capacity: ${summary.totalCapacity}`);
       Logger.debug(`Total delivery demand: ${summary.totalDemand}`);
 
@@ -91,6 +93,7 @@ class InputParser {
     return {
       vehicleCount,
       jobCount,
+      planningDays: this.getPlanningDays(input).length,
       totalCapacity,
       totalDemand,
       averageVehicleCapacity,
@@ -114,6 +117,54 @@ class InputParser {
     });
   }
 
+  // Planning days are the UTC dates vehicle shifts start on. Each day carries the shift and
+  // depot most of its vehicles use, so vehicles added for that day can copy them.
+  static getPlanningDays(input) {
+    const days = new Map();
+
+    (input.vehicles || []).forEach(vehicle => {
+      if (!Array.isArray(vehicle.time_window)) {
+        return;
+      }
+      const day = this.getDay(vehicle.time_window[0]);
+      const entry = days.get(day) || { day, vehicleIds: [], shifts: new Map(), depots: new Map() };
+      entry.vehicleIds.push(vehicle.id);
+      this.countValue(entry.shifts, vehicle.time_window);
+      this.countValue(entry.depots, { start_index: vehicle.start_index, end_index: vehicle.end_index });
+      days.set(day, entry);
+    });
+
+    return [...days.values()]
+      .sort((a, b) => a.day.localeCompare(b.day))
+      .map(entry => ({
+        day: entry.day,
+        vehicleIds: entry.vehicleIds,
+        shift: this.mostCommon(entry.shifts),
+        depot: this.mostCommon(entry.depots)
+      }));
+  }
+
+  static getDay(timestamp) {
+    return new Date(Math.floor(timestamp / SECONDS_PER_DAY) * SECONDS_PER_DAY * 1000).toISOString().slice(0, 10);
+  }
+
+  static countValue(counts, value) {
+    const key = JSON.stringify(value);
+    const entry = counts.get(key) || { value, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  }
+
+  static mostCommon(counts) {
+    let best = null;
+    counts.forEach(entry => {
+      if (!best || entry.count > best.count) {
+        best = entry;
+      }
+    });
+    return best ? best.value : null;
+  }
+
   static getJobsByTimeWindow(input, startTime, endTime) {
     return input.jobs.filter(job => {
       return job.time_windows.some(window => {
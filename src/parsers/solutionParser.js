@@ -1,4 +1,5 @@
 import Logger from '../utils/logger.js';
+import LoadModel from '../analyzers/loadModel.js';
 
 class SolutionParser {
   static parse(solutionData) {
@@ -89,9 +90,8 @@ class SolutionParser {
     const jobSteps = route.steps.filter(step => step.type === 'job');
     const jobCount = jobSteps.length;
     
-    const totalLoad = jobSteps.reduce((sum, step) => {
-      return sum + (step.load ? step.load[0] : 0);
-    }, 0);
+    const loadVector = LoadModel.getRouteLoadVector(route);
+    const totalLoad = LoadModel.getPrimaryLoad(loadVector);
 
     const totalDistance = route.summary ? route.summary.distance : 0;
     const totalDuration = route.summary ? route.summary.duration : 0;
@@ -100,6 +100,8 @@ class SolutionParser {
       vehicleId: route.vehicle,
       jobCount,
       totalLoad,
+      loadVector,
+      capacity: LoadModel.getRouteCapacity(route),
       totalDistance,
       totalDuration,
       steps: route.steps,
@@ -0,0 +1,1574 @@
+import ora from 'ora';
+import chalk from 'chalk';
+import path from 'path';
+
+import Logger from './utils/logger.js';
+import FileUtils from './utils/fileUtils.js';
+import InputParser from './parsers/inputParser.js';
+import SolutionParser from './parsers/solutionParser.js';
+import LoadAnalyzer from './analyzers/loadAnalyzer.js';
+import ConstraintChecker from './analyzers/constraintChecker.js';
+import FeasibilityAnalyzer from './analyzers/feasibilityAnalyzer.js';
+import UnassignedExplainer from './analyzers/unassignedExplainer.js';
+import SolutionScorer from './analyzers/solutionScorer.js';
+import ParetoFront from './analyzers/paretoFront.js';
+import InputModifier from './modifiers/inputModifier.js';
+import StrategyPlan from './modifiers/strategyPlan.js';
+import AdaptiveStrategySearch from './modifiers/adaptiveSearch.js';
+import ConcurrencyPool from './utils/concurrencyPool.js';
+import RunStore from './utils/runStore.js';
+import Hash from './utils/hash.js';
+import { createBackend } from './backends/index.js';
+import LocalSolver from './solver/localSolver.js';
+import ErrorClassifier, { ERROR_ACTIONS, ERROR_CATEGORIES } from './api/errorClassifier.js';
+
+// The refinement engine shared by the CLI (src/index.js) and the web app (lib/roir-integration.ts).
+// Importing it has no side effects; the CLI owns argument parsing and process exit.
+class ROIR {
+  constructor(options = {}) {
+    this.options = {
+      minLoad: 12000,
+      maxIterations: 20,
+      useMock: false,
+      backend: null,
+      replayDir: null,
+      cassetteDir: null,
+      cassetteMode: null,
+      localSpeed: null, // km/h for the local solver; $ROIR_LOCAL_SPEED_KMH, else the initial solution's average speed
+      inputPath: './input.json',
+      solutionPath: './solution.json',
+      outputDir: './output',
+      strategyPlan: null, // Falls back to $ROIR_STRATEGY_PLAN or config/strategy-plan.json
+      search: 'schedule', // 'schedule' follows the plan's rotation, 'adaptive' learns from outcomes
+      concurrency: 1, // Iterations submitted at once; the best of each round is kept
+      resume: false,
+      preflight: false, // Only run the offline feasibility check, no API calls
+      removeRejected: false, // Drop the jobs/vehicles a rejected request names and go on; otherwise stop with the reason
+      scoreWeights: null, // Weighted scoring: { criterion: weight }, overrides the plan's scoring section
+      scorePriorities: null, // Lexicographic scoring: criteria in priority order
+      timeWindowEasing: 0, // Minutes every job time window is widened by before refinement
+      shiftTimeAdjustments: 0, // Minutes every vehicle shift is extended by before refinement
+      inputData: null, // Input/solution objects used instead of reading inputPath/solutionPath
+      solutionData: null,
+      apiKey: null, // NextBillion key, defaults to $NEXTBILLION_API_KEY
+      onIteration: null, // Called with every successful iteration's history entry
+      printSummary: false, // CLI only: print the pre-flight issues and the final summary tables to stdout
+      signal: null, // AbortSignal: stops before the next round and cancels requests in flight
+      history: false, // Save the run to the run store under dataDir (see RunStore)
+      dataDir: null, // Falls back to $ROIR_DATA_DIR or ./data
+      runId: null, // Id the run is stored under, generated when not given
+      source: 'cli', // Who started the run: cli or web
+      inputName: null, // Names shown in the history, default to the input/solution file names
+      solutionName: null,
+      ...options
+    };
+
+    // --use-mock is shorthand for the local solver backend
+    this.backend = createBackend(this.options.useMock ? 'local' : this.options.backend, {
+      ...(this.options.apiKey && { apiKey: this.options.apiKey }),
+      ...(this.options.replayDir && { replayDir: this.options.replayDir }),
+      ...(this.options.cassetteDir && { cassetteDir: this.options.cassetteDir }),
+      ...(this.options.cassetteMode && { cassetteMode: this.options.cassetteMode })
+    });
+
+    this.iterationHistory = [];
+    this.bestSolution = null;
+    this.bestInput = null;
+    this.bestScore = null;
+    this.plan = null;
+    this.search = null;
+    this.scorer = null;
+    this.paretoFront = [];
+    this.totalAttempts = 0;
+    this.failures = [];
+    this.removedItems = { jobIds: [], vehicleIds: [] }; // Dropped with removeRejected; later figures exclude them
+    this.preflight = null;
+    this.cancelled = false;
+    this.runId = this.options.runId || RunStore.createRunId();
+    this.runStore = this.options.history ? new RunStore(this.options.dataDir || undefined) : null;
+    this.startedAt = null;
+    this.hashes = { input: null, solution: null };
+  }
+
+  async run() {
+    this.startedAt = new Date().toISOString();
+    try {
+      Logger.info('Starting MVRP Explainability Process');
+      Logger.info(`Target minimum load: ${this.options.minLoad}`);
+      Logger.info(`Maximum iterations: ${this.options.maxIterations}`);
+
+      this.checkReplayDirectory();
+      this.plan = await StrategyPlan.load(this.options.strategyPlan);
+      this.search = this.createStrategySearch();
+      this.scorer = this.createScorer();
+
+      // Step 0: Clear output directory (kept when resuming a previous run)
+      if (this.options.resume || this.options.preflight) {
+        await FileUtils.ensureDirectory(path.resolve(this.options.outputDir));
+      } else {
+        console.log('About to clear output directory...');
+        await this.clearOutputDirectory();
+        console.log('Finished clearing output directory...');
+      }
+
+      // Step 1: Load and parse input files
+      const inputData = await this.loadInputData();
+      const solutionData = await this.loadSolutionData();
+      this.hashes = { input: Hash.hashObject(inputData), solution: Hash.hashObject(solutionData) };
+      this.configureLocalSolver(solutionData);
+
+      // Step 2: Parse and validate data
+      const adjustedInput = this.options.timeWindowEasing > 0 || this.options.shiftTimeAdjustments > 0
+        ? InputModifier.applyWindowAdjustments(inputData, this.options)
+        : inputData;
+      const parsedInput = InputParser.parse(adjustedInput);
+      const parsedSolution = SolutionParser.parse(solutionData);
+
+      // Pre-flight: explain infeasible jobs before spending an API call
+      this.preflight = await this.runPreflight(parsedInput);
+      if (this.options.preflight) {
+        return this.preflight;
+      }
+
+      // Step 3: Initial analysis
+      const initialAnalysis = LoadAnalyzer.analyzeLoadDistribution(
+        parsedSolution.data, 
+        this.options.minLoad,
+        parsedInput
+      );
+
+      Logger.info(`Initial analysis: ${initialAnalysis.summary.complianceRate.toFixed(1)}% compliance`);
+
+      // Step 4: Check if we already meet constraints
+      const constraints = { minLoadPerRoute: this.options.minLoad };
+      const constraintCheck = ConstraintChecker.checkSolutionConstraints(
+        parsedSolution.data, 
+        constraints
+      );
+
+      if (constraintCheck.passed) {
+        Logger.success('Solution already meets all constraints!');
+        this.bestInput = parsedInput.data;
+        return await this.recordRun(await this.generateFinalReport(parsedSolution.data, initialAnalysis));
+      }
+
+      // Step 5: Start iterative optimization, picking up saved iterations when resuming
+      const resumeState = this.options.resume ? await this.restoreRunState(parsedInput, parsedSolution) : null;
+      await this.runIterativeOptimization(parsedInput, parsedSolution, resumeState);
+
+      // Step 6: Generate final report
+      return await this.recordRun(await this.generateFinalReport(this.bestSolution, initialAnalysis));
+
+    } catch (error) {
+      Logger.error(`MVRP Explainability failed: ${error.message}`);
+      await this.recordRun(null, error);
+      throw error;
+    }
+  }
+
+  async runPreflight(parsedInput) {
+    const report = FeasibilityAnalyzer.analyze(parsedInput.data);
+
+    const reportPath = path.join(this.options.outputDir, 'preflight_report.json');
+    await FileUtils.writeJsonFile(reportPath, report);
+
+    if (report.feasible) {
+      Logger.success('Pre-flight check passed: every job fits at least one vehicle');
+    } else if (this.options.printSummary) {
+      this.printPreflight(report);
+    }
+
+    return report;
+  }
+
+  printPreflight(report) {
+    console.log('\n' + chalk.bold.yellow('PRE-FLIGHT FEASIBILITY'));
+    Object.entries(report.summary.issueCounts).forEach(([code, count]) => {
+      console.log(`${chalk.bold(code)}: ${count}`);
+    });
+
+    // A few examples per run; the full list is in preflight_report.json
+    [...report.vehicles.map(entry => ({ ...entry, kind: 'Vehicle' })), ...report.jobs.map(entry => ({ ...entry, kind: 'Job' }))]
+      .slice(0, 10)
+      .forEach(entry => {
+        entry.issues.forEach(issue => console.log(chalk.yellow(`  • ${entry.kind} ${entry.id}: ${issue.message}`)));
+      });
+
+    if (report.summary.fleetShortfall.some(value => value > 0)) {
+      console.log(chalk.yellow(`  • Fleet: total demand ${JSON.stringify(report.summary.totalDemand)} exceeds total capacity ${JSON.stringify(report.summary.totalCapacity)}`));
+    }
+    report.days.forEach(day => {
+      if (day.shortfall.some(value => value > 0)) {
+        console.log(chalk.yellow(`  • ${day.day}: demand ${JSON.stringify(day.demand)} exceeds fleet capacity ${JSON.stringify(day.capacity)}`));
+      }
+      if (day.laterShortfall.some(value => value > 0)) {
+        console.log(chalk.yellow(`  • ${day.day} onwards: demand ${JSON.stringify(day.laterDemand)} that cannot go earlier exceeds capacity ${JSON.stringify(day.laterCapacity)}`));
+      }
+    });
+
+    console.log(chalk.gray(`Full report: ${path.join(this.options.outputDir, 'preflight_report.json')}\n`));
+  }
+
+  createStrategySearch() {
+    if (this.options.search === 'adaptive') {
+      Logger.info('Using adaptive strategy search');
+      return new AdaptiveStrategySearch(this.plan, this.options.minLoad);
+    }
+    if (this.options.search !== 'schedule') {
+      throw new Error(`Unknown strategy search mode: ${this.options.search}. Available: schedule, adaptive`);
+    }
+    return null;
+  }
+
+  async loadInputData() {
+    Logger.info('Loading input data...');
+    if (this.options.inputData) {
+      return this.options.inputData;
+    }
+    
+    const inputPath = path.resolve(this.options.inputPath);
+    if (!(await FileUtils.fileExists(inputPath))) {
+      throw new Error(`Input file not found: ${inputPath}`);
+    }
+
+    return await FileUtils.readJsonFile(inputPath);
+  }
+
+  async loadSolutionData() {
+    Logger.info('Loading solution data...');
+    if (this.options.solutionData) {
+      return this.options.solutionData;
+    }
+    
+    const solutionPath = path.resolve(this.options.solutionPath);
+    if (!(await FileUtils.fileExists(solutionPath))) {
+      throw new Error(`Solution file not found: ${solutionPath}`);
+    }
+
+    return await FileUtils.readJsonFile(solutionPath);
+  }
+
+  // The local solver assumes one average speed; calibrating it on the initial solution keeps
+  // its shifts and time windows about as tight as NextBillion's
+  configureLocalSolver(solutionData) {
+    if (this.backend.name !== 'local') {
+      return;
+    }
+
+    const configured = parseFloat(this.options.localSpeed || process.env.ROIR_LOCAL_SPEED_KMH);
+    const averageSpeedKmh = configured > 0 ? configured : LocalSolver.deriveSpeedKmh(solutionData);
+    if (averageSpeedKmh) {
+      this.backend.options.solverOptions = { ...this.backend.options.solverOptions, averageSpeedKmh };
+      Logger.info(`Local solver speed: ${averageSpeedKmh.toFixed(1)} km/h${configured > 0 ? '' : ' (from the initial solution)'}`);
+    }
+  }
+
+  // The replay backend reads its recordings lazily while the run writes iterations, so the
+  // two directories must not overlap: clearing the output would delete the recordings, and
+  // the run's own iterations would be served back as recordings
+  checkReplayDirectory() {
+    if (this.backend.name !== 'replay') {
+      return;
+    }
+
+    const replayDir = path.resolve(this.backend.options.replayDir);
+    const outputDir = path.resolve(this.options.outputDir);
+    const isWithin = (parent, child) => {
+      const relative = path.relative(parent, child);
+      return !relative.startsWith('..') && !path.isAbsolute(relative);
+    };
+
+    if (isWithin(outputDir, replayDir) || isWithin(replayDir, outputDir)) {
+      throw new Error(`Replay directory ${this.backend.options.replayDir} overlaps the output directory ${this.options.outputDir} - move the recordings or choose another --output-dir`);
+    }
+  }
+
+  async clearOutputDirectory() {
+    Logger.info('Clearing output directory...');
+    
+    const outputPath = path.resolve(this.options.outputDir);
+    
+    try {
+      // Import fs/promises
+      const fs = await import('fs/promises');
+      
+      // Check if output directory exists and remove it
+      try {
+        await fs.access(outputPath);
+        await fs.rm(outputPath, { recursive: true, force: true });
+        Logger.success('Output directory cleared successfully');
+      } catch (accessError) {
+        // Directory doesn't exist, which is fine
+        Logger.info('Output directory does not exist, will create new one');
+      }
+      
+      // Create fresh output directory
+      await fs.mkdir(outputPath, { recursive: true });
+      Logger.success('Output directory created successfully');
+    } catch (error) {
+      Logger.warning(`Failed to clear output directory: ${error.message}`);
+      // Continue execution even if clearing fails
+    }
+  }
+
+  async runIterativeOptimization(parsedInput, initialSolution, resumeState = null) {
+    Logger.info('Starting iterative optimization process');
+
+    let currentInput = parsedInput.data;
+    let currentSolution = initialSolution.data;
+    let iteration = 1;
+    let successfulIteration = 0; // Track the last successful iteration
+    let lastSuccessfulInput = currentInput;
+    let lastSuccessfulSolution = currentSolution;
+
+    if (resumeState) {
+      ({ iteration, successfulIteration, lastSuccessfulInput, lastSuccessfulSolution } = resumeState);
+      currentInput = lastSuccessfulInput;
+      currentSolution = lastSuccessfulSolution;
+      Logger.info(`Resuming at iteration ${iteration} from successful iteration ${successfulIteration}`);
+    }
+
+    while (iteration <= this.options.maxIterations) {
+      if (this.checkCancelled()) {
+        Logger.warning(`Run cancelled before iteration ${iteration}; keeping the ${this.iterationHistory.length} completed iteration(s)`);
+        break;
+      }
+
+      // With concurrency > 1 a round submits several iterations at once, all built from the same input
+      const roundSize = Math.min(this.options.concurrency, this.options.maxIterations - iteration + 1);
+      const lastIteration = iteration + roundSize - 1;
+      Logger.info(roundSize > 1
+        ? `\n=== Iterations ${iteration}-${lastIteration}/${this.options.maxIterations} (parallel) ===`
+        : `\n=== Iteration ${iteration}/${this.options.maxIterations} ===`);
+
+      // Analyze current solution
+      const analysis = LoadAnalyzer.analyzeLoadDistribution(currentSolution, this.options.minLoad, currentInput);
+      
+      // Check constraints
+      const constraints = { minLoadPerRoute: this.options.minLoad };
+      const constraintCheck = ConstraintChecker.checkSolutionConstraints(currentSolution, constraints);
+
+      // Check if we've achieved our goal
+      if (constraintCheck.passed && analysis.summary.totalRoutes > 0) {
+        Logger.success(`Constraints met at iteration ${iteration}!`);
+        this.bestSolution = currentSolution;
+        this.bestInput = currentInput;
+        this.bestScore = this.scorer.score(analysis, currentSolution, currentInput);
+        break;
+      }
+
+      // Create modification strategies based on last successful iteration
+      const candidates = this.createCandidates(analysis, currentInput, iteration, roundSize, successfulIteration);
+
+      // Run optimization with modified input, up to `concurrency` requests in flight
+      const outcomes = await ConcurrencyPool.map(candidates, this.options.concurrency, async candidate => ({
+        ...candidate,
+        result: await this.runOptimization(candidate.input, candidate.iteration)
+      }));
+      
+      if (outcomes.every(outcome => !outcome.result.success)) {
+        const decision = this.handleFailedRound(outcomes, currentInput);
+        if (decision.action === ERROR_ACTIONS.ABORT) {
+          if (!this.checkCancelled()) {
+            Logger.error(`Optimization failed at iteration ${iteration}`);
+          }
+          break;
+        }
+
+        if (decision.action === ERROR_ACTIONS.REMOVE_JOBS) {
+          Logger.warning(`Removing jobs [${decision.jobIds.join(', ')}] and vehicles [${decision.vehicleIds.join(', ')}] named in the error`);
+          this.noteRemovedItems(currentInput, decision);
+          currentInput = this.removeOffendingItems(currentInput, decision);
+          lastSuccessfulInput = this.removeOffendingItems(lastSuccessfulInput, decision);
+        }
+
+        this.totalAttempts += roundSize;
+        await this.saveRunState(lastIteration, successfulIteration);
+        iteration = lastIteration + 1;
+        continue;
+      }
+
+      // Record every candidate, then continue from the best one in the round
+      let roundBest = null;
+      for (const outcome of outcomes.filter(outcome => outcome.result.success)) {
+        const accepted = await this.recordIteration(outcome);
+        if (accepted && (!roundBest || this.scorer.compare(accepted.score, roundBest.score) > 0)) {
+          roundBest = accepted;
+        }
+      }
+
+      if (roundBest) {
+        currentSolution = roundBest.solution;
+        currentInput = roundBest.input;
+        lastSuccessfulInput = roundBest.input;
+        lastSuccessfulSolution = roundBest.solution;
+        successfulIteration = roundBest.iteration;
+      } else {
+        // Empty routes - revert to last successful iteration and try less constrained approach
+        Logger.warning(`Iteration ${lastIteration} produced no routes - reverting to last successful iteration ${successfulIteration}`);
+        
+        if (successfulIteration > 0) {
+          currentInput = lastSuccessfulInput;
+          currentSolution = lastSuccessfulSolution;
+
+          const relaxed = await this.runRelaxedIteration(lastIteration, currentInput, currentSolution, successfulIteration);
+          if (relaxed) {
+            currentSolution = relaxed.solution;
+            currentInput = relaxed.input;
+            lastSuccessfulInput = relaxed.input;
+            lastSuccessfulSolution = relaxed.solution;
+            successfulIteration = lastIteration;
+          }
+        } else {
+          Logger.error(`No successful iterations to revert to - stopping optimization`);
+          break;
+        }
+      }
+
+      this.totalAttempts += roundSize;
+      await this.saveRunState(lastIteration, successfulIteration);
+      iteration = lastIteration + 1;
+    }
+
+    if (this.checkCancelled()) {
+      await this.saveRunState(iteration - 1, successfulIteration);
+    } else if (iteration > this.options.maxIterations) {
+      Logger.warning(`Reached maximum iterations (${this.options.maxIterations})`);
+    }
+  }
+
+  createCandidates(analysis, currentInput, iteration, roundSize, successfulIteration) {
+    const candidates = [];
+    const taken = [];
+
+    for (let offset = 0; offset < roundSize; offset++) {
+      const candidateIteration = iteration + offset;
+      // Adaptive search spreads a round over values not yet picked by its other candidates
+      const choices = this.search ? this.search.selectChoices(taken) : null;
+      if (choices) {
+        taken.push(choices);
+      }
+
+      const strategies = InputModifier.createLoadBalancingStrategy(analysis, candidateIteration, successfulIteration, this.plan, choices);
+      Logger.info(`Created ${strategies.length} modification strategies for iteration ${candidateIteration}`);
+
+      // Apply strategies to input
+      const modifiedInput = InputModifier.applyMultipleStrategies(currentInput, strategies);
+      
+      // Validate modified input
+      InputModifier.validateModifiedInput(modifiedInput);
+
+      // Each candidate is built from the last successful iteration's input (0 = the original input)
+      candidates.push({ iteration: candidateIteration, basedOnIteration: successfulIteration, strategies, input: modifiedInput });
+    }
+
+    return candidates;
+  }
+
+  // Adds a completed iteration to the history and saves it; returns null when it produced no routes
+  async recordIteration({ iteration, basedOnIteration, strategies, input, result }) {
+    // Parse new solution
+    const newSolution = SolutionParser.parse(result.solution);
+    const newAnalysis = LoadAnalyzer.analyzeLoadDistribution(newSolution.data, this.options.minLoad, input);
+
+    // Check if this iteration produced a valid solution (has routes with jobs)
+    Logger.debug(`Iteration ${iteration} analysis: totalRoutes=${newAnalysis.summary.totalRoutes}, totalJobsAssigned=${newAnalysis.summary.totalJobsAssigned}`);
+
+    if (newAnalysis.summary.totalRoutes === 0) {
+      Logger.warning(`Iteration ${iteration} produced no routes`);
+      if (this.search) {
+        this.search.recordOutcome(strategies, null);
+      }
+      return null;
+    }
+
+    Logger.success(`Successful iteration ${iteration} with ${newAnalysis.summary.totalRoutes} routes`);
+    
+    // Add successful iteration to history
+    const newConstraintCheck = ConstraintChecker.checkSolutionConstraints(newSolution.data, { minLoadPerRoute: this.options.minLoad });
+    const score = this.scorer.score(newAnalysis, newSolution.data, input);
+    this.addToHistory({
+      iteration,
+      analysis: newAnalysis,
+      constraintCheck: newConstraintCheck,
+      solution: newSolution.data,
+      input,
+      strategies,
+      requestId: result.requestId || null,
+      score,
+      timestamp: new Date().toISOString(),
+      basedOnIteration,
+      reverted: false,
+      relaxed: false,
+      ...(this.search && { searchScore: this.search.recordOutcome(strategies, newAnalysis) })
+    });
+    
+    // Update best solution if this one is better
+    if (this.updateBest(score, newSolution.data, input)) {
+      Logger.success(`New best solution found at iteration ${iteration} (score ${score.total})`);
+    }
+
+    // Save iteration files
+    await this.saveIterationFiles(iteration, input, newSolution.data, strategies, { relaxed: false, basedOnIteration, reverted: false });
+
+    return { iteration, input, solution: newSolution.data, score };
+  }
+
+  async runRelaxedIteration(iteration, baseInput, baseSolution, successfulIteration) {
+    // Create less constrained strategies
+    const relaxedStrategies = InputModifier.createRelaxedLoadBalancingStrategy(
+      LoadAnalyzer.analyzeLoadDistribution(baseSolution, this.options.minLoad, baseInput), 
+      iteration, 
+      successfulIteration,
+      this.plan
+    );
+    
+    Logger.info(`Created ${relaxedStrategies.length} relaxed modification strategies`);
+    
+    // Apply relaxed strategies
+    const relaxedInput = InputModifier.applyMultipleStrategies(baseInput, relaxedStrategies);
+    InputModifier.validateModifiedInput(relaxedInput);
+    
+    // Run optimization with relaxed input
+    const relaxedResult = await this.runOptimization(relaxedInput, iteration);
+    
+    if (!relaxedResult.success) {
+      Logger.error(`Relaxed optimization failed at iteration ${iteration}`);
+      return null;
+    }
+
+    const relaxedSolution = SolutionParser.parse(relaxedResult.solution);
+    const relaxedAnalysis = LoadAnalyzer.analyzeLoadDistribution(relaxedSolution.data, this.options.minLoad, relaxedInput);
+    
+    if (!(relaxedAnalysis.summary.totalRoutes > 0)) {
+      Logger.error(`Relaxed iteration ${iteration} also failed - no routes produced`);
+      return null;
+    }
+
+    Logger.success(`Relaxed iteration ${iteration} successful with ${relaxedAnalysis.summary.totalRoutes} routes`);
+    
+    // Add successful relaxed iteration to history
+    const relaxedConstraintCheck = ConstraintChecker.checkSolutionConstraints(relaxedSolution.data, { minLoadPerRoute: this.options.minLoad });
+    const score = this.scorer.score(relaxedAnalysis, relaxedSolution.data, relaxedInput);
+    this.addToHistory({
+      iteration,
+      analysis: relaxedAnalysis,
+      constraintCheck: relaxedConstraintCheck,
+      solution: relaxedSolution.data,
+      input: relaxedInput,
+      strategies: relaxedStrategies,
+      requestId: relaxedResult.requestId || null,
+      score,
+      timestamp: new Date().toISOString(),
+      // Built from the last good iteration after this round's own attempt came back empty
+      basedOnIteration: successfulIteration,
+      reverted: true,
+      relaxed: true
+    });
+    
+    if (this.updateBest(score, relaxedSolution.data, relaxedInput)) {
+      Logger.success(`New best solution found at iteration ${iteration} (relaxed, score ${score.total})`);
+    }
+    
+    await this.saveIterationFiles(iteration, relaxedInput, relaxedSolution.data, relaxedStrategies, { relaxed: true, basedOnIteration: successfulIteration, reverted: true });
+
+    return { iteration, input: relaxedInput, solution: relaxedSolution.data };
+  }
+
+  async runOptimization(inputData, iteration) {
+    // Concurrent spinners overwrite each other, so parallel rounds log plain lines instead
+    if (this.options.concurrency > 1) {
+      Logger.info(`Running optimization (iteration ${iteration}, ${this.backend.name})...`);
+      try {
+        const result = await this.backend.runOptimization(inputData, {}, this.options.signal);
+        Logger.success(`Optimization completed (iteration ${iteration})`);
+        return result;
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          Logger.warning(`Optimization cancelled (iteration ${iteration})`);
+        } else {
+          Logger.error(`Optimization failed (iteration ${iteration}): ${error.message}`);
+        }
+        return { success: false, error: error.message, classification: ErrorClassifier.classify(error, inputData) };
+      }
+    }
+
+    const spinner = ora(`Running optimization (iteration ${iteration}, ${this.backend.name})...`).start();
+
+    try {
+      const result = await this.backend.runOptimization(inputData, {}, this.options.signal);
+
+      spinner.succeed(`Optimization completed (iteration ${iteration})`);
+      return result;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        spinner.warn(`Optimization cancelled (iteration ${iteration})`);
+      } else {
+        spinner.fail(`Optimization failed (iteration ${iteration}): ${error.message}`);
+      }
+      return { success: false, error: error.message, classification: ErrorClassifier.classify(error, inputData) };
+    }
+  }
+
+  // True once the caller's signal has aborted; the run then stops and reports what it has
+  checkCancelled() {
+    if (!this.cancelled && this.options.signal?.aborted) {
+      this.cancelled = true;
+    }
+    return this.cancelled;
+  }
+
+  // Decides how to continue after every request of a round failed: abort on any
+  // non-recoverable error, drop the jobs/vehicles the API named (only with removeRejected,
+  // abort otherwise), else retry next round
+  handleFailedRound(outcomes, currentInput) {
+    const classifications = outcomes.map(outcome => outcome.result.classification || ErrorClassifier.classify(new Error(outcome.result.error)));
+
+    outcomes.forEach((outcome, index) => {
+      const classification = classifications[index];
+      // Requests stopped by a cancel are not failures of the input
+      if (classification.category === ERROR_CATEGORIES.CANCELLED) {
+        return;
+      }
+      Logger.warning(`Iteration ${outcome.iteration} failed: ${ErrorClassifier.describe(classification)}`);
+      this.failures.push({
+        iteration: outcome.iteration,
+        category: classification.category,
+        action: classification.action,
+        message: classification.message,
+        jobIds: classification.jobIds,
+        vehicleIds: classification.vehicleIds
+      });
+    });
+
+    if (classifications.some(classification => classification.action === ERROR_ACTIONS.ABORT)) {
+      return { action: ERROR_ACTIONS.ABORT };
+    }
+
+    const removals = classifications.filter(classification => classification.action === ERROR_ACTIONS.REMOVE_JOBS);
+    if (removals.length > 0) {
+      const jobIds = [...new Set(removals.flatMap(classification => classification.jobIds))];
+      const vehicleIds = [...new Set(removals.flatMap(classification => classification.vehicleIds))];
+
+      const named = new Set([...jobIds, ...vehicleIds]);
+      const present = [...(currentInput.jobs || []), ...(currentInput.vehicles || [])].some(item => named.has(String(item.id)));
+      if (!present) {
+        Logger.error('The API rejected the input without naming jobs that can be removed - run `npm run isolate` to find them');
+        return { action: ERROR_ACTIONS.ABORT };
+      }
+      if (!this.options.removeRejected) {
+        Logger.error(`The API rejected jobs [${jobIds.join(', ')}] and vehicles [${vehicleIds.join(', ')}] (${removals[0].category}) - stopping; remove them from the input or allow removal with --remove-rejected`);
+        return { action: ERROR_ACTIONS.ABORT };
+      }
+
+      return { action: ERROR_ACTIONS.REMOVE_JOBS, jobIds, vehicleIds };
+    }
+
+    Logger.warning('Transient failure - retrying with the next iteration');
+    return { action: ERROR_ACTIONS.RETRY };
+  }
+
+  // Remembers the ids actually present in the input, for the report and the run history
+  noteRemovedItems(inputData, { jobIds = [], vehicleIds = [] }) {
+    const presentJobs = new Set((inputData.jobs || []).map(job => String(job.id)));
+    const presentVehicles = new Set((inputData.vehicles || []).map(vehicle => String(vehicle.id)));
+
+    this.removedItems = {
+      jobIds: [...new Set([...this.removedItems.jobIds, ...jobIds.map(String).filter(id => presentJobs.has(id))])],
+      vehicleIds: [...new Set([...this.removedItems.vehicleIds, ...vehicleIds.map(String).filter(id => presentVehicles.has(id))])]
+    };
+  }
+
+  getRemovedItems() {
+    return this.removedItems.jobIds.length > 0 || this.removedItems.vehicleIds.length > 0 ? this.removedItems : null;
+  }
+
+  removeOffendingItems(inputData, { jobIds = [], vehicleIds = [] }) {
+    const removedJobs = new Set(jobIds.map(String));
+    const removedVehicles = new Set(vehicleIds.map(String));
+
+    const jobs = (inputData.jobs || []).filter(job => !removedJobs.has(String(job.id)));
+    const vehicles = (inputData.vehicles || []).filter(vehicle => !removedVehicles.has(String(vehicle.id)));
+    return { ...inputData, jobs, vehicles };
+  }
+
+  createScorer() {
+    const settings = { ...(this.plan && this.plan.scoring) };
+    if (this.options.scoreWeights) {
+      settings.mode = 'weighted';
+      settings.weights = { ...settings.weights, ...this.options.scoreWeights };
+    }
+    if (this.options.scorePriorities) {
+      settings.mode = 'lexicographic';
+      settings.priorities = this.options.scorePriorities;
+    }
+    return new SolutionScorer(settings, this.options.minLoad);
+  }
+
+  // Saves the run with its per-iteration results, best solution and final report so
+  // `roir history` and the web history page can list and reopen it
+  async recordRun(report, error = null) {
+    if (!this.runStore) {
+      return report;
+    }
+
+    const bestEntry = this.iterationHistory.find(entry => entry.solution === this.bestSolution);
+    const record = {
+      id: this.runId,
+      source: this.options.source,
+      status: error ? 'failed' : report.summary.status,
+      createdAt: this.startedAt,
+      finishedAt: new Date().toISOString(),
+      inputName: this.options.inputName || (this.options.inputData ? null : path.basename(this.options.inputPath)),
+      solutionName: this.options.solutionName || (this.options.solutionData ? null : path.basename(this.options.solutionPath)),
+      inputHash: this.hashes.input,
+      solutionHash: this.hashes.solution,
+      params: {
+        minLoad: this.options.minLoad,
+        maxIterations: this.options.maxIterations,
+        concurrency: this.options.concurrency,
+        backend: this.backend.name,
+        search: this.options.search,
+        strategyPlan: this.plan ? this.plan.name || this.plan.source : null,
+        scoring: this.scorer ? { mode: this.scorer.settings.mode, priorities: this.scorer.settings.priorities, weights: this.scorer.settings.weights } : null,
+        timeWindowEasing: this.options.timeWindowEasing,
+        shiftTimeAdjustments: this.options.shiftTimeAdjustments
+      },
+      summary: report ? {
+        iterations: report.summary.totalIterations,
+        totalAttempts: report.summary.totalAttempts,
+        initialComplianceRate: report.summary.initialComplianceRate,
+        finalComplianceRate: report.summary.finalComplianceRate,
+        improvement: report.summary.improvement,
+        constraintsMet: report.summary.constraintsMet,
+        bestIteration: bestEntry ? bestEntry.iteration : null,
+        finalRequestId: bestEntry ? bestEntry.requestId : null
+      } : null,
+      ...(this.getRemovedItems() && { removedItems: this.getRemovedItems() }),
+      ...(error && { error: error.message }),
+      outputDir: path.resolve(this.options.outputDir),
+      results: this.iterationHistory.map(entry => ROIR.toIterationResult(entry))
+    };
+
+    try {
+      const runDir = await this.runStore.save(record, {
+        bestSolution: this.bestSolution,
+        bestInput: this.bestInput,
+        finalReport: report
+      });
+      Logger.info(`Run saved to history as ${this.runId} (${runDir})`);
+    } catch (saveError) {
+      // History is a convenience; it must not fail the run
+      Logger.warning(`Failed to save run history: ${saveError.message}`);
+    }
+    return report;
+  }
+
+  // A history entry as one row of the results table (OptimizationResult in types/index.ts).
+  // Easing and overtime are the softening the iteration actually sent, in minutes.
+  static toIterationResult(entry) {
+    const summary = entry.analysis.summary;
+    const options = entry.input.options || {};
+    const constraint = options.constraint || {};
+    const distance = entry.score && entry.score.criteria.distance ? entry.score.criteria.distance.value : null;
+
+    return {
+      iteration: entry.iteration,
+      compliance: Math.round(summary.complianceRate),
+      routes: summary.totalRoutes,
+      unassigned: (entry.solution.unassigned || []).length,
+      loadGap: Math.round(summary.totalLoadGap),
+      ...(typeof distance === 'number' && { distance: Math.round(distance * 10) / 10 }),
+      objective: this.describeObjective(options.objective || {}),
+      timeWindowEasing: Math.round((constraint.max_visit_lateness || 0) / 60),
+      shiftTimeAdjustments: Math.round((constraint.max_vehicle_overtime || 0) / 60),
+      type: 'Success',
+      requestId: entry.requestId || `iteration_${entry.iteration}`,
+      timestamp: entry.timestamp,
+      relaxed: entry.relaxed || false,
+      basedOnIteration: entry.basedOnIteration ?? null,
+      reverted: entry.reverted || false,
+      unassignedExplanation: entry.unassignedExplanation,
+      fleetSplit: summary.fleetSplit
+    };
+  }
+
+  static describeObjective(objective) {
+    if (objective.travel_cost) {
+      if (objective.custom) {
+        return `${objective.travel_cost} + ${objective.custom.type}:${objective.custom.value}`;
+      }
+      return objective.travel_cost;
+    }
+    return 'Unknown';
+  }
+
+  // Records a successful iteration and keeps the Pareto front of all iterations up to date.
+  // Unassigned jobs are explained here, once, against the input actually sent.
+  addToHistory(iteration) {
+    const entry = { ...iteration, unassignedExplanation: UnassignedExplainer.explain(iteration.input, iteration.solution) };
+    this.iterationHistory.push(entry);
+    if (this.options.onIteration) {
+      this.options.onIteration(entry);
+    }
+
+    const point = ParetoFront.toPoint(entry.iteration, entry.score, { relaxed: entry.relaxed || false });
+    const { front, added } = ParetoFront.insert(this.paretoFront, point);
+    this.paretoFront = front;
+    if (added) {
+      Logger.info(`Iteration ${entry.iteration} joins the Pareto front (${front.length} point${front.length === 1 ? '' : 's'})`);
+    }
+  }
+
+  // Writes every Pareto point's input and solution to output/pareto, replacing an earlier front
+  async saveParetoFront() {
+    const fs = await import('fs/promises');
+    const paretoDir = path.resolve(this.options.outputDir, 'pareto');
+    await fs.rm(paretoDir, { recursive: true, force: true });
+    await FileUtils.ensureDirectory(paretoDir);
+
+    const bestEntry = this.iterationHistory.find(entry => entry.solution === this.bestSolution);
+    const points = [];
+    for (const point of this.paretoFront) {
+      const entry = this.iterationHistory.find(candidate => candidate.iteration === point.iteration && candidate.relaxed === point.relaxed);
+      const pointDir = path.join(paretoDir, `iteration_${point.iteration}`);
+      await FileUtils.ensureDirectory(pointDir);
+      await FileUtils.writeJsonFile(path.join(pointDir, 'input.json'), entry.input);
+      await FileUtils.writeJsonFile(path.join(pointDir, 'solution.json'), entry.solution);
+
+      points.push({
+        ...point,
+        best: entry === bestEntry,
+        directory: path.relative(path.resolve(this.options.outputDir), pointDir)
+      });
+    }
+
+    await FileUtils.writeJsonFile(path.join(paretoDir, 'pareto_front.json'), points);
+    Logger.info(`Saved ${points.length} Pareto point(s) to ${paretoDir}`);
+    return points;
+  }
+
+  // Keeps the solution as the best so far when it outscores the current best
+  updateBest(score, solution, input) {
+    if (!this.scorer.isBetter(score, this.bestScore)) {
+      return false;
+    }
+    this.bestSolution = solution;
+    this.bestInput = input;
+    this.bestScore = score;
+    return true;
+  }
+
+  async saveIterationFiles(iteration, inputData, solutionData, strategies, metadata = {}) {
+    const outputDir = path.resolve(this.options.outputDir);
+    await FileUtils.ensureDirectory(outputDir);
+
+    const iterationDir = path.join(outputDir, `iteration_${iteration}`);
+    await FileUtils.ensureDirectory(iterationDir);
+
+    // Save modified input
+    await FileUtils.writeJsonFile(
+      path.join(iterationDir, 'input.json'),
+      inputData
+    );
+
+    // Save solution
+    await FileUtils.writeJsonFile(
+      path.join(iterationDir, 'solution.json'),
+      solutionData
+    );
+
+    // Save strategies
+    await FileUtils.writeJsonFile(
+      path.join(iterationDir, 'strategies.json'),
+      strategies
+    );
+
+    // Save iteration metadata so --resume can rebuild the history
+    await FileUtils.writeJsonFile(
+      path.join(iterationDir, 'iteration.json'),
+      {
+        iteration,
+        relaxed: metadata.relaxed || false,
+        basedOnIteration: metadata.basedOnIteration ?? null,
+        reverted: metadata.reverted || false,
+        timestamp: new Date().toISOString()
+      }
+    );
+
+    Logger.debug(`Saved iteration ${iteration} files to ${iterationDir}`);
+  }
+
+  async saveRunState(lastIteration, successfulIteration) {
+    await FileUtils.writeJsonFile(
+      path.join(path.resolve(this.options.outputDir), 'run_state.json'),
+      {
+        lastIteration,
+        successfulIteration,
+        totalAttempts: this.totalAttempts,
+        cancelled: this.cancelled,
+        removedItems: this.removedItems,
+        minLoad: this.options.minLoad,
+        maxIterations: this.options.maxIterations,
+        updatedAt: new Date().toISOString()
+      }
+    );
+  }
+
+  async restoreRunState(parsedInput, initialSolution) {
+    const outputDir = path.resolve(this.options.outputDir);
+    const statePath = path.join(outputDir, 'run_state.json');
+    const runState = (await FileUtils.fileExists(statePath)) ? await FileUtils.readJsonFile(statePath) : null;
+
+    if (runState && runState.minLoad !== this.options.minLoad) {
+      Logger.warning(`Resumed run used min load ${runState.minLoad}, continuing with ${this.options.minLoad}`);
+    }
+
+    const iterations = await this.loadSavedIterations(outputDir);
+    const state = {
+      iteration: 1,
+      successfulIteration: 0,
+      lastSuccessfulInput: parsedInput.data,
+      lastSuccessfulSolution: initialSolution.data
+    };
+
+    // Replay the saved iterations in order so best-solution selection matches the original run
+    iterations.forEach(saved => {
+      const parsedSolution = SolutionParser.parse(saved.solution);
+      const analysis = LoadAnalyzer.analyzeLoadDistribution(parsedSolution.data, this.options.minLoad, saved.input);
+      const constraintCheck = ConstraintChecker.checkSolutionConstraints(parsedSolution.data, { minLoadPerRoute: this.options.minLoad });
+
+      const searchScore = this.search && !saved.relaxed
+        ? this.search.recordOutcome(saved.strategies, analysis)
+        : undefined;
+
+      const score = this.scorer.score(analysis, parsedSolution.data, saved.input);
+      this.addToHistory({
+        iteration: saved.iteration,
+        analysis,
+        constraintCheck,
+        solution: parsedSolution.data,
+        input: saved.input,
+        strategies: saved.strategies,
+        requestId: null,
+        score,
+        timestamp: saved.timestamp,
+        basedOnIteration: saved.basedOnIteration,
+        reverted: saved.reverted,
+        relaxed: saved.relaxed,
+        ...(searchScore !== undefined && { searchScore })
+      });
+
+      this.updateBest(score, parsedSolution.data, saved.input);
+
+      state.successfulIteration = saved.iteration;
+      state.lastSuccessfulInput = saved.input;
+      state.lastSuccessfulSolution = parsedSolution.data;
+    });
+
+    const lastIteration = Math.max(runState ? runState.lastIteration : 0, state.successfulIteration);
+    state.iteration = lastIteration + 1;
+    this.totalAttempts = runState ? runState.totalAttempts : lastIteration;
+    if (runState && runState.removedItems) {
+      this.removedItems = runState.removedItems;
+    }
+
+    Logger.info(`Restored ${iterations.length} saved iterations from ${outputDir} (last attempted: ${lastIteration})`);
+    return state;
+  }
+
+  async loadSavedIterations(outputDir) {
+    const fs = await import('fs/promises');
+    const entries = await fs.readdir(outputDir, { withFileTypes: true });
+
+    const iterationNumbers = entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name.match(/^iteration_(\d+)$/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]))
+      .sort((a, b) => a - b);
+
+    const iterations = [];
+    for (const iteration of iterationNumbers) {
+      const iterationDir = path.join(outputDir, `iteration_${iteration}`);
+      const inputPath = path.join(iterationDir, 'input.json');
+      const solutionPath = path.join(iterationDir, 'solution.json');
+
+      if (!(await FileUtils.fileExists(inputPath)) || !(await FileUtils.fileExists(solutionPath))) {
+        Logger.warning(`Skipping incomplete iteration directory ${iterationDir}`);
+        continue;
+      }
+
+      const metadataPath = path.join(iterationDir, 'iteration.json');
+      const metadata = (await FileUtils.fileExists(metadataPath)) ? await FileUtils.readJsonFile(metadataPath) : {};
+      const strategiesPath = path.join(iterationDir, 'strategies.json');
+
+      iterations.push({
+        iteration,
+        input: await FileUtils.readJsonFile(inputPath),
+        solution: await FileUtils.readJsonFile(solutionPath),
+        strategies: (await FileUtils.fileExists(strategiesPath)) ? await FileUtils.readJsonFile(strategiesPath) : [],
+        relaxed: metadata.relaxed || false,
+        basedOnIteration: metadata.basedOnIteration ?? null,
+        reverted: metadata.reverted || false,
+        timestamp: metadata.timestamp || new Date().toISOString()
+      });
+    }
+
+    return iterations;
+  }
+
+  async generateFinalReport(finalSolution, initialAnalysis) {
+    Logger.info('Generating final report...');
+
+    // Handle case where no successful iterations occurred
+    if (!finalSolution || !finalSolution.routes) {
+      const report = {
+        summary: {
+          totalIterations: this.iterationHistory.length,
+          totalAttempts: this.totalAttempts || 0,
+          targetMinLoad: this.options.minLoad,
+          strategyPlan: this.plan ? this.plan.name || this.plan.source : null,
+          search: this.options.search,
+          status: this.cancelled ? 'cancelled' : 'completed',
+          initialComplianceRate: initialAnalysis.summary.complianceRate,
+          finalComplianceRate: 0,
+          improvement: -initialAnalysis.summary.complianceRate,
+          constraintsMet: false,
+          bestSolutionFound: false,
+          ...(this.getRemovedItems() && { removedItems: this.getRemovedItems() })
+        },
+        initialAnalysis: initialAnalysis.summary,
+        finalAnalysis: { complianceRate: 0, totalRoutes: 0, routesBelowCount: 0, totalLoadGap: 0 },
+        constraintCheck: { passed: false, violations: [] },
+        iterationHistory: this.iterationHistory.map(iter => ({
+          iteration: iter.iteration,
+          complianceRate: iter.analysis.summary.complianceRate,
+          totalRoutes: iter.analysis.summary.totalRoutes,
+          routesBelowTarget: iter.analysis.summary.routesBelowCount,
+          totalLoadGap: iter.analysis.summary.totalLoadGap,
+          originalComplianceRate: iter.analysis.summary.fleetSplit.original.complianceRate,
+          addedVehiclesUsed: iter.analysis.summary.fleetSplit.added.routes,
+          constraintsPassed: iter.constraintCheck.passed,
+          score: iter.score,
+          basedOnIteration: iter.basedOnIteration ?? null,
+          reverted: iter.reverted || false,
+          relaxed: iter.relaxed || false,
+          ...(iter.searchScore !== undefined && { searchScore: iter.searchScore })
+        })),
+        recommendations: [{ description: "No successful optimization iterations found. Consider relaxing constraints or adjusting parameters." }],
+        ...(this.preflight && { preflight: this.preflight.summary }),
+        ...(this.failures.length > 0 && { failures: this.failures })
+      };
+
+      // Save final report
+      const reportPath = path.join(this.options.outputDir, 'final_report.json');
+      await FileUtils.writeJsonFile(reportPath, report);
+
+      if (this.options.printSummary) {
+        await this.printSummary(report);
+      }
+
+      return report;
+    }
+
+    const finalAnalysis = LoadAnalyzer.analyzeLoadDistribution(finalSolution, this.options.minLoad, this.bestInput);
+    const constraints = { minLoadPerRoute: this.options.minLoad };
+    const finalConstraintCheck = ConstraintChecker.checkSolutionConstraints(finalSolution, constraints);
+    const extraFleet = this.recommendExtraFleet();
+    const paretoFront = this.iterationHistory.length > 0 ? await this.saveParetoFront() : [];
+    const bestEntry = this.iterationHistory.find(entry => entry.solution === finalSolution);
+
+    const report = {
+      summary: {
+        totalIterations: this.iterationHistory.length,
+        totalAttempts: this.totalAttempts || 0,
+        targetMinLoad: this.options.minLoad,
+        strategyPlan: this.plan ? this.plan.name || this.plan.source : null,
+        search: this.options.search,
+        scoring: this.scorer ? { mode: this.scorer.settings.mode, priorities: this.scorer.settings.priorities, weights: this.scorer.settings.weights } : null,
+        status: this.cancelled ? 'cancelled' : 'completed',
+        initialComplianceRate: initialAnalysis.summary.complianceRate,
+        finalComplianceRate: finalAnalysis.summary.complianceRate,
+        improvement: finalAnalysis.summary.complianceRate - initialAnalysis.summary.complianceRate,
+        constraintsMet: finalConstraintCheck.passed,
+        bestSolutionFound: !!this.bestSolution,
+        ...(this.getRemovedItems() && { removedItems: this.getRemovedItems() })
+      },
+      initialAnalysis: initialAnalysis.summary,
+      finalAnalysis: finalAnalysis.summary,
+      constraintCheck: finalConstraintCheck,
+      iterationHistory: this.iterationHistory.map(iter => ({
+        iteration: iter.iteration,
+        complianceRate: iter.analysis.summary.complianceRate,
+        totalRoutes: iter.analysis.summary.totalRoutes,
+        routesBelowTarget: iter.analysis.summary.routesBelowCount,
+        totalLoadGap: iter.analysis.summary.totalLoadGap,
+        originalComplianceRate: iter.analysis.summary.fleetSplit.original.complianceRate,
+        addedVehiclesUsed: iter.analysis.summary.fleetSplit.added.routes,
+        constraintsPassed: iter.constraintCheck.passed,
+        score: iter.score,
+        basedOnIteration: iter.basedOnIteration ?? null,
+        reverted: iter.reverted || false,
+        relaxed: iter.relaxed || false,
+        ...(iter.searchScore !== undefined && { searchScore: iter.searchScore })
+      })),
+      fleetSplit: finalAnalysis.summary.fleetSplit,
+      extraFleet,
+      paretoFront,
+      dailyBreakdown: finalAnalysis.dailyBreakdown,
+      routeDiagnostics: finalAnalysis.routeDiagnostics,
+      unassignedExplanation: bestEntry ? bestEntry.unassignedExplanation : UnassignedExplainer.explain(this.bestInput, finalSolution),
+      recommendations: [
+        ...ConstraintChecker.getConstraintViolationDetails(finalConstraintCheck).recommendations,
+        ...(extraFleet && extraFleet.vehicles > 0 ? [extraFleet.recommendation] : [])
+      ],
+      ...(this.search && { adaptiveSearch: this.search.getSummary() }),
+      ...(this.preflight && { preflight: this.preflight.summary }),
+      ...(this.failures.length > 0 && { failures: this.failures })
+    };
+
+    // Save final report
+    const reportPath = path.join(this.options.outputDir, 'final_report.json');
+    await FileUtils.writeJsonFile(reportPath, report);
+
+    if (this.options.printSummary) {
+      await this.printSummary(report);
+    }
+
+    return report;
+  }
+
+  async printSummary(report) {
+    console.log('\n' + chalk.bold.blue('='.repeat(60)));
+    console.log(chalk.bold.blue('MVRP EXPLAINABILITY SUMMARY'));
+    console.log(chalk.bold.blue('='.repeat(60)));
+    
+    if (report.summary.status === 'cancelled') {
+      console.log(`\n${chalk.bold.yellow('Run cancelled')} - results cover the iterations completed before the cancel (continue with --resume)`);
+    }
+    console.log(`\n${chalk.bold('Target Minimum Load:')} ${report.summary.targetMinLoad}`);
+    console.log(`${chalk.bold('Successful Iterations:')} ${report.summary.totalIterations}`);
+    console.log(`${chalk.bold('Total Attempts:')} ${report.summary.totalAttempts}`);
+    console.log(`${chalk.bold('Initial Compliance:')} ${report.summary.initialComplianceRate.toFixed(1)}%`);
+    console.log(`${chalk.bold('Final Compliance:')} ${report.summary.finalComplianceRate.toFixed(1)}%`);
+    console.log(`${chalk.bold('Improvement:')} ${report.summary.improvement.toFixed(1)}%`);
+    console.log(`${chalk.bold('Constraints Met:')} ${report.summary.constraintsMet ? chalk.green('✓') : chalk.red('✗')}`);
+    if (report.summary.removedItems) {
+      const { jobIds, vehicleIds } = report.summary.removedItems;
+      console.log(chalk.yellow(`Removed after API rejections (excluded from the figures above): jobs [${jobIds.join(', ')}], vehicles [${vehicleIds.join(', ')}]`));
+    }
+    
+    this.printVehicleTypeUtilization(report.finalAnalysis.vehicleTypes);
+    this.printFleetSplit(report.fleetSplit, report.extraFleet);
+    this.printParetoFront(report.paretoFront);
+    this.printDailyBreakdown(report.dailyBreakdown);
+    this.printRouteDiagnostics(report.routeDiagnostics);
+    this.printUnassignedExplanation(report.unassignedExplanation);
+
+    // Print iteration summary table
+    await this.printIterationTable(report.iterationHistory);
+    
+    if (report.recommendations.length > 0) {
+      console.log(`\n${chalk.bold.yellow('Recommendations:')}`);
+      report.recommendations.forEach((rec, index) => {
+        console.log(`${index + 1}. ${rec.description}`);
+      });
+    }
+    
+    console.log(chalk.bold.blue('\n' + '='.repeat(60)));
+  }
+
+  printVehicleTypeUtilization(vehicleTypes) {
+    if (!vehicleTypes || vehicleTypes.length === 0) {
+      return;
+    }
+
+    console.log(`\n${chalk.bold.cyan('VEHICLE TYPE UTILISATION')}`);
+    vehicleTypes.forEach(entry => {
+      const utilization = `${entry.utilization.toFixed(1)}%`;
+      console.log(`${chalk.bold(entry.type)}: ${entry.routeCount}/${entry.fleetCount || entry.routeCount} vehicles used, ` +
+        `utilisation ${utilization}, headroom ${entry.headroom.join('/') || 0}`);
+    });
+  }
+
+  // Fewest added vehicles actually used by an iteration that met the load target; when none
+  // did, the added vehicles of the best-compliance iteration are reported instead
+  recommendExtraFleet() {
+    if (this.iterationHistory.length === 0) {
+      return null;
+    }
+
+    const reached = this.iterationHistory.filter(iter => iter.constraintCheck.passed);
+    const addedUsed = iter => iter.analysis.summary.fleetSplit.added.routes;
+    const pick = reached.length > 0
+      ? reached.reduce((a, b) => (addedUsed(b) < addedUsed(a) ||
+          (addedUsed(b) === addedUsed(a) && b.analysis.summary.complianceRate > a.analysis.summary.complianceRate) ? b : a))
+      : this.iterationHistory.reduce((a, b) => (b.analysis.summary.complianceRate > a.analysis.summary.complianceRate ||
+          (b.analysis.summary.complianceRate === a.analysis.summary.complianceRate && addedUsed(b) < addedUsed(a)) ? b : a));
+
+    const added = pick.analysis.summary.fleetSplit.added;
+    const byCapacity = added.byCapacity
+      .filter(entry => entry.routes > 0)
+      .map(entry => ({ capacity: entry.capacity, vehicles: entry.routes }));
+    const fleet = byCapacity.length > 0
+      ? ` (${byCapacity.map(entry => `${entry.vehicles} x ${entry.capacity.join('/')}`).join(', ')})`
+      : '';
+    const complianceRate = pick.analysis.summary.complianceRate;
+
+    return {
+      reachedTarget: reached.length > 0,
+      iteration: pick.iteration,
+      complianceRate,
+      vehicles: added.routes,
+      byCapacity,
+      recommendation: {
+        type: 'extra_fleet',
+        priority: 'high',
+        description: reached.length > 0
+          ? `Minimum extra fleet needed to reach the load target: ${added.routes} vehicle(s)${fleet}, as in iteration ${pick.iteration}`
+          : `Load target not reached; the best iteration (${pick.iteration}, ${complianceRate.toFixed(1)}% compliance) used ${added.routes} extra vehicle(s)${fleet}`,
+        actions: byCapacity.map(entry => `Hire or rent ${entry.vehicles} vehicle(s) with capacity ${entry.capacity.join('/')}`)
+      }
+    };
+  }
+
+  printFleetSplit(fleetSplit, extraFleet) {
+    if (!fleetSplit || fleetSplit.added.vehicles === 0) {
+      return;
+    }
+
+    console.log(`\n${chalk.bold.cyan('ORIGINAL VS ADDED FLEET')}`);
+    [['Original', fleetSplit.original], ['Added', fleetSplit.added]].forEach(([label, group]) => {
+      const compliance = group.complianceRate !== null ? this.formatCompliance(group.complianceRate) : chalk.gray('no routes');
+      console.log(`${chalk.bold(label)}: ${group.routes}/${group.vehicles} vehicles used, load ${group.totalLoad}, compliance ${compliance}`);
+    });
+    fleetSplit.added.byCapacity.forEach(entry => {
+      console.log(`  capacity ${entry.capacity.join('/')}: ${entry.routes}/${entry.vehicles} used`);
+    });
+
+    if (extraFleet) {
+      console.log(`${chalk.bold('Minimum extra fleet:')} ${extraFleet.recommendation.description}`);
+    }
+  }
+
+  printParetoFront(paretoFront) {
+    if (!paretoFront || paretoFront.length === 0) {
+      return;
+    }
+
+    console.log(`\n${chalk.bold.cyan('PARETO FRONT')} (${paretoFront.length} trade-off${paretoFront.length === 1 ? '' : 's'}, files in <output>/pareto)`);
+    paretoFront.forEach(point => {
+      const marker = point.best ? chalk.green(' <- best by score') : '';
+      const distance = point.distance !== null ? `${point.distance} km` : 'n/a';
+      console.log(`${chalk.bold(`Iteration ${point.iteration}`)}${point.relaxed ? ' (relaxed)' : ''}: ` +
+        `compliance ${this.formatCompliance(point.compliance)}, ${point.addedVehicles} added vehicle(s), ` +
+        `distance ${distance}, ${point.unassigned} unassigned${marker}`);
+    });
+  }
+
+  printDailyBreakdown(dailyBreakdown) {
+    if (!dailyBreakdown || dailyBreakdown.length < 2) {
+      return;
+    }
+
+    console.log(`\n${chalk.bold.cyan('PLANNING DAYS')} (${dailyBreakdown.length})`);
+    dailyBreakdown.forEach(day => {
+      const compliance = day.complianceRate !== null ? this.formatCompliance(day.complianceRate) : chalk.gray('no routes');
+      console.log(`${chalk.bold(day.day)}: ${day.routes}/${day.vehicles} vehicles used, compliance ${compliance}, ` +
+        `load ${day.totalLoad}, gap ${day.totalLoadGap}, ${day.jobs} single-day jobs (demand ${day.demand}), ` +
+        `${day.flexibleJobs} flexible (demand ${day.flexibleDemand})`);
+    });
+  }
+
+  printRouteDiagnostics(diagnostics) {
+    if (!diagnostics || diagnostics.length === 0) {
+      return;
+    }
+
+    console.log(`\n${chalk.bold.cyan('ROUTES UNDER TARGET')} (${diagnostics.length})`);
+    diagnostics.forEach(diagnostic => {
+      const usage = diagnostic.evidence.shiftUsage !== null ? `, shift ${(diagnostic.evidence.shiftUsage * 100).toFixed(0)}% used` : '';
+      console.log(`${chalk.bold(`Vehicle ${diagnostic.vehicleId}`)}: gap ${diagnostic.gap}${usage} - ${diagnostic.cause}, try ${diagnostic.suggestedStrategy.type}`);
+    });
+  }
+
+  printUnassignedExplanation(explanation) {
+    if (!explanation || explanation.jobs.length === 0) {
+      return;
+    }
+
+    console.log(`\n${chalk.bold.cyan('UNASSIGNED JOBS')} (${explanation.summary.unassigned})`);
+    Object.entries(explanation.summary.byCause)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([cause, count]) => {
+        const example = explanation.jobs.find(job => job.cause === cause);
+        console.log(`${chalk.bold(cause)}: ${count} - e.g. job ${example.id}: ${example.message}`);
+      });
+  }
+
+  async printIterationTable(iterationHistory) {
+    if (!iterationHistory || iterationHistory.length === 0) {
+      console.log(`\n${chalk.yellow('No successful iterations to display')}`);
+      return;
+    }
+
+    console.log(`\n${chalk.bold.cyan('ITERATION SUMMARY TABLE')}`);
+
+    // Define column widths
+    const columnWidths = {
+      iter: 4,
+      from: 4,
+      compliance: 10,
+      routes: 6,
+      loadGap: 9,
+      objective: 20,
+      vehicles: 12,
+      time: 12,
+      score: 9,
+      type: 8
+    };
+
+    // Calculate total width
+    const totalWidth = Object.values(columnWidths).reduce((sum, width) => sum + width, 0) + 
+                      (Object.keys(columnWidths).length - 1) * 3; // 3 chars for separators
+
+    console.log(chalk.cyan('='.repeat(totalWidth)));
+
+    // Table header
+    const header = [
+      this.padRight(chalk.bold.white('Iter'), columnWidths.iter),
+      this.padRight(chalk.bold.white('From'), columnWidths.from),
+      this.padRight(chalk.bold.white('Compliance'), columnWidths.compliance),
+      this.padRight(chalk.bold.white('Routes'), columnWidths.routes),
+      this.padRight(chalk.bold.white('Load Gap'), columnWidths.loadGap),
+      this.padRight(chalk.bold.white('Objective'), columnWidths.objective),
+      this.padRight(chalk.bold.white('Vehicles'), columnWidths.vehicles),
+      this.padRight(chalk.bold.white('Time Window'), columnWidths.time),
+      this.padRight(chalk.bold.white('Score'), columnWidths.score),
+      this.padRight(chalk.bold.white('Type'), columnWidths.type)
+    ];
+
+    console.log(header.join(' | '));
+    console.log(chalk.cyan('-'.repeat(totalWidth)));
+
+    // Group iterations by iteration number to show both regular and relaxed attempts
+    const groupedIterations = {};
+    iterationHistory.forEach(iter => {
+      if (!groupedIterations[iter.iteration]) {
+        groupedIterations[iter.iteration] = [];
+      }
+      groupedIterations[iter.iteration].push(iter);
+    });
+
+    // Sort by iteration number
+    const sortedIterations = Object.keys(groupedIterations).sort((a, b) => parseInt(a) - parseInt(b));
+
+    for (const iterationNum of sortedIterations) {
+      const iterations = groupedIterations[iterationNum];
+      
+      for (const iter of iterations) {
+        const isRelaxed = iter.relaxed || false;
+        const status = isRelaxed ? chalk.yellow('Relaxed') : chalk.green('Regular');
+        
+        // Get strategy details from the iteration data
+        const strategyDetails = await this.getStrategyDetails(iter);
+        
+        const row = [
+          this.padRight(chalk.bold.white(iter.iteration), columnWidths.iter),
+          this.padRight(this.formatBase(iter), columnWidths.from),
+          this.padRight(this.formatCompliance(iter.complianceRate), columnWidths.compliance),
+          this.padRight(chalk.white(`${iter.totalRoutes || 0}`), columnWidths.routes),
+          this.padRight(chalk.white(`${iter.totalLoadGap || 0}`), columnWidths.loadGap),
+          this.padRight(chalk.cyan(strategyDetails.objective || 'N/A'), columnWidths.objective),
+          this.padRight(chalk.cyan(strategyDetails.vehicles || 'N/A'), columnWidths.vehicles),
+          this.padRight(chalk.cyan(strategyDetails.timeRelax || 'N/A'), columnWidths.time),
+          this.padRight(chalk.white(iter.score ? iter.score.total.toFixed(1) : 'N/A'), columnWidths.score),
+          this.padRight(status, columnWidths.type)
+        ];
+
+        console.log(row.join(' | '));
+        if (iter.score) {
+          console.log(chalk.gray(`       ${this.formatScoreBreakdown(iter.score)}`));
+        }
+      }
+    }
+
+    console.log(chalk.cyan('='.repeat(totalWidth)));
+    
+    // Print strategy change summary
+    await this.printStrategyChangeSummary(sortedIterations, groupedIterations);
+  }
+
+  // Iteration a row was built from: 0 is the original input, "<-" marks a revert to the last good one
+  formatBase(iter) {
+    if (iter.basedOnIteration === null || iter.basedOnIteration === undefined) {
+      return chalk.gray('?');
+    }
+    return iter.reverted ? chalk.yellow(`<-${iter.basedOnIteration}`) : chalk.white(`${iter.basedOnIteration}`);
+  }
+
+  // Largest contributions first, e.g. "compliance +250.0, loadGap -9.1, routes -4.0"
+  formatScoreBreakdown(score) {
+    return Object.entries(score.criteria)
+      .filter(([, entry]) => entry.contribution !== 0)
+      .sort((a, b) => Math.abs(b[1].contribution) - Math.abs(a[1].contribution))
+      .map(([criterion, entry]) => `${criterion} ${entry.contribution >= 0 ? '+' : ''}${entry.contribution.toFixed(1)}`)
+      .join(', ');
+  }
+
+  padRight(str, width) {
+    const plainText = str.replace(/\u001b\[[0-9;]*m/g, ''); // Remove ANSI color codes
+    const padding = ' '.repeat(Math.max(0, width - plainText.length));
+    return str + padding;
+  }
+
+  async printStrategyChangeSummary(sortedIterations, groupedIterations) {
+    console.log(`\n${chalk.bold.yellow('STRATEGY CHANGE SUMMARY')}`);
+    console.log(chalk.yellow('-'.repeat(60)));
+    
+    let prevObjective = null;
+    let prevWeight = null;
+    let prevVehicles = null;
+    let prevTime = null;
+    
+    for (const iterationNum of sortedIterations) {
+      const iterations = groupedIterations[iterationNum];
+      if (iterations.length > 0) {
+        const firstIter = iterations[0];
+        const strategyDetails = await this.getStrategyDetailsSync({ iteration: firstIter.iteration });
+        
+
+        
+        const changes = [];
+        if (strategyDetails.objective !== prevObjective && strategyDetails.objective !== 'N/A') {
+          changes.push(`Objective: ${prevObjective || 'None'} → ${strategyDetails.objective}`);
+          prevObjective = strategyDetails.objective;
+        }
+        if (strategyDetails.loadWeight !== prevWeight && strategyDetails.loadWeight !== 'N/A') {
+          changes.push(`Weight: ${prevWeight || 'None'} → ${strategyDetails.loadWeight}`);
+          prevWeight = strategyDetails.loadWeight;
+        }
+        if (strategyDetails.vehicles !== prevVehicles && strategyDetails.vehicles !== 'N/A') {
+          changes.push(`Vehicles: ${prevVehicles || 'None'} → ${strategyDetails.vehicles}`);
+          prevVehicles = strategyDetails.vehicles;
+        }
+        if (strategyDetails.timeRelax !== prevTime && strategyDetails.timeRelax !== 'N/A') {
+          changes.push(`Time: ${prevTime || 'None'} → ${strategyDetails.timeRelax}`);
+          prevTime = strategyDetails.timeRelax;
+        }
+        
+        if (changes.length > 0) {
+          console.log(chalk.cyan(`Iteration ${iterationNum}:`));
+          changes.forEach(change => {
+            console.log(chalk.white(`  • ${change}`));
+          });
+        }
+      }
+    }
+  }
+
+  async getStrategyDetailsSync(iteration) {
+    // Try to get strategy details from saved files
+    try {
+      const strategyPath = path.join(this.options.outputDir, `iteration_${iteration.iteration}`, 'strategies.json');
+      const fs = await import('fs/promises');
+      const exists = await fs.access(strategyPath).then(() => true).catch(() => false);
+      
+      if (exists) {
+        const strategies = JSON.parse(await fs.readFile(strategyPath, 'utf8'));
+        return this.extractStrategyDetails(strategies);
+      }
+    } catch (error) {
+      // If we can't read the file, return default values
+    }
+
+    return {
+      objective: 'N/A',
+      vehicles: 'N/A',
+      timeRelax: 'N/A'
+    };
+  }
+
+  async getStrategyDetails(iteration) {
+    // Try to get strategy details from saved files
+    try {
+      const strategyPath = path.join(this.options.outputDir, `iteration_${iteration.iteration}`, 'strategies.json');
+      const inputPath = path.join(this.options.outputDir, `iteration_${iteration.iteration}`, 'input.json');
+      const fs = await import('fs/promises');
+      
+      const strategyExists = await fs.access(strategyPath).then(() => true).catch(() => false);
+      const inputExists = await fs.access(inputPath).then(() => true).catch(() => false);
+      
+      let details = {
+        objective: 'N/A',
+        vehicles: 'N/A',
+        timeRelax: 'N/A'
+      };
+      
+      if (strategyExists) {
+        const strategies = JSON.parse(await fs.readFile(strategyPath, 'utf8'));
+        details = this.extractStrategyDetails(strategies);
+      }
+      
+      // Extract actual time window values from input file
+      if (inputExists) {
+        const inputData = JSON.parse(await fs.readFile(inputPath, 'utf8'));
+        if (inputData.options && inputData.options.constraint) {
+          const constraints = inputData.options.constraint;
+          if (constraints.max_vehicle_overtime || constraints.max_visit_lateness) {
+            const overtime = constraints.max_vehicle_overtime ? Math.round(constraints.max_vehicle_overtime / 60) : 0;
+            const lateness = constraints.max_visit_lateness ? Math.round(constraints.max_visit_lateness / 60) : 0;
+            details.timeRelax = `${overtime}m/${lateness}m`;
+          }
+        }
+      }
+      
+      return details;
+    } catch (error) {
+      // If we can't read the file, return default values
+    }
+
+    return {
+      objective: 'N/A',
+      vehicles: 'N/A',
+      timeRelax: 'N/A'
+    };
+  }
+
+  extractStrategyDetails(strategies) {
+    const details = {
+      objective: 'N/A',
+      vehicles: 'N/A',
+      timeRelax: 'N/A'
+    };
+
+    strategies.forEach(strategy => {
+      switch (strategy.type) {
+        case 'objective_modification':
+          details.objective = strategy.objective || 'N/A';
+          break;
+        case 'vehicle_addition':
+          details.vehicles = `${strategy.count || 0}@${strategy.capacity || 0}`;
+          break;
+        case 'time_window_softening':
+          details.timeRelax = `${strategy.relaxationMinutes || 0}m`;
+          break;
+      }
+    });
+
+    return details;
+  }
+
+  formatCompliance(complianceRate) {
+    if (complianceRate >= 80) {
+      return chalk.green(`${complianceRate.toFixed(1)}%`);
+    } else if (complianceRate >= 60) {
+      return chalk.yellow(`${complianceRate.toFixed(1)}%`);
+    } else {
+      return chalk.red(`${complianceRate.toFixed(1)}%`);
+    }
+  }
+}
+
+export default ROIR;
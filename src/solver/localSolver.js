@@ -0,0 +1,363 @@
+import Logger from '../utils/logger.js';
+import Geo from '../utils/geo.js';
+import LoadModel from '../analyzers/loadModel.js';
+
+const UNASSIGNED_REASONS = {
+  skills: 'cannot be served due to skill constraints',
+  capacity: 'cannot be served due to capacity constraints',
+  max_tasks: 'cannot be served due to max tasks constraints',
+  time_window: 'cannot be served due to time window constraints in task or vehicles'
+};
+
+// Deterministic insertion heuristic that reads and writes the NextBillion formats, so
+// ROIR can iterate offline. Distances are haversine with a detour factor, durations
+// assume a constant average speed (see deriveSpeedKmh to calibrate it on a real solution).
+class LocalSolver {
+  constructor(input, options = {}) {
+    this.input = input;
+    this.options = {
+      averageSpeedKmh: 60,
+      detourFactor: 1.3,
+      ...options
+    };
+
+    this.locations = ((input.locations && input.locations.location) || []).map(location => {
+      return Geo.parseLocation(location);
+    });
+    this.constraint = (input.options && input.options.constraint) || {};
+    this.objective = this.resolveObjective((input.options && input.options.objective) || {});
+    this.distanceCache = new Map();
+  }
+
+  // Average driving speed of a NextBillion solution (route distance over route driving
+  // duration), or null when it has no travel to measure
+  static deriveSpeedKmh(solution) {
+    const routes = ((solution && (solution.result || solution).routes) || []);
+    const distance = routes.reduce((sum, route) => sum + (route.distance || 0), 0);
+    const duration = routes.reduce((sum, route) => sum + (route.duration || 0), 0);
+    return distance > 0 && duration > 0 ? (distance / duration) * 3.6 : null;
+  }
+
+  resolveObjective(objective) {
+    let mode = 'travel_cost';
+    if (objective.custom && objective.custom.type === 'min' && objective.custom.value === 'vehicles') {
+      mode = 'min_vehicles';
+    } else if (objective.custom && objective.custom.type === 'min-max' && objective.custom.value === 'tasks') {
+      mode = 'min_max_tasks';
+    }
+
+    return {
+      mode,
+      travelCost: objective.travel_cost === 'duration' ? 'duration' : 'distance'
+    };
+  }
+
+  solve() {
+    const vehicles = this.input.vehicles || [];
+    const jobs = this.input.jobs || [];
+
+    if ((this.input.shipments || []).length > 0) {
+      Logger.warning('Local solver ignores shipments - only jobs are routed');
+    }
+
+    Logger.debug(`Local solver: ${vehicles.length} vehicles, ${jobs.length} jobs, objective ${this.objective.mode}`);
+
+    const routes = vehicles.map(vehicle => ({ vehicle, jobs: [], plan: this.evaluateRoute(vehicle, []) }));
+    const unassigned = [];
+
+    this.sortJobs(jobs).forEach(job => {
+      const insertion = this.findBestInsertion(routes, job);
+      if (insertion) {
+        insertion.route.jobs = insertion.jobs;
+        insertion.route.plan = insertion.plan;
+      } else {
+        unassigned.push(job);
+      }
+    });
+
+    return this.buildSolution(routes.filter(route => route.jobs.length > 0), unassigned, routes);
+  }
+
+  sortJobs(jobs) {
+    const earliestStart = job => {
+      const windows = job.time_windows || [];
+      return windows.length > 0 ? Math.min(...windows.map(window => window[0])) : 0;
+    };
+
+    return [...jobs].sort((a, b) => {
+      return (b.priority || 0) - (a.priority || 0) ||
+        earliestStart(a) - earliestStart(b) ||
+        String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+    });
+  }
+
+  findBestInsertion(routes, job) {
+    let best = null;
+
+    routes.forEach(route => {
+      if (!this.hasSkills(route.vehicle, job)) {
+        return;
+      }
+
+      for (let position = 0; position <= route.jobs.length; position++) {
+        const candidateJobs = [...route.jobs.slice(0, position), job, ...route.jobs.slice(position)];
+        const plan = this.evaluateRoute(route.vehicle, candidateJobs);
+        if (!plan.feasible) {
+          continue;
+        }
+
+        const candidate = {
+          route,
+          jobs: candidateJobs,
+          plan,
+          opensVehicle: route.jobs.length === 0,
+          taskCount: candidateJobs.length,
+          delta: plan.cost - route.plan.cost + (route.jobs.length === 0 ? this.getFixedCost(route.vehicle) : 0)
+        };
+
+        if (!best || this.isBetterInsertion(candidate, best)) {
+          best = candidate;
+        }
+      }
+    });
+
+    return best;
+  }
+
+  isBetterInsertion(candidate, best) {
+    if (this.objective.mode === 'min_vehicles' && candidate.opensVehicle !== best.opensVehicle) {
+      return !candidate.opensVehicle;
+    }
+
+    if (this.objective.mode === 'min_max_tasks' && candidate.taskCount !== best.taskCount) {
+      return candidate.taskCount < best.taskCount;
+    }
+
+    return candidate.delta < best.delta;
+  }
+
+  hasSkills(vehicle, job) {
+    const required = job.skills || [];
+    const available = vehicle.skills || [];
+    return required.every(skill => available.includes(skill));
+  }
+
+  getFixedCost(vehicle) {
+    return vehicle.costs && vehicle.costs.fixed ? vehicle.costs.fixed : 0;
+  }
+
+  getTravel(fromIndex, toIndex) {
+    if (fromIndex === undefined || toIndex === undefined || fromIndex === toIndex) {
+      return { distance: 0, duration: 0 };
+    }
+
+    const key = `${fromIndex}:${toIndex}`;
+    if (!this.distanceCache.has(key)) {
+      const from = this.locations[fromIndex];
+      const to = this.locations[toIndex];
+      if (!from || !to) {
+        throw new Error(`Location index out of range: ${!from ? fromIndex : toIndex}`);
+      }
+
+      const distance = Math.round(Geo.haversineDistance(from, to) * this.options.detourFactor);
+      const duration = Math.round(distance / (this.options.averageSpeedKmh / 3.6));
+      this.distanceCache.set(key, { distance, duration });
+    }
+
+    return this.distanceCache.get(key);
+  }
+
+  evaluateRoute(vehicle, jobs) {
+    const [shiftStart, shiftEnd] = vehicle.time_window || [0, Number.MAX_SAFE_INTEGER];
+    const maxOvertime = this.constraint.max_vehicle_overtime || 0;
+    const maxLateness = this.constraint.max_visit_lateness || 0;
+    const capacity = vehicle.capacity || [];
+
+    if (vehicle.max_tasks && jobs.length > vehicle.max_tasks) {
+      return { feasible: false, reason: 'max_tasks' };
+    }
+
+    // Deliveries are loaded at the depot, pickups accumulate along the route
+    let load = jobs.reduce((sum, job) => LoadModel.addVectors(sum, job.delivery || []), []);
+    if (!LoadModel.fitsWithin(load, capacity)) {
+      return { feasible: false, reason: 'capacity' };
+    }
+
+    const startIndex = vehicle.start_index !== undefined ? vehicle.start_index : (jobs[0] && jobs[0].location_index);
+    let time = shiftStart;
+    let distance = 0;
+    let duration = 0;
+    let service = 0;
+    let waiting = 0;
+    let currentIndex = startIndex;
+
+    const steps = [this.buildStep('start', startIndex, { arrival: time, duration, distance, load })];
+
+    for (const job of jobs) {
+      const travel = this.getTravel(currentIndex, job.location_index);
+      const arrival = time + travel.duration;
+      const window = this.selectTimeWindow(job, arrival, maxLateness);
+      if (!window) {
+        return { feasible: false, reason: 'time_window' };
+      }
+
+      const waitingTime = Math.max(0, window[0] - arrival);
+      distance += travel.distance;
+      duration += travel.duration;
+      waiting += waitingTime;
+      service += job.service || 0;
+      time = arrival + waitingTime + (job.service || 0);
+
+      load = LoadModel.addVectors(LoadModel.subtractVectors(load, job.delivery || []), job.pickup || []);
+      if (!LoadModel.fitsWithin(load, capacity)) {
+        return { feasible: false, reason: 'capacity' };
+      }
+
+      steps.push(this.buildStep('job', job.location_index, {
+        arrival,
+        duration,
+        distance,
+        load,
+        service: job.service || 0,
+        waiting_time: waitingTime,
+        id: job.id,
+        description: job.description
+      }));
+      currentIndex = job.location_index;
+    }
+
+    if (vehicle.end_index !== undefined) {
+      const travel = this.getTravel(currentIndex, vehicle.end_index);
+      distance += travel.distance;
+      duration += travel.duration;
+      time += travel.duration;
+      currentIndex = vehicle.end_index;
+    }
+
+    if (time > shiftEnd + maxOvertime) {
+      return { feasible: false, reason: 'time_window' };
+    }
+
+    steps.push(this.buildStep('end', currentIndex, { arrival: time, duration, distance, load }));
+
+    return {
+      feasible: true,
+      steps,
+      distance,
+      duration,
+      service,
+      waiting,
+      cost: this.objective.travelCost === 'duration' ? duration : distance
+    };
+  }
+
+  selectTimeWindow(job, arrival, maxLateness) {
+    const windows = [...(job.time_windows || [])].sort((a, b) => a[0] - b[0]);
+    if (windows.length === 0) {
+      return [arrival, arrival];
+    }
+    return windows.find(window => arrival <= window[1] + maxLateness) || null;
+  }
+
+  buildStep(type, locationIndex, fields) {
+    const step = {
+      type,
+      arrival: fields.arrival,
+      duration: fields.duration,
+      service: fields.service || 0,
+      waiting_time: fields.waiting_time || 0,
+      location: locationIndex !== undefined ? this.locations[locationIndex] : undefined,
+      location_index: locationIndex,
+      load: [...fields.load],
+      distance: fields.distance
+    };
+
+    if (type === 'job') {
+      step.id = fields.id;
+      if (fields.description !== undefined) {
+        step.description = fields.description;
+      }
+    }
+
+    return step;
+  }
+
+  explainUnassigned(job, routes) {
+    const candidates = routes.filter(route => this.hasSkills(route.vehicle, job));
+    if (candidates.length === 0) {
+      return UNASSIGNED_REASONS.skills;
+    }
+
+    // Report the most common reason the job failed to fit the candidate routes
+    const counts = {};
+    candidates.forEach(route => {
+      for (let position = 0; position <= route.jobs.length; position++) {
+        const candidateJobs = [...route.jobs.slice(0, position), job, ...route.jobs.slice(position)];
+        const plan = this.evaluateRoute(route.vehicle, candidateJobs);
+        if (!plan.feasible) {
+          counts[plan.reason] = (counts[plan.reason] || 0) + 1;
+        }
+      }
+    });
+
+    const [reason] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || ['time_window'];
+    return UNASSIGNED_REASONS[reason];
+  }
+
+  buildSolution(usedRoutes, unassignedJobs, allRoutes) {
+    const routes = usedRoutes.map(route => {
+      const { plan, vehicle } = route;
+      const delivery = route.jobs.reduce((sum, job) => LoadModel.addVectors(sum, job.delivery || []), []);
+      const pickup = route.jobs.reduce((sum, job) => LoadModel.addVectors(sum, job.pickup || []), []);
+
+      return {
+        vehicle: vehicle.id,
+        cost: plan.cost,
+        steps: plan.steps,
+        service: plan.service,
+        duration: plan.duration,
+        waiting_time: plan.waiting,
+        priority: route.jobs.reduce((sum, job) => sum + (job.priority || 0), 0),
+        delivery: delivery.length > 0 ? delivery : [0],
+        pickup: pickup.length > 0 ? pickup : [0],
+        distance: plan.distance,
+        adopted_capacity: [...(vehicle.capacity || [])]
+      };
+    });
+
+    const unassigned = unassignedJobs.map(job => ({
+      id: job.id,
+      type: 'job',
+      location: this.locations[job.location_index],
+      reason: this.explainUnassigned(job, allRoutes)
+    }));
+
+    const sum = field => routes.reduce((total, route) => total + route[field], 0);
+    const sumVectors = field => routes.reduce((total, route) => LoadModel.addVectors(total, route[field]), []);
+
+    const summary = {
+      cost: sum('cost'),
+      routes: routes.length,
+      unassigned: unassigned.length,
+      setup: 0,
+      service: sum('service'),
+      duration: sum('duration'),
+      waiting_time: sum('waiting_time'),
+      priority: sum('priority'),
+      delivery: sumVectors('delivery'),
+      pickup: sumVectors('pickup'),
+      distance: sum('distance')
+    };
+
+    Logger.debug(`Local solver produced ${routes.length} routes, ${unassigned.length} unassigned`);
+
+    return {
+      code: 0,
+      summary,
+      routes,
+      unassigned
+    };
+  }
+}
+
+export default LocalSolver;
@@ -0,0 +1,40 @@
+// Runs async tasks with at most `limit` in flight at once
+class ConcurrencyPool {
+  constructor(limit = 1) {
+    this.limit = Math.max(1, limit);
+    this.active = 0;
+    this.queue = [];
+  }
+
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    if (this.active >= this.limit || this.queue.length === 0) {
+      return;
+    }
+
+    const { task, resolve, reject } = this.queue.shift();
+    this.active++;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        this.active--;
+        this.next();
+      });
+  }
+
+  // Maps items through worker with bounded concurrency; results keep the input order
+  static async map(items, limit, worker) {
+    const pool = new ConcurrencyPool(limit);
+    return await Promise.all(items.map((item, index) => pool.run(() => worker(item, index))));
+  }
+}
+
+export default ConcurrencyPool;
@@ -0,0 +1,34 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+class Geo {
+  static parseLocation(location) {
+    // NextBillion inputs list locations as "lat,lng" strings
+    if (Array.isArray(location)) {
+      return [Number(location[0]), Number(location[1])];
+    }
+
+    if (typeof location === 'string') {
+      const [lat, lng] = location.split(',').map(value => Number(value.trim()));
+      if (!Number.isNaN(lat) && !Number.isNaN(lng)) {
+        return [lat, lng];
+      }
+    }
+
+    throw new Error(`Invalid location: ${JSON.stringify(location)}`);
+  }
+
+  static haversineDistance(from, to) {
+    const toRadians = degrees => (degrees * Math.PI) / 180;
+    const [lat1, lng1] = from;
+    const [lat2, lng2] = to;
+
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+}
+
+export default Geo;
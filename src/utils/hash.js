@@ -0,0 +1,23 @@
+import crypto from 'crypto';
+
+class Hash {
+  // Stable JSON: object keys sorted at every level so equal inputs hash equally
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+      return `{${keys.map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+  }
+
+  static hashObject(value) {
+    return crypto.createHash('sha256').update(this.canonicalize(value)).digest('hex').substring(0, 16);
+  }
+}
+
+export default Hash;
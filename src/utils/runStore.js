@@ -0,0 +1,96 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+import FileUtils from './fileUtils.js';
+
+// Files kept next to run.json for every stored run
+const RUN_FILES = {
+  bestSolution: 'best_solution.json',
+  bestInput: 'best_input.json',
+  finalReport: 'final_report.json'
+};
+
+// Run history shared by the CLI and the web app: one directory per run under
+// <dataDir>/runs holding run.json (parameters, input hashes, per-iteration results,
+// summary) plus the best solution, the input behind it and the final report.
+class RunStore {
+  constructor(dataDir = process.env.ROIR_DATA_DIR || './data') {
+    this.dataDir = path.resolve(dataDir);
+    this.runsDir = path.join(this.dataDir, 'runs');
+  }
+
+  // Sorts by creation time when listed, e.g. run-2025-06-24T08-00-00-000Z-1a2b3c4d
+  static createRunId() {
+    return `run-${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID().slice(0, 8)}`;
+  }
+
+  getRunDir(id) {
+    if (!/^[A-Za-z0-9_-]+$/.test(String(id))) {
+      throw new Error(`Invalid run id: ${id}`);
+    }
+    return path.join(this.runsDir, String(id));
+  }
+
+  async save(record, files = {}) {
+    const runDir = this.getRunDir(record.id);
+    await FileUtils.ensureDirectory(runDir);
+
+    for (const [key, fileName] of Object.entries(RUN_FILES)) {
+      if (files[key]) {
+        await FileUtils.writeJsonFile(path.join(runDir, fileName), files[key]);
+      }
+    }
+
+    await FileUtils.writeJsonFile(path.join(runDir, 'run.json'), {
+      ...record,
+      files: Object.keys(RUN_FILES).filter(key => files[key])
+    });
+    return runDir;
+  }
+
+  async get(id) {
+    const runPath = path.join(this.getRunDir(id), 'run.json');
+    return (await FileUtils.fileExists(runPath)) ? await FileUtils.readJsonFile(runPath) : null;
+  }
+
+  // One of RUN_FILES by key (bestSolution, bestInput, finalReport); null when the run has none
+  async readFile(id, key) {
+    if (!RUN_FILES[key]) {
+      throw new Error(`Unknown run file: ${key}. Available: ${Object.keys(RUN_FILES).join(', ')}`);
+    }
+    const filePath = path.join(this.getRunDir(id), RUN_FILES[key]);
+    return (await FileUtils.fileExists(filePath)) ? await FileUtils.readJsonFile(filePath) : null;
+  }
+
+  // Newest first, without per-iteration results. `search` matches the run id, file names
+  // and input/solution hashes.
+  async list(filters = {}) {
+    const { status = null, source = null, search = null, limit = 50 } = filters;
+
+    if (!(await FileUtils.fileExists(this.runsDir))) {
+      return [];
+    }
+
+    const entries = await fs.readdir(this.runsDir, { withFileTypes: true });
+    const runs = [];
+    for (const entry of entries.filter(candidate => candidate.isDirectory())) {
+      const runPath = path.join(this.runsDir, entry.name, 'run.json');
+      if (await FileUtils.fileExists(runPath)) {
+        const { results, ...run } = await FileUtils.readJsonFile(runPath);
+        runs.push({ ...run, iterations: (results || []).length });
+      }
+    }
+
+    const text = search ? String(search).toLowerCase() : null;
+    return runs
+      .filter(run => !status || run.status === status)
+      .filter(run => !source || run.source === source)
+      .filter(run => !text || [run.id, run.inputName, run.solutionName, run.inputHash, run.solutionHash]
+        .some(value => value && String(value).toLowerCase().includes(text)))
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .slice(0, limit);
+  }
+}
+
+export default RunStore;
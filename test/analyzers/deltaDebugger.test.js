@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import DeltaDebugger from '../../src/analyzers/deltaDebugger.js';
+
+const items = Array.from({ length: 16 }, (_, index) => ({ id: index + 1 }));
+
+// Fails whenever every culprit is still in the subset
+const failsWith = (...culprits) => async subset => ({
+  failed: culprits.every(id => subset.some(item => item.id === id))
+});
+
+const ids = result => result.minimal.map(item => item.id).sort((a, b) => a - b);
+
+test('isolates a single failing item', async () => {
+  const result = await new DeltaDebugger(failsWith(11)).minimize(items);
+
+  assert.equal(result.reproduced, true);
+  assert.equal(result.exhausted, false);
+  assert.deepEqual(ids(result), [11]);
+});
+
+test('keeps every item of a failing combination (1-minimal)', async () => {
+  const result = await new DeltaDebugger(failsWith(3, 14)).minimize(items);
+
+  assert.deepEqual(ids(result), [3, 14]);
+});
+
+test('reports a failure that does not reproduce with the full set', async () => {
+  const result = await new DeltaDebugger(async () => ({ failed: false })).minimize(items);
+
+  assert.equal(result.reproduced, false);
+  assert.deepEqual(result.minimal, []);
+  assert.equal(result.probes.length, 1);
+});
+
+test('never sends the same subset twice', async () => {
+  const seen = new Set();
+  const debuggerWithLog = new DeltaDebugger(async subset => {
+    const key = subset.map(item => item.id).join(',');
+    assert.ok(!seen.has(key), `subset ${key} probed twice`);
+    seen.add(key);
+    return failsWith(2, 9, 15)(subset);
+  });
+
+  const result = await debuggerWithLog.minimize(items);
+  assert.deepEqual(ids(result), [2, 9, 15]);
+});
+
+test('stops at the probe limit and flags the result as not minimal', async () => {
+  const result = await new DeltaDebugger(failsWith(3, 14), { maxProbes: 3 }).minimize(items);
+
+  assert.equal(result.exhausted, true);
+  assert.equal(result.probes.length, 3);
+  assert.ok(result.minimal.length > 2);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import FeasibilityAnalyzer, { FEASIBILITY_ISSUES } from '../../src/analyzers/feasibilityAnalyzer.js';
+
+const DAY = 86400;
+const MONDAY = Date.parse('2024-06-24T00:00:00Z') / 1000;
+const shift = day => [MONDAY + day * DAY + 8 * 3600, MONDAY + day * DAY + 17 * 3600];
+const days = (first, last) => [[shift(first)[0], shift(last)[1]]];
+
+const vehicle = (id, day, capacity = 100) => ({ id, capacity: [capacity], time_window: shift(day), start_index: 0, end_index: 0 });
+const job = (id, delivery, time_windows) => ({ id, location_index: 1, delivery: [delivery], ...(time_windows && { time_windows }) });
+
+test('flags a fleet that is short overall even when no job is tied to one day', () => {
+  const report = FeasibilityAnalyzer.analyze({
+    vehicles: [vehicle(1, 0), vehicle(2, 1)],
+    jobs: [job(10, 90, days(0, 1)), job(11, 90, days(0, 1)), job(12, 90, days(0, 1))]
+  });
+
+  assert.equal(report.feasible, false);
+  assert.deepEqual(report.summary.totalCapacity, [200]);
+  assert.deepEqual(report.summary.fleetShortfall, [70]);
+  assert.equal(report.summary.issueCounts[FEASIBILITY_ISSUES.FLEET_DEMAND_EXCEEDS_CAPACITY], 1);
+});
+
+test('checks each day against the flexible demand that cannot go on an earlier day', () => {
+  // Tuesday and Wednesday jobs need 180 but only Tuesday (100) and Wednesday (50) can take them;
+  // the fleet as a whole has room thanks to Monday
+  const report = FeasibilityAnalyzer.analyze({
+    vehicles: [vehicle(1, 0, 200), vehicle(2, 1), vehicle(3, 2, 50)],
+    jobs: [job(10, 90, days(1, 2)), job(11, 90, days(1, 2)), job(12, 50, days(0, 2))]
+  });
+
+  const [monday, tuesday, wednesday] = report.days;
+  assert.deepEqual(report.summary.fleetShortfall, [0]);
+  assert.deepEqual([monday.laterDemand, monday.laterCapacity, monday.laterShortfall], [[230], [350], [0]]);
+  assert.deepEqual([tuesday.laterDemand, tuesday.laterCapacity, tuesday.laterShortfall], [[180], [150], [30]]);
+  assert.deepEqual(wednesday.laterDemand, []);
+  assert.equal(report.summary.daysOverCapacity, 1);
+  assert.equal(report.feasible, false);
+});
+
+test('a fleet with room on the days jobs can use passes', () => {
+  const report = FeasibilityAnalyzer.analyze({
+    vehicles: [vehicle(1, 0), vehicle(2, 1)],
+    jobs: [job(10, 90, days(0, 1)), job(11, 90, days(0, 1))]
+  });
+
+  assert.equal(report.feasible, true);
+  assert.deepEqual(report.summary.issueCounts, {});
+});
+
+test('explains jobs and vehicles the API would reject or could not serve', () => {
+  const report = FeasibilityAnalyzer.analyze({
+    locations: { location: ['0,0', '1,1'] },
+    vehicles: [vehicle(1, 0), vehicle(2, 0, 30), { ...vehicle(3, 0), capacity: [100, 5] }, { ...vehicle(4, 0), end_index: 7 }],
+    jobs: [
+      job(10, 200), // Larger than any vehicle
+      { ...job(11, 10), delivery: [10, 1] }, // Wrong number of dimensions
+      job(12, 10, days(3, 3)), // No shift on Thursday
+      { ...job(13, 10), location_index: 9 },
+      job(14, 50)
+    ]
+  });
+
+  const codes = entries => Object.fromEntries(entries.map(entry => [entry.id, entry.issues.map(issue => issue.code)]));
+  assert.deepEqual(codes(report.vehicles), {
+    3: [FEASIBILITY_ISSUES.CAPACITY_DIMENSION_MISMATCH],
+    4: [FEASIBILITY_ISSUES.INVALID_LOCATION_INDEX]
+  });
+  assert.deepEqual(codes(report.jobs), {
+    10: [FEASIBILITY_ISSUES.EXCEEDS_VEHICLE_CAPACITY],
+    11: [FEASIBILITY_ISSUES.CAPACITY_DIMENSION_MISMATCH],
+    12: [FEASIBILITY_ISSUES.NO_VEHICLE_IN_TIME_WINDOW],
+    13: [FEASIBILITY_ISSUES.INVALID_LOCATION_INDEX]
+  });
+  // Rejected vehicles do not count as capacity
+  assert.deepEqual(report.jobs[0].issues[0].largestCapacity, [100]);
+});
+
+test('flags a job whose time windows only meet vehicles too small for it', () => {
+  const report = FeasibilityAnalyzer.analyze({
+    vehicles: [vehicle(1, 0, 100), vehicle(2, 1, 30)],
+    jobs: [job(10, 60, days(1, 1))]
+  });
+
+  assert.equal(report.jobs[0].issues[0].code, FEASIBILITY_ISSUES.NO_CAPACITY_IN_TIME_WINDOW);
+  assert.deepEqual(report.jobs[0].issues[0].largestCapacity, [30]);
+});
+
+test('reports a day whose single-day jobs exceed its shifts', () => {
+  const report = FeasibilityAnalyzer.analyze({
+    vehicles: [vehicle(1, 0), vehicle(2, 1)],
+    jobs: [job(10, 70, days(0, 0)), job(11, 70, days(0, 0))]
+  });
+
+  const [monday, tuesday] = report.days;
+  assert.deepEqual([monday.day, monday.jobs, monday.demand, monday.shortfall], ['2024-06-24', 2, [140], [40]]);
+  assert.deepEqual([tuesday.jobs, tuesday.shortfall], [0, [0]]);
+  assert.equal(report.summary.issueCounts[FEASIBILITY_ISSUES.DAILY_DEMAND_EXCEEDS_CAPACITY], 1);
+});
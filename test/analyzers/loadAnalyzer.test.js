@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import LoadAnalyzer from '../../src/analyzers/loadAnalyzer.js';
+
+const DAY = 86400;
+const MONDAY = Date.parse('2024-06-24T00:00:00Z') / 1000;
+const shift = day => [MONDAY + day * DAY + 8 * 3600, MONDAY + day * DAY + 17 * 3600];
+
+const input = {
+  vehicles: [
+    { id: 1, capacity: [1000, 10], time_window: shift(0), start_index: 0, end_index: 0 },
+    { id: 2, capacity: [1000, 10], time_window: shift(1), start_index: 0, end_index: 0 }
+  ],
+  jobs: [
+    { id: 10, delivery: [300, 9], time_windows: [shift(0)] }, // Monday only
+    { id: 11, delivery: [200, 9], time_windows: [[shift(0)[0], shift(1)[1]]] }, // Either day
+    { id: 12, delivery: [100, 9] } // Any time
+  ]
+};
+
+const solution = {
+  routes: [{ vehicle: 1, delivery: [500, 18], pickup: [0, 0], adopted_capacity: [1000, 10], steps: [] }],
+  unassigned: []
+};
+
+test('daily breakdown separates single-day from flexible demand', () => {
+  const [monday, tuesday] = LoadAnalyzer.analyzeLoadDistribution(solution, 800, input).dailyBreakdown;
+
+  assert.equal(monday.day, '2024-06-24');
+  assert.deepEqual(
+    [monday.jobs, monday.demand, monday.flexibleJobs, monday.flexibleDemand],
+    [1, 300, 2, 300]
+  );
+  assert.deepEqual(
+    [tuesday.jobs, tuesday.demand, tuesday.flexibleJobs, tuesday.flexibleDemand],
+    [0, 0, 2, 300]
+  );
+});
+
+test('daily breakdown measures each day against the target in the primary dimension', () => {
+  const [monday, tuesday] = LoadAnalyzer.analyzeLoadDistribution(solution, 800, input).dailyBreakdown;
+
+  assert.deepEqual([monday.routes, monday.totalLoad, monday.totalLoadGap, monday.complianceRate], [1, 500, 300, 0]);
+  assert.deepEqual([tuesday.routes, tuesday.vehicles, tuesday.complianceRate], [0, 1, null]);
+});
+
+test('fleet split compares the original fleet with the added vehicles by capacity', () => {
+  const added = (id, capacity) => ({ id, capacity: [capacity], metadata: { added_for_load_balancing: true } });
+  const fleetInput = {
+    vehicles: [{ id: 1, capacity: [1000] }, { id: 2, capacity: [1000] }, added(3, 500), added(4, 500), added(5, 800)],
+    jobs: []
+  };
+  const loaded = (vehicle, load) => ({ vehicle, delivery: [load], pickup: [0], steps: [] });
+  const fleetSolution = { routes: [loaded(1, 900), loaded(2, 300), loaded(3, 600), loaded(4, 200)], unassigned: [] };
+
+  const split = LoadAnalyzer.calculateFleetSplit(fleetSolution, 500, LoadAnalyzer.buildVehicleIndex(fleetInput));
+
+  assert.deepEqual(split.original, { vehicles: 2, routes: 2, routesBelowTarget: 1, totalLoad: 1200, complianceRate: 50 });
+  assert.deepEqual(
+    [split.added.vehicles, split.added.routes, split.added.routesBelowTarget, split.added.totalLoad, split.added.complianceRate],
+    [3, 2, 1, 800, 50]
+  );
+  assert.deepEqual(split.added.byCapacity, [
+    { capacity: [500], vehicles: 2, routes: 2 },
+    { capacity: [800], vehicles: 1, routes: 0 }
+  ]);
+});
+
+test('fleet split without the input counts every route as original', () => {
+  const split = LoadAnalyzer.calculateFleetSplit(solution, 800);
+
+  assert.deepEqual([split.original.vehicles, split.original.routes, split.added.vehicles, split.added.routes], [null, 1, null, 0]);
+});
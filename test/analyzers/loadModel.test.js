@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import LoadModel from '../../src/analyzers/loadModel.js';
+
+// Weight in kg, then pallets
+const route = { vehicle: 1, delivery: [900, 4], pickup: [100, 1], adopted_capacity: [2000, 6], steps: [] };
+
+test('route load is the primary dimension, never a sum across units', () => {
+  assert.deepEqual(LoadModel.getRouteLoadVector(route), [1000, 5]);
+  assert.equal(LoadModel.getRouteLoad(route), 1000);
+  assert.equal(LoadModel.getJobLoad({ delivery: [300, 2], pickup: [50, 1] }), 350);
+  assert.equal(LoadModel.getJobLoad({}), 0);
+});
+
+test('describeRoute reports headroom and the binding dimension per vector entry', () => {
+  const description = LoadModel.describeRoute(route);
+
+  assert.equal(description.load, 1000);
+  assert.deepEqual(description.headroom, [1000, 1]);
+  assert.equal(description.utilization.toFixed(1), '83.3'); // Pallets, not weight, fill the vehicle
+});
+
+test('fitsWithin checks every dimension', () => {
+  assert.equal(LoadModel.fitsWithin([1000, 5], [2000, 6]), true);
+  assert.equal(LoadModel.fitsWithin([1000, 7], [2000, 6]), false);
+  assert.equal(LoadModel.fitsWithin([1000, 1], [2000]), false);
+});
+
+test('falls back to job step loads without route-level vectors', () => {
+  const legacy = { steps: [{ type: 'start', load: [0] }, { type: 'job', load: [300, 1] }, { type: 'job', load: [200, 2] }] };
+
+  assert.deepEqual(LoadModel.getDeliveryVector(legacy), [500, 3]);
+  assert.equal(LoadModel.getRouteLoad(legacy), 500);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ParetoFront from '../../src/analyzers/paretoFront.js';
+
+const point = (iteration, compliance, addedVehicles, distance, unassigned) => ({ iteration, compliance, addedVehicles, distance, unassigned });
+
+test('dominance needs at least as good everywhere and better somewhere', () => {
+  assert.equal(ParetoFront.dominates(point(1, 80, 1, 100, 0), point(2, 70, 1, 100, 0)), true);
+  assert.equal(ParetoFront.dominates(point(1, 80, 1, 100, 0), point(2, 80, 1, 100, 0)), false);
+  assert.equal(ParetoFront.dominates(point(1, 80, 2, 100, 0), point(2, 70, 1, 100, 0)), false);
+  // Unknown values are skipped, not counted as worse
+  assert.equal(ParetoFront.dominates(point(1, 80, 1, null, 0), point(2, 70, 1, 50, 0)), true);
+});
+
+test('keeps the non-dominated trade-offs, highest compliance first', () => {
+  const points = [
+    point(1, 60, 0, 500, 0),
+    point(2, 80, 2, 520, 0),
+    point(3, 70, 2, 530, 0), // Dominated by 2
+    point(4, 80, 1, 600, 0),
+    point(5, 60, 0, 500, 0) // Ties with 1
+  ];
+
+  assert.deepEqual(ParetoFront.compute(points).map(member => member.iteration), [4, 2, 1, 5]);
+});
+
+test('insert drops the members a new point dominates', () => {
+  const front = ParetoFront.compute([point(1, 60, 0, 500, 0), point(2, 80, 2, 520, 0)]);
+
+  const rejected = ParetoFront.insert(front, point(3, 70, 2, 530, 0));
+  assert.equal(rejected.added, false);
+  assert.equal(rejected.front, front);
+
+  const accepted = ParetoFront.insert(front, point(4, 85, 2, 510, 0));
+  assert.equal(accepted.added, true);
+  assert.deepEqual(accepted.front.map(member => member.iteration), [4, 1]);
+});
+
+test('builds points from scorer criteria', () => {
+  const score = { criteria: { compliance: { value: 75 }, addedVehicles: { value: 1 }, distance: { value: 123.456 }, unassigned: { value: 2 } } };
+
+  assert.deepEqual(ParetoFront.toPoint(3, score, { requestId: 'r' }), {
+    iteration: 3, requestId: 'r', compliance: 75, addedVehicles: 1, distance: 123.5, unassigned: 2
+  });
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import RouteDiagnostics, { SHORTFALL_CAUSES } from '../../src/analyzers/routeDiagnostics.js';
+
+const MONDAY = Date.parse('2024-06-24T00:00:00Z') / 1000;
+const SHIFT = [MONDAY + 8 * 3600, MONDAY + 17 * 3600];
+
+// Vehicle 1 serves two neighbouring jobs (30 in total), vehicle 2 one large job far away
+const input = {
+  locations: { location: ['52.00,4.00', '52.01,4.00', '52.03,4.00', '53.00,5.00', '52.02,4.00'] },
+  vehicles: [
+    { id: 1, capacity: [1000], time_window: SHIFT },
+    { id: 2, capacity: [1000], time_window: SHIFT }
+  ],
+  jobs: [
+    { id: 'a', location_index: 1, delivery: [15] },
+    { id: 'b', location_index: 2, delivery: [15] },
+    { id: 'c', location_index: 3, delivery: [900] },
+    { id: 'between', location_index: 4, delivery: [10] }
+  ]
+};
+
+const route = (vehicle, delivery, jobIds, extra = {}) => ({
+  vehicle,
+  delivery: [delivery],
+  duration: 3600,
+  service: 600,
+  steps: jobIds.map(id => ({ type: 'job', id })),
+  ...extra
+});
+
+const solution = (lightRoute = route(1, 30, ['a', 'b']), unassigned = []) => ({
+  routes: [lightRoute, route(2, 900, ['c'])],
+  unassigned: unassigned.map(id => ({ id }))
+});
+
+test('only routes below the target are diagnosed', () => {
+  const diagnostics = RouteDiagnostics.diagnose(solution(), input, 100);
+
+  assert.deepEqual(diagnostics.map(diagnostic => [diagnostic.vehicleId, diagnostic.currentLoad, diagnostic.gap]), [[1, 30, 70]]);
+  assert.deepEqual(RouteDiagnostics.diagnose(solution(), input, 30), []);
+});
+
+test('a route that used up its shift is time-bound', () => {
+  const [diagnostic] = RouteDiagnostics.diagnose(solution(route(1, 30, ['a', 'b'], { duration: 30000, service: 2000 })), input, 100);
+
+  assert.equal(diagnostic.cause, SHORTFALL_CAUSES.TIME_BOUND);
+  assert.equal(diagnostic.suggestedStrategy.type, 'time_window_softening');
+  assert.deepEqual(diagnostic.suggestedStrategy.vehicleIds, [1]);
+});
+
+test('routes sharing less demand than the target are demand-bound', () => {
+  // 940 of open demand over 2 routes is 470 each
+  const [diagnostic] = RouteDiagnostics.diagnose(solution(), input, 500);
+
+  assert.equal(diagnostic.cause, SHORTFALL_CAUSES.DEMAND_BOUND);
+  assert.deepEqual([diagnostic.evidence.windowDemand, diagnostic.evidence.demandPerRoute], [940, 470]);
+});
+
+test('a route with no unserved work around it is geography-bound, otherwise objective-bound', () => {
+  const [isolated] = RouteDiagnostics.diagnose(solution(), input, 100);
+  assert.equal(isolated.cause, SHORTFALL_CAUSES.GEOGRAPHY_BOUND);
+  assert.equal(isolated.evidence.nearbyUnassignedJobs, 0);
+
+  const [neighbour] = RouteDiagnostics.diagnose(solution(undefined, ['between']), input, 100);
+  assert.equal(neighbour.cause, SHORTFALL_CAUSES.OBJECTIVE_BOUND);
+  assert.equal(neighbour.evidence.nearbyUnassignedJobs, 1);
+  assert.equal(neighbour.suggestedStrategy.objective, 'minimize_vehicles_with_load_constraint');
+
+  assert.deepEqual(RouteDiagnostics.summarize([isolated, neighbour]), { geography_bound: 1, objective_bound: 1 });
+});
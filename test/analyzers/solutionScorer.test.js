@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import SolutionScorer from '../../src/analyzers/solutionScorer.js';
+
+const analysis = (complianceRate, totalRoutes, totalLoadGap = 0) => ({ summary: { complianceRate, totalRoutes, totalLoadGap } });
+const solution = (unassigned = 0, distance = 100000) => ({
+  routes: [],
+  unassigned: Array.from({ length: unassigned }, (_, index) => ({ id: index })),
+  summary: { distance, duration: 7200 }
+});
+
+test('measures every criterion in its unit', () => {
+  const scorer = new SolutionScorer({}, 1000);
+  const { criteria } = scorer.score(analysis(50, 4, 1500), solution(2, 123400));
+
+  assert.equal(criteria.compliance.value, 50);
+  assert.equal(criteria.loadGap.value, 1.5);
+  assert.equal(criteria.unassigned.value, 2);
+  assert.equal(criteria.distance.value, 123.4);
+  assert.equal(criteria.duration.value, 2);
+  assert.equal(criteria.overtime.value, null); // Needs the input
+  assert.equal(criteria.balance.value, null);
+});
+
+test('lexicographic mode ranks by priority before the weighted total', () => {
+  const scorer = new SolutionScorer({ priorities: ['compliance', 'unassigned'] });
+  const fewerUnassigned = scorer.score(analysis(80, 5), solution(0, 900000));
+  const shorter = scorer.score(analysis(80, 5), solution(3, 100000));
+  const moreCompliant = scorer.score(analysis(90, 9), solution(9, 900000));
+
+  assert.ok(scorer.isBetter(fewerUnassigned, shorter));
+  assert.ok(scorer.isBetter(moreCompliant, fewerUnassigned));
+  assert.ok(scorer.isBetter(shorter, null));
+});
+
+test('weighted mode trades criteria off by weight', () => {
+  const scorer = new SolutionScorer({ mode: 'weighted', weights: { compliance: 1, unassigned: 10, distance: 0, duration: 0, routes: 0 } });
+  const compliant = scorer.score(analysis(90, 5), solution(2));
+  const complete = scorer.score(analysis(75, 5), solution(0));
+
+  // 90 - 20 = 70 against 75 - 0 = 75
+  assert.equal(compliant.total, 70);
+  assert.equal(complete.total, 75);
+  assert.ok(scorer.compare(complete, compliant) > 0);
+});
+
+test('ties within the tolerance fall through to the next priority', () => {
+  const scorer = new SolutionScorer({ priorities: ['compliance', 'routes'] });
+  const a = scorer.score(analysis(80.0000001, 6), solution());
+  const b = scorer.score(analysis(80, 5), solution());
+
+  assert.ok(scorer.compare(b, a) > 0);
+});
+
+test('measures overtime and lateness against the input', () => {
+  const input = {
+    vehicles: [{ id: 1, time_window: [0, 1000] }],
+    jobs: [{ id: 7, time_windows: [[0, 100], [500, 600]] }]
+  };
+  const routed = {
+    routes: [{ vehicle: 1, steps: [{ type: 'start', arrival: 0 }, { type: 'job', id: 7, arrival: 700 }, { type: 'end', arrival: 1600 }] }],
+    unassigned: [],
+    summary: { distance: 0, duration: 0 }
+  };
+  const { criteria } = new SolutionScorer().score(analysis(100, 1), routed, input);
+
+  assert.equal(criteria.overtime.value, 10);
+  assert.equal(criteria.lateness.value, 100 / 60);
+});
+
+test('rejects unknown criteria and parses the CLI formats', () => {
+  assert.throws(() => new SolutionScorer({ weights: { speed: 1 } }), /unknown weight criterion: speed/);
+  assert.throws(() => new SolutionScorer({ mode: 'random' }), /unknown mode/);
+  assert.deepEqual(SolutionScorer.parseWeights('compliance=10, unassigned=2'), { compliance: 10, unassigned: 2 });
+  assert.deepEqual(SolutionScorer.parsePriorities('compliance, ,routes'), ['compliance', 'routes']);
+});
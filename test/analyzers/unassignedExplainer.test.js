@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import UnassignedExplainer, { UNASSIGNED_CAUSES } from '../../src/analyzers/unassignedExplainer.js';
+
+const DAY = 86400;
+const MONDAY = Date.parse('2024-06-24T00:00:00Z') / 1000;
+const shift = day => [MONDAY + day * DAY + 8 * 3600, MONDAY + day * DAY + 17 * 3600];
+const at = hour => MONDAY + hour * 3600;
+
+// Vehicle 1 (the only one with the "cold" skill) drives a short loop with 20 of 100 left;
+// vehicle 2 has no route
+const input = {
+  locations: { location: ['52.00,4.00', '52.01,4.00', '52.02,4.00', '53.00,4.00', '52.015,4.00'] },
+  vehicles: [
+    { id: 1, capacity: [100], time_window: shift(0), skills: ['cold'], start_index: 0, end_index: 0 },
+    { id: 2, capacity: [100], time_window: shift(0), start_index: 0, end_index: 0 }
+  ],
+  jobs: [
+    { id: 'thursday', location_index: 1, delivery: [10], time_windows: [shift(3)] },
+    { id: 'hazmat', location_index: 1, delivery: [10], skills: ['hazmat'] },
+    { id: 'oversized', location_index: 1, delivery: [150] },
+    { id: 'full', location_index: 1, delivery: [50], skills: ['cold'] },
+    { id: 'remote', location_index: 3, delivery: [10], skills: ['cold'] },
+    { id: 'nearby', location_index: 4, delivery: [10], skills: ['cold'] }
+  ]
+};
+
+const solution = {
+  routes: [{
+    vehicle: 1,
+    adopted_capacity: [100],
+    steps: [
+      { type: 'start', arrival: at(8), load: [80], location: [52.0, 4.0] },
+      { type: 'job', arrival: at(9), load: [40], location: [52.01, 4.0] },
+      { type: 'job', arrival: at(10), load: [0], location: [52.02, 4.0] },
+      { type: 'end', arrival: at(11), load: [0], location: [52.0, 4.0] }
+    ]
+  }],
+  unassigned: ['thursday', 'hazmat', 'oversized', 'full', 'remote', 'nearby', 'missing'].map(id => ({ id, type: 'job' }))
+};
+
+test('attributes each unassigned job to its first blocking cause', () => {
+  const explanation = UnassignedExplainer.explain(input, solution);
+  const causes = Object.fromEntries(explanation.jobs.map(job => [job.id, job.cause]));
+
+  assert.deepEqual(causes, {
+    thursday: UNASSIGNED_CAUSES.NO_COMPATIBLE_TIME_WINDOW,
+    hazmat: UNASSIGNED_CAUSES.SKILLS_MISMATCH,
+    oversized: UNASSIGNED_CAUSES.INSUFFICIENT_CAPACITY,
+    full: UNASSIGNED_CAUSES.INSUFFICIENT_CAPACITY,
+    remote: UNASSIGNED_CAUSES.DETOUR_TOO_LARGE,
+    nearby: UNASSIGNED_CAUSES.SCHEDULE_CONFLICT,
+    missing: UNASSIGNED_CAUSES.UNKNOWN
+  });
+  assert.deepEqual(explanation.summary, {
+    unassigned: 7,
+    byCause: { no_compatible_time_window: 1, skills_mismatch: 1, insufficient_capacity: 2, detour_too_large: 1, schedule_conflict: 1, unknown: 1 }
+  });
+});
+
+test('a job that fits the vehicle but not the route names the best headroom', () => {
+  const full = UnassignedExplainer.explain(input, solution).jobs.find(job => job.id === 'full');
+
+  assert.equal(full.routesWithHeadroom, 0);
+  assert.match(full.message, /best headroom \[20\] on vehicle 1/);
+});
+
+test('a detour is measured against the legs of nearby routes', () => {
+  const jobs = UnassignedExplainer.explain(input, solution).jobs;
+  const remote = jobs.find(job => job.id === 'remote');
+  const nearby = jobs.find(job => job.id === 'nearby');
+
+  assert.ok(remote.minDetourMeters > 3 * remote.medianLegMeters);
+  assert.ok(nearby.minDetourMeters <= 3 * nearby.medianLegMeters);
+  // A larger factor accepts the remote job's detour
+  assert.equal(UnassignedExplainer.explain(input, solution, { detourFactor: 1000 }).jobs.find(job => job.id === 'remote').cause, UNASSIGNED_CAUSES.SCHEDULE_CONFLICT);
+});
+
+test('a solution without unassigned jobs needs no explanation', () => {
+  assert.deepEqual(UnassignedExplainer.explain(input, { ...solution, unassigned: [] }), { summary: { unassigned: 0, byCause: {} }, jobs: [] });
+});
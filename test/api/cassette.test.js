@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+import Cassette from '../../src/api/cassette.js';
+import NextBillionClient from '../../src/api/nextBillionClient.js';
+import ErrorClassifier, { ERROR_CATEGORIES } from '../../src/api/errorClassifier.js';
+
+const input = { vehicles: [{ id: 1 }], jobs: [{ id: 7 }], options: {} };
+
+async function withServer(handler, callback) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await callback(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+const tempDir = () => fs.mkdtemp(path.join(os.tmpdir(), 'roir-cassette-'));
+
+test('replays a recorded failed submit with the same classification', async () => {
+  const dir = await tempDir();
+  const body = { status: 'Error', message: 'Inconsistent delivery dimension for job 7' };
+
+  const recorded = await withServer((request, response) => {
+    response.writeHead(400, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  }, baseUrl => new NextBillionClient('key', baseUrl, { cassetteDir: dir, cassetteMode: 'record' }).submitOptimization(input));
+
+  // No server this time: the error has to come from the cassette
+  const replayed = await new NextBillionClient('key', 'http://127.0.0.1:9', { cassetteDir: dir, cassetteMode: 'replay' })
+    .submitOptimization(input);
+
+  assert.equal(recorded.success, false);
+  assert.equal(replayed.success, false);
+  assert.equal(replayed.error, recorded.error);
+
+  const classification = ErrorClassifier.classify(replayed.originalError, input);
+  assert.deepEqual(classification, ErrorClassifier.classify(recorded.originalError, input));
+  assert.equal(classification.category, ERROR_CATEGORIES.CAPACITY_DIMENSION);
+  assert.deepEqual(classification.jobIds, ['7']);
+});
+
+test('replays failed polls in the recorded order', async () => {
+  const dir = await tempDir();
+  const cassette = new Cassette(dir, 'record');
+  await cassette.recordSubmit(input, { id: 'req-1' });
+  await cassette.recordPollError('req-1', Object.assign(new Error('Request failed with status code 503'), {
+    response: { status: 503, data: { message: 'Service unavailable' } }
+  }));
+  await cassette.recordPoll('req-1', { status: 'Ok', result: { routes: [] } });
+
+  const replay = new Cassette(dir, 'replay');
+  assert.deepEqual(await replay.replaySubmit(input), { id: 'req-1' });
+  assert.throws(() => replay.replayPoll('req-1'), error => {
+    assert.equal(ErrorClassifier.classify(error).category, ERROR_CATEGORIES.SERVER_ERROR);
+    return true;
+  });
+  assert.equal(replay.replayPoll('req-1').status, 'Ok');
+});
+
+test('keeps network error codes for the classifier', async () => {
+  const dir = await tempDir();
+  await new Cassette(dir, 'record').recordSubmitError(input, Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+  await assert.rejects(new Cassette(dir, 'replay').replaySubmit(input), error => {
+    assert.equal(ErrorClassifier.classify(error).category, ERROR_CATEGORIES.NETWORK);
+    return true;
+  });
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ErrorClassifier, { ERROR_ACTIONS, ERROR_CATEGORIES } from '../../src/api/errorClassifier.js';
+
+// Shaped like an axios error for an HTTP response
+const httpError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+
+test('classifies HTTP status codes', () => {
+  const cases = [
+    [httpError(401, { message: 'Unauthorized' }), ERROR_CATEGORIES.AUTH, ERROR_ACTIONS.ABORT],
+    [httpError(429, 'Too Many Requests'), ERROR_CATEGORIES.RATE_LIMIT, ERROR_ACTIONS.RETRY],
+    [httpError(504, null), ERROR_CATEGORIES.TIMEOUT, ERROR_ACTIONS.RETRY],
+    [httpError(502, { message: 'Bad gateway' }), ERROR_CATEGORIES.SERVER_ERROR, ERROR_ACTIONS.RETRY],
+    [httpError(400, { message: 'Malformed body' }), ERROR_CATEGORIES.INVALID_INPUT, ERROR_ACTIONS.ABORT]
+  ];
+
+  cases.forEach(([error, category, action]) => {
+    const classification = ErrorClassifier.classify(error);
+    assert.equal(classification.category, category, error.message);
+    assert.equal(classification.action, action);
+    assert.equal(classification.retryable, action === ERROR_ACTIONS.RETRY);
+  });
+});
+
+test('reads the API message to find the jobs to remove', () => {
+  const input = { jobs: [{ id: 'A' }, { id: 'B' }, { id: 'C' }], vehicles: [] };
+
+  const capacity = ErrorClassifier.classify(httpError(400, { message: 'Inconsistent delivery dimension: jobs[2]' }), input);
+  assert.equal(capacity.category, ERROR_CATEGORIES.CAPACITY_DIMENSION);
+  assert.equal(capacity.action, ERROR_ACTIONS.REMOVE_JOBS);
+  assert.deepEqual(capacity.jobIds, ['C']);
+
+  const location = ErrorClassifier.classify(httpError(400, { message: 'Invalid location_index for job 42' }));
+  assert.equal(location.category, ERROR_CATEGORIES.INVALID_LOCATION_INDEX);
+  assert.deepEqual(location.jobIds, ['42']);
+
+  const timeWindow = ErrorClassifier.classify(httpError(400, { message: "Infeasible time_windows for vehicle_id: 'V-3'" }));
+  assert.equal(timeWindow.category, ERROR_CATEGORIES.TIME_WINDOW_INFEASIBLE);
+  assert.deepEqual(timeWindow.vehicleIds, ['V-3']);
+});
+
+test('classifies network failures, timeouts and cancellation without a response', () => {
+  const network = ErrorClassifier.classify(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+  assert.equal(network.category, ERROR_CATEGORIES.NETWORK);
+
+  const timeout = ErrorClassifier.classify(Object.assign(new Error('timeout of 300000ms exceeded'), { code: 'ECONNABORTED' }));
+  assert.equal(timeout.category, ERROR_CATEGORIES.TIMEOUT);
+
+  const abort = new Error('Optimization cancelled');
+  abort.name = 'AbortError';
+  assert.equal(ErrorClassifier.classify(abort).category, ERROR_CATEGORIES.CANCELLED);
+  assert.equal(ErrorClassifier.classify(abort).action, ERROR_ACTIONS.ABORT);
+
+  assert.equal(ErrorClassifier.classify(null).category, ERROR_CATEGORIES.UNKNOWN);
+});
+
+test('classifies wrapped errors through the original error', () => {
+  const wrapped = new Error('Optimization failed');
+  wrapped.originalError = httpError(503, { message: 'Service unavailable' });
+
+  const classification = ErrorClassifier.classify(wrapped);
+  assert.equal(classification.category, ERROR_CATEGORIES.SERVER_ERROR);
+  assert.equal(classification.status, 503);
+  assert.equal(classification.message, 'Optimization failed | Request failed with status code 503 | Service unavailable');
+});
+
+test('annotate attaches the classification once', () => {
+  const error = httpError(429, null);
+  ErrorClassifier.annotate(error);
+  const first = error.classification;
+  ErrorClassifier.annotate(error);
+
+  assert.equal(error.classification, first);
+  assert.equal(ErrorClassifier.classify(error), first);
+  assert.equal(ErrorClassifier.describe(first), 'rate_limit (retry)');
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import NextBillionBackend from '../../src/backends/nextBillionBackend.js';
+
+const serverError = () => Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, data: null } });
+
+const createBackend = () => {
+  const backend = new NextBillionBackend({ apiKey: 'test', maxRetries: 3, retryDelayMs: 60000, rateLimitMs: 0 });
+  backend.submits = 0;
+  backend.client.submitOptimization = async () => {
+    backend.submits++;
+    return { success: false, error: 'Service unavailable', originalError: serverError() };
+  };
+  return backend;
+};
+
+test('an abort during the retry backoff stops the run without waiting it out', async () => {
+  const backend = createBackend();
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 20);
+
+  const startedAt = Date.now();
+  await assert.rejects(backend.runOptimization({ jobs: [], vehicles: [] }, {}, controller.signal), { name: 'AbortError' });
+
+  assert.ok(Date.now() - startedAt < 5000);
+  assert.equal(backend.submits, 1);
+});
+
+test('retryable failures are submitted again after the backoff', async () => {
+  const backend = createBackend();
+  backend.options.retryDelayMs = 1;
+
+  const response = await backend.submit({ jobs: [], vehicles: [] });
+
+  assert.equal(response.success, false);
+  assert.equal(backend.submits, 3);
+});
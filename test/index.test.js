@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+import RunStore from '../src/utils/runStore.js';
+
+const cli = fileURLToPath(new URL('../src/index.js', import.meta.url));
+const history = async (...args) => {
+  const { stdout } = await promisify(execFile)(process.execPath, [cli, 'history', ...args, '--json']);
+  return JSON.parse(stdout).map(run => run.id);
+};
+
+// `--search` is also a run option; after the subcommand it has to reach the history filter
+test('roir history --search filters the stored runs', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'roir-cli-'));
+  const store = new RunStore(dataDir);
+  await store.save({ id: 'run-north', status: 'completed', source: 'cli', createdAt: '2026-01-01T00:00:00.000Z', inputName: 'north.json' });
+  await store.save({ id: 'run-south', status: 'completed', source: 'web', createdAt: '2026-01-02T00:00:00.000Z', inputName: 'south.json' });
+
+  assert.deepEqual(await history('--data-dir', dataDir), ['run-south', 'run-north']);
+  assert.deepEqual(await history('--data-dir', dataDir, '--search', 'north'), ['run-north']);
+  assert.deepEqual(await history('--data-dir', dataDir, '--search', 'zzzz'), []);
+  assert.deepEqual(await history('--data-dir', dataDir, '--source', 'web'), ['run-south']);
+});
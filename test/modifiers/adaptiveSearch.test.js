@@ -0,0 +1,76 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AdaptiveStrategySearch from '../../src/modifiers/adaptiveSearch.js';
+import StrategyPlan from '../../src/modifiers/strategyPlan.js';
+
+// The arms come from the default plan (config/strategy-plan.json), the one the CLI and web app run
+let plan;
+before(async () => {
+  plan = await StrategyPlan.load();
+});
+
+const analysis = (complianceRate, { totalLoadGap = 6000, totalRoutes = 2, below = 2, above = 0 } = {}) => ({
+  summary: { complianceRate, totalLoadGap, totalRoutes },
+  routesBelowTarget: Array.from({ length: below }, () => ({})),
+  routesAboveTarget: Array.from({ length: above }, () => ({})),
+  dailyBreakdown: [],
+  loadGaps: []
+});
+
+const buildStrategies = (choices, state = analysis(20)) =>
+  StrategyPlan.buildStrategies(plan.strategies, state, 0, plan.objectives, choices);
+
+test('every scheduled field and count cycle of the plan becomes a dimension', () => {
+  assert.deepEqual(AdaptiveStrategySearch.getDimensions(plan), {
+    'objective_modification.objective': ['maximize_load_balance', 'minimize_vehicles_with_load_constraint', 'minimize_duration'],
+    'time_window_softening.relaxationMinutes': [30, 45, 60, 15, 90, 120],
+    'vehicle_addition.capacity': [14000, 12000, 16000, 10000, 18000],
+    'vehicle_addition.countOffset': [0, 1, 2]
+  });
+});
+
+test('scores compliance minus load shortfall minus routes', () => {
+  const search = new AdaptiveStrategySearch(plan, 12000);
+
+  // 2 routes short by 6000 in total: 25% average shortfall
+  assert.equal(search.scoreAnalysis(analysis(80)), 80 - 25 - 1);
+  assert.equal(search.scoreAnalysis(analysis(80, { totalRoutes: 0 })), 0);
+  assert.equal(search.scoreAnalysis(null), 0);
+});
+
+test('selected choices become the fields of the strategies the plan builds', () => {
+  const search = new AdaptiveStrategySearch(plan, 12000);
+  const choices = search.selectChoices();
+  const strategies = buildStrategies(choices);
+
+  assert.deepEqual(strategies.map(strategy => strategy.type).sort(), ['objective_modification', 'time_window_softening', 'vehicle_addition']);
+  assert.deepEqual(search.choicesFromStrategies(strategies), choices);
+});
+
+test('tries untested values first, avoiding values taken by the same round', () => {
+  const search = new AdaptiveStrategySearch(plan, 12000);
+  const first = search.selectChoices();
+  const second = search.selectChoices([first]);
+
+  Object.keys(first).forEach(dimension => assert.notEqual(second[dimension], first[dimension]));
+});
+
+test('exploits the objective with the better recorded score', () => {
+  const search = new AdaptiveStrategySearch({ ...plan, adaptive: { exploration: 0 } }, 12000);
+
+  [['maximize_load_balance', 50], ['minimize_vehicles_with_load_constraint', 40], ['minimize_duration', 90]].forEach(([objective, compliance]) => {
+    search.recordOutcome(buildStrategies({ 'objective_modification.objective': objective }), analysis(compliance));
+  });
+
+  assert.equal(search.selectChoices()['objective_modification.objective'], 'minimize_duration');
+  assert.deepEqual(search.getSummary()['objective_modification.objective=minimize_duration'], { pulls: 1, averageScore: 64 });
+});
+
+test('only credits values of strategies whose conditions matched', () => {
+  const search = new AdaptiveStrategySearch(plan, 12000);
+  // Compliant enough for neither objective entry, and too few light routes for vehicle additions
+  const strategies = buildStrategies({ 'time_window_softening.relaxationMinutes': 90 }, analysis(60, { below: 1, above: 3 }));
+
+  assert.deepEqual(search.choicesFromStrategies(strategies), { 'time_window_softening.relaxationMinutes': 90 });
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import InputModifier from '../../src/modifiers/inputModifier.js';
+import StrategyPlan from '../../src/modifiers/strategyPlan.js';
+
+const DAY = 86400;
+const MONDAY = Date.parse('2024-06-24T00:00:00Z') / 1000;
+const shift = day => [MONDAY + day * DAY + 8 * 3600, MONDAY + day * DAY + 17 * 3600];
+
+const buildInput = () => ({
+  vehicles: [
+    { id: '1', capacity: [1000], time_window: shift(0), start_index: 3, end_index: 3 },
+    { id: '2', capacity: [1000], time_window: shift(1), start_index: 5, end_index: 5 }
+  ],
+  jobs: []
+});
+
+const added = input => input.vehicles.filter(vehicle => vehicle.metadata?.added_for_load_balancing);
+
+test('spreads vehicles over the planning days when no placements are given', () => {
+  const vehicles = added(InputModifier.addVehicles(buildInput(), { count: 3, capacity: 800 }, 1000));
+
+  assert.deepEqual(
+    vehicles.map(vehicle => [vehicle.id, vehicle.metadata.planning_day, vehicle.time_window, vehicle.start_index, vehicle.capacity]),
+    [
+      ['3', '2024-06-24', shift(0), 3, [800]],
+      ['4', '2024-06-24', shift(0), 3, [800]],
+      ['5', '2024-06-25', shift(1), 5, [800]]
+    ]
+  );
+});
+
+test('a strategy time window does not pull vehicles off the planning days', () => {
+  const vehicles = added(InputModifier.addVehicles(buildInput(), { count: 2, timeWindow: shift(0) }, 1000));
+
+  assert.deepEqual(vehicles.map(vehicle => [vehicle.time_window, vehicle.start_index]), [[shift(0), 3], [shift(1), 5]]);
+});
+
+test('the default plan spreads added vehicles over every day of a multi-day input', async () => {
+  const plan = await StrategyPlan.load();
+  const analysis = {
+    summary: { complianceRate: 60, totalLoadGap: 30000, totalRoutes: 2 },
+    routesBelowTarget: [{}, {}],
+    routesAboveTarget: [],
+    dailyBreakdown: [],
+    loadGaps: []
+  };
+  const strategies = [...StrategyPlan.buildStrategies(plan.strategies, analysis, 0, plan.objectives), ...StrategyPlan.buildStrategies(plan.relaxed, analysis, 0, plan.objectives)]
+    .filter(strategy => strategy.type === 'vehicle_addition');
+
+  assert.equal(strategies.length, 2);
+  strategies.forEach(strategy => {
+    const vehicles = added(InputModifier.addVehicles(buildInput(), strategy, 1000));
+    assert.deepEqual([...new Set(vehicles.map(vehicle => vehicle.metadata.planning_day))], ['2024-06-24', '2024-06-25']);
+    vehicles.forEach(vehicle => assert.deepEqual(vehicle.time_window, vehicle.metadata.planning_day === '2024-06-24' ? shift(0) : shift(1)));
+  });
+});
+
+test('placements take precedence over the planning days', () => {
+  const placements = [{ day: '2024-06-25', count: 2, timeWindow: shift(1), startIndex: 7, endIndex: 7, templateVehicleId: '1' }];
+  const vehicles = added(InputModifier.addVehicles(buildInput(), { count: 2, placements }, 1000));
+
+  assert.deepEqual(vehicles.map(vehicle => [vehicle.time_window, vehicle.start_index, vehicle.metadata.template_vehicle_id]), [
+    [shift(1), 7, '1'],
+    [shift(1), 7, '1']
+  ]);
+});
+
+test('adds vehicles without a shift when the input has no planning days', () => {
+  const input = { vehicles: [{ id: '1', capacity: [1000] }], jobs: [] };
+  const [vehicle] = added(InputModifier.addVehicles(input, { count: 1 }, 1000));
+
+  assert.equal(vehicle.time_window, undefined);
+  assert.deepEqual(vehicle.capacity, [1000]);
+});
+
+test('a strategy time window is the shift for inputs without planning days', () => {
+  const input = { vehicles: [{ id: '1', capacity: [1000] }], jobs: [] };
+  const [vehicle] = added(InputModifier.addVehicles(input, { count: 1, timeWindow: shift(2) }, 1000));
+
+  assert.deepEqual(vehicle.time_window, shift(2));
+});
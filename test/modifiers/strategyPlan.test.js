@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import StrategyPlan, { DEFAULT_STRATEGY_PLAN_PATH } from '../../src/modifiers/strategyPlan.js';
+
+test('the default plan loads from any working directory', async () => {
+  const cwd = process.cwd();
+  process.chdir(os.tmpdir());
+  try {
+    const plan = await StrategyPlan.load();
+    assert.equal(plan.source, DEFAULT_STRATEGY_PLAN_PATH);
+    assert.ok(plan.strategies.length > 0);
+  } finally {
+    process.chdir(cwd);
+  }
+});
+
+test('an explicit path and $ROIR_STRATEGY_PLAN override the default', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'roir-plan-'));
+  const planPath = path.join(dir, 'plan.json');
+  await fs.writeFile(planPath, JSON.stringify({ name: 'custom', strategies: [{ type: 'objective_modification' }] }));
+
+  try {
+    assert.equal((await StrategyPlan.load(planPath)).name, 'custom');
+
+    process.env.ROIR_STRATEGY_PLAN = planPath;
+    assert.equal((await StrategyPlan.load()).source, planPath);
+  } finally {
+    delete process.env.ROIR_STRATEGY_PLAN;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
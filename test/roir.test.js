@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import ROIR from '../src/roir.js';
+import RunStore from '../src/utils/runStore.js';
+
+const inputData = { vehicles: [{ id: 'V1', capacity: [100], start_index: 0 }], jobs: [{ id: 'J1', location_index: 1, delivery: [10] }] };
+const solutionData = { result: { routes: [], unassigned: [] } };
+
+const withRecording = async run => {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'roir-replay-'));
+  const recordingDir = path.join(rootDir, 'iteration_1');
+  await fs.mkdir(recordingDir);
+  await fs.writeFile(path.join(recordingDir, 'input.json'), JSON.stringify(inputData));
+  await fs.writeFile(path.join(recordingDir, 'solution.json'), JSON.stringify(solutionData));
+
+  try {
+    await run(rootDir, recordingDir);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+};
+
+test('replay refuses an output directory that would clear its recordings', async () => {
+  await withRecording(async (rootDir, recordingDir) => {
+    for (const outputDir of [rootDir, path.join(rootDir, 'output')]) {
+      const roir = new ROIR({ backend: 'replay', replayDir: rootDir, outputDir, inputData, solutionData });
+      await assert.rejects(roir.run(), /overlaps the output directory/);
+    }
+
+    assert.ok(await fs.stat(path.join(recordingDir, 'solution.json')));
+  });
+});
+
+test('replay keeps the default recordings directory apart from the default output', () => {
+  const roir = new ROIR({ backend: 'replay' });
+  assert.doesNotThrow(() => roir.checkReplayDirectory());
+});
+
+// The local solver, except that the first request is rejected for one job's location
+const rejectFirstRequest = (roir, jobId) => {
+  const solve = roir.backend.runOptimization.bind(roir.backend);
+  roir.submittedInputs = [];
+  roir.backend.runOptimization = async (input, options, signal) => {
+    roir.submittedInputs.push(input);
+    if (roir.submittedInputs.length === 1) {
+      throw Object.assign(new Error('Request failed with status code 400'), {
+        response: { status: 400, data: { message: `Invalid location_index for job ${jobId}` } }
+      });
+    }
+    return await solve(input, options, signal);
+  };
+};
+
+const withRejectedJob = async (options, check) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'roir-rejected-'));
+  const sampleInput = JSON.parse(await fs.readFile(new URL('../input.json', import.meta.url), 'utf8'));
+  const sampleSolution = JSON.parse(await fs.readFile(new URL('../solution.json', import.meta.url), 'utf8'));
+  const jobId = String(sampleInput.jobs[0].id);
+
+  const roir = new ROIR({
+    backend: 'local', inputData: sampleInput, solutionData: sampleSolution, maxIterations: 2,
+    outputDir: path.join(dir, 'output'), history: true, dataDir: path.join(dir, 'data'), ...options
+  });
+  rejectFirstRequest(roir, jobId);
+
+  try {
+    await check(roir, await roir.run(), jobId, new RunStore(path.join(dir, 'data')));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+test('a rejected job stops the run unless removal is allowed', async () => {
+  await withRejectedJob({}, async (roir, report, jobId, runStore) => {
+    assert.equal(roir.submittedInputs.length, 1);
+    assert.equal(report.failures[0].category, 'invalid_location_index');
+    assert.deepEqual(report.failures[0].jobIds, [jobId]);
+    assert.equal(report.summary.removedItems, undefined);
+    assert.equal((await runStore.get(roir.runId)).removedItems, undefined);
+  });
+});
+
+test('allowed removals drop the job and list it in the report and the run history', async () => {
+  await withRejectedJob({ removeRejected: true }, async (roir, report, jobId, runStore) => {
+    assert.equal(roir.submittedInputs.length, 2);
+    assert.ok(!roir.submittedInputs[1].jobs.some(job => String(job.id) === jobId));
+    assert.deepEqual(report.summary.removedItems, { jobIds: [jobId], vehicleIds: [] });
+    assert.deepEqual((await runStore.get(roir.runId)).removedItems, { jobIds: [jobId], vehicleIds: [] });
+  });
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import LocalSolver from '../../src/solver/localSolver.js';
+
+// Two depots about 111 km apart on the equator, one job next to each
+function buildInput(overrides = {}) {
+  return {
+    locations: { location: ['0,0', '0,1', '0,0.01', '0,0.99'] },
+    vehicles: [
+      { id: 1, start_index: 0, end_index: 0, capacity: [100, 10], time_window: [0, 86400] },
+      { id: 2, start_index: 1, end_index: 1, capacity: [100, 10], time_window: [0, 86400] }
+    ],
+    jobs: [
+      { id: 10, location_index: 2, delivery: [40, 2], service: 300 },
+      { id: 20, location_index: 3, delivery: [40, 2], service: 300 }
+    ],
+    options: { objective: { travel_cost: 'distance' } },
+    ...overrides
+  };
+}
+
+const jobIds = route => route.steps.filter(step => step.type === 'job').map(step => step.id);
+
+test('assigns every job to the nearest vehicle when minimising travel', () => {
+  const solution = new LocalSolver(buildInput()).solve();
+
+  assert.equal(solution.unassigned.length, 0);
+  assert.deepEqual(solution.routes.map(route => [route.vehicle, jobIds(route)]), [[1, [10]], [2, [20]]]);
+  assert.deepEqual(solution.routes[0].delivery, [40, 2]);
+  assert.equal(solution.summary.routes, 2);
+});
+
+test('min vehicles objective packs the jobs into one route', () => {
+  const input = buildInput({ options: { objective: { travel_cost: 'distance', custom: { type: 'min', value: 'vehicles' } } } });
+  const solution = new LocalSolver(input).solve();
+
+  assert.equal(solution.routes.length, 1);
+  assert.deepEqual(jobIds(solution.routes[0]).sort(), [10, 20]);
+});
+
+test('min-max tasks objective spreads the jobs across vehicles', () => {
+  const input = buildInput({
+    jobs: [
+      { id: 10, location_index: 2, delivery: [10, 1] },
+      { id: 11, location_index: 2, delivery: [10, 1] }
+    ],
+    options: { objective: { travel_cost: 'distance', custom: { type: 'min-max', value: 'tasks' } } }
+  });
+  const solution = new LocalSolver(input).solve();
+
+  assert.deepEqual(solution.routes.map(route => jobIds(route).length), [1, 1]);
+});
+
+test('leaves jobs unassigned when any capacity dimension is exceeded', () => {
+  const input = buildInput({
+    jobs: [
+      { id: 10, location_index: 2, delivery: [40, 2] },
+      { id: 30, location_index: 2, delivery: [40, 11] }
+    ]
+  });
+  const solution = new LocalSolver(input).solve();
+
+  assert.deepEqual(solution.unassigned.map(job => job.id), [30]);
+  assert.match(solution.unassigned[0].reason, /capacity/);
+});
+
+test('respects job time windows at the configured speed', () => {
+  // Vehicle 2 only: the job is ~111 km (~144 km with the detour factor) from its depot
+  const input = buildInput({
+    vehicles: [{ id: 2, start_index: 1, capacity: [100, 10], time_window: [0, 86400] }],
+    jobs: [{ id: 10, location_index: 0, delivery: [1, 1], time_windows: [[0, 3600]] }]
+  });
+
+  const slow = new LocalSolver(input, { averageSpeedKmh: 60 }).solve();
+  assert.deepEqual(slow.unassigned.map(job => job.id), [10]);
+  assert.match(slow.unassigned[0].reason, /time window/);
+
+  const fast = new LocalSolver(input, { averageSpeedKmh: 200 }).solve();
+  assert.equal(fast.unassigned.length, 0);
+  const arrival = fast.routes[0].steps.find(step => step.type === 'job').arrival;
+  assert.ok(arrival <= 3600, `arrival ${arrival} after the window closed`);
+});
+
+test('waits for a time window that opens after arrival', () => {
+  const input = buildInput({
+    vehicles: [{ id: 1, start_index: 0, capacity: [100, 10], time_window: [0, 86400] }],
+    jobs: [{ id: 10, location_index: 2, delivery: [1, 1], time_windows: [[7200, 9000]] }]
+  });
+  const step = new LocalSolver(input).solve().routes[0].steps.find(candidate => candidate.type === 'job');
+
+  assert.equal(step.arrival + step.waiting_time, 7200);
+});
+
+test('derives the average speed from a solution', () => {
+  const solution = { result: { routes: [{ distance: 50000, duration: 1800 }, { distance: 50000, duration: 1800 }] } };
+
+  assert.equal(LocalSolver.deriveSpeedKmh(solution), 100);
+  assert.equal(LocalSolver.deriveSpeedKmh({ routes: [] }), null);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ConcurrencyPool from '../../src/utils/concurrencyPool.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('never runs more than the limit at once', async () => {
+  let active = 0;
+  let peak = 0;
+
+  await ConcurrencyPool.map([1, 2, 3, 4, 5, 6], 2, async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await delay(5);
+    active--;
+  });
+
+  assert.equal(peak, 2);
+});
+
+test('map keeps the input order when tasks finish out of order', async () => {
+  const results = await ConcurrencyPool.map([30, 10, 20], 3, async (ms, index) => {
+    await delay(ms);
+    return `${index}:${ms}`;
+  });
+
+  assert.deepEqual(results, ['0:30', '1:10', '2:20']);
+});
+
+test('a failing task rejects its own promise and frees its slot', async () => {
+  const pool = new ConcurrencyPool(1);
+
+  const failed = pool.run(async () => { throw new Error('boom'); });
+  const next = pool.run(async () => 'ok');
+
+  await assert.rejects(failed, /boom/);
+  assert.equal(await next, 'ok');
+});
+
+test('limits below one run tasks one at a time', () => {
+  assert.equal(new ConcurrencyPool(0).limit, 1);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import RunStore from '../../src/utils/runStore.js';
+
+async function seedStore() {
+  const store = new RunStore(await fs.mkdtemp(path.join(os.tmpdir(), 'roir-runs-')));
+  const runs = [
+    { id: 'run-1', status: 'completed', source: 'cli', createdAt: '2026-01-01T08:00:00.000Z', inputName: 'north.json', inputHash: 'aaa111' },
+    { id: 'run-2', status: 'failed', source: 'web', createdAt: '2026-01-02T08:00:00.000Z', inputName: 'south.json', inputHash: 'bbb222' },
+    { id: 'run-3', status: 'completed', source: 'web', createdAt: '2026-01-03T08:00:00.000Z', inputName: 'North-East.json', inputHash: 'ccc333' }
+  ];
+  for (const run of runs) {
+    await store.save({ ...run, results: [{ iteration: 1 }, { iteration: 2 }] }, { bestSolution: { routes: [] } });
+  }
+  return store;
+}
+
+const ids = runs => runs.map(run => run.id);
+
+test('lists runs newest first without their iteration results', async () => {
+  const store = await seedStore();
+  const runs = await store.list();
+
+  assert.deepEqual(ids(runs), ['run-3', 'run-2', 'run-1']);
+  assert.equal(runs[0].results, undefined);
+  assert.equal(runs[0].iterations, 2);
+  assert.deepEqual(runs[0].files, ['bestSolution']);
+});
+
+test('filters by status, source and search text, and excludes what does not match', async () => {
+  const store = await seedStore();
+
+  assert.deepEqual(ids(await store.list({ status: 'completed' })), ['run-3', 'run-1']);
+  assert.deepEqual(ids(await store.list({ source: 'web' })), ['run-3', 'run-2']);
+  assert.deepEqual(ids(await store.list({ search: 'NORTH' })), ['run-3', 'run-1']);
+  assert.deepEqual(ids(await store.list({ search: 'bbb2' })), ['run-2']);
+  assert.deepEqual(ids(await store.list({ status: 'completed', source: 'cli', search: 'north' })), ['run-1']);
+  assert.deepEqual(await store.list({ search: 'zzzz' }), []);
+  assert.deepEqual(ids(await store.list({ limit: 1 })), ['run-3']);
+});
+
+test('reads stored files and rejects unsafe run ids', async () => {
+  const store = await seedStore();
+
+  assert.deepEqual(await store.readFile('run-1', 'bestSolution'), { routes: [] });
+  assert.equal(await store.readFile('run-1', 'bestInput'), null);
+  assert.equal(await store.get('run-missing'), null);
+  await assert.rejects(store.readFile('run-1', 'secrets'), /Unknown run file/);
+  assert.throws(() => store.getRunDir('../etc'), /Invalid run id/);
+});
+
+test('lists nothing before the first run is saved', async () => {
+  const store = new RunStore(path.join(os.tmpdir(), `roir-empty-${process.pid}`));
+  assert.deepEqual(await store.list(), []);
+});
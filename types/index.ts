@@ -48,6 +48,37 @@ export interface OptimizationParams {
   numberOfIterations: number
   loadTargets: number
   objective?: ObjectiveOption
+  concurrency?: number
+}
+
+export interface UnassignedJobExplanation {
+  id: string | number
+  cause: string
+  message: string
+  apiReason?: string | null
+}
+
+export interface UnassignedExplanation {
+  summary: {
+    unassigned: number
+    byCause: Record<string, number>
+  }
+  jobs: UnassignedJobExplanation[]
+}
+
+export interface FleetGroup {
+  vehicles: number | null
+  routes: number
+  routesBelowTarget: number
+  totalLoad: number
+  complianceRate: number | null
+}
+
+export interface FleetSplit {
+  original: FleetGroup
+  added: FleetGroup & {
+    byCapacity: { capacity: number[]; vehicles: number; routes: number }[]
+  }
 }
 
 export interface OptimizationResult {
@@ -56,12 +87,18 @@ export interface OptimizationResult {
   routes: number
   unassigned: number
   loadGap: number
+  distance?: number // km
   objective: string
   timeWindowEasing: number
   shiftTimeAdjustments: number
   type: 'Success' | 'Error'
   requestId: string
   timestamp: string
+  relaxed?: boolean // Produced by the engine's relaxed fallback after a failed iteration
+  basedOnIteration?: number | null // Iteration whose input and solution this one refined (0 = uploaded files)
+  reverted?: boolean // Built from the last good iteration after an attempt returned no routes
+  unassignedExplanation?: UnassignedExplanation
+  fleetSplit?: FleetSplit
 }
 
 export interface ApiResponse {
@@ -69,4 +106,66 @@ export interface ApiResponse {
   finalRequestId: string
   success: boolean
   message?: string
-}
\ No newline at end of file
+}
+
+export type RunStatus = 'running' | 'completed' | 'cancelled' | 'failed'
+
+// A web run as listed by GET /api/runs
+export interface RunSummary {
+  id: string
+  status: RunStatus
+  createdAt: string
+  updatedAt: string
+  inputName?: string
+  solutionName?: string
+  params: OptimizationParams
+  iterations: number
+  bestCompliance: number | null
+  finalRequestId: string
+  error?: string
+  cancelRequested: boolean
+}
+
+// GET /api/runs/:id
+export interface RunDetails extends RunSummary {
+  results: OptimizationResult[]
+  refinedInput: unknown
+}
+
+// A run saved in the run store (CLI or web), as listed by GET /api/history
+export interface HistoryRun {
+  id: string
+  source: 'cli' | 'web'
+  status: RunStatus
+  createdAt: string
+  finishedAt: string
+  inputName: string | null
+  solutionName: string | null
+  inputHash: string | null
+  solutionHash: string | null
+  params: {
+    minLoad: number
+    maxIterations: number
+    concurrency: number
+    backend: string
+    search: string
+    strategyPlan: string | null
+    timeWindowEasing: number
+    shiftTimeAdjustments: number
+  }
+  summary: {
+    iterations: number
+    totalAttempts: number
+    initialComplianceRate: number
+    finalComplianceRate: number
+    improvement: number
+    constraintsMet: boolean
+    bestIteration: number | null
+    finalRequestId: string | null
+  } | null
+  removedItems?: { jobIds: string[]; vehicleIds: string[] } // Dropped after API rejections (--remove-rejected)
+  error?: string
+  files: string[]
+  iterations?: number // List view only
+  results?: OptimizationResult[] // Detail view only
+}